@@ -51,6 +51,9 @@ export async function addOfficialAccount(accountData) {
  * @param {string} [updateData.session] - 会话标识
  * @param {number} [updateData.session_expire_time] - Session过期时间戳
  * @param {string} [updateData.account_id] - AnyRouter平台账号ID
+ * @param {string} [updateData.agentrouter_session] - AgentRouter会话标识（本地定义字段，API不支持）
+ * @param {number} [updateData.agentrouter_session_expire_time] - AgentRouter Session过期时间戳（本地定义字段，API不支持）
+ * @param {string} [updateData.agentrouter_account_id] - AgentRouter平台账号ID（本地定义字段，API不支持）
  * @param {number} [updateData.checkin_date] - 签到时间戳
  * @param {number} [updateData.balance] - AnyRouter账号余额
  * @param {number} [updateData.agentrouter_balance] - AgentRouter账号余额
@@ -62,6 +65,7 @@ export async function addOfficialAccount(accountData) {
  * @param {string} [updateData.cache_key] - 用户持久化时的辅助key
  * @param {number} [updateData.checkin_error_count] - 连续签到失败的次数统计
  * @param {number} [updateData.checkin_mode] - 签到模式：1-只签到anyrouter，2-只签到agentrouter，3-两者都签到
+ * @param {Array<string|{name: string, timeout?: number}>} [updateData.checkin_strategies] - 按顺序尝试的签到策略，如 ["session", "github"]（本地定义字段，API不支持）
  * @param {string} [updateData.aff_code] - 推广码（本地定义字段，API不支持）
  * @param {number} [updateData.used] - 已使用额度（本地定义字段，API不支持）
  * @returns {Promise<{success: boolean, data?: {updated: number, updatedFields: string[]}, error?: string}>}
@@ -96,6 +100,113 @@ export async function updateAccountInfo(_id, updateData) {
 	);
 }
 
+/**
+ * 判断批量接口的失败是否表示服务端不支持批量更新（接口不存在）
+ * @param {{status?: number}} result - handleApiResponse 的返回值
+ * @returns {boolean}
+ */
+function isBatchUnsupported(result) {
+	// 只看 HTTP 状态码，错误信息中的“not found”“不支持”可能是批量接口返回的业务错误
+	return result.status === 404 || result.status === 405;
+}
+
+/**
+ * 批量更新账号信息
+ * @description 一次请求更新多个账号，服务端不支持批量接口时逐个调用 updateAccountInfo
+ * @param {Array<{_id: string, updateData: Object}>} updates - 各账号要更新的字段
+ * @returns {Promise<{success: boolean, data?: {results: Array<{_id: string, success: boolean, error?: string, status?: number}>, batched: boolean}, error?: string, status?: number}>} - 请求本身失败时 success 为 false，各账号的更新结果见 data.results
+ */
+export async function batchUpdateAccountInfo(updates) {
+	if (!Array.isArray(updates) || updates.length === 0) {
+		return {
+			success: false,
+			error: '更新数据不能为空',
+		};
+	}
+
+	// 移除不允许更新的字段，与 updateAccountInfo 保持一致
+	const filteredUpdates = updates.map(({ _id, updateData }) => {
+		const filteredData = { ...updateData };
+		delete filteredData.create_date;
+		delete filteredData._id;
+		delete filteredData.account_type;
+		return { _id, updateData: filteredData };
+	});
+
+	const batchResult = await handleApiResponse(
+		apiClient.post('/batchUpdateAccountInfo', {
+			updates: filteredUpdates,
+		})
+	);
+
+	if (batchResult.success) {
+		// 服务端返回各账号的结果时逐个判断，否则视为全部成功
+		// 单个账号的失败是服务端处理后的业务错误，状态码按 200 记录
+		const itemResults = batchResult.data?.results || [];
+		return {
+			success: true,
+			data: {
+				results: filteredUpdates.map(({ _id }) => {
+					const item = itemResults.find((r) => r._id === _id);
+					// 只有明确返回非 0 的 errCode 或 success: false 才算失败
+					const failed =
+						item && ((item.errCode !== undefined && item.errCode !== 0) || item.success === false);
+					return failed
+						? { _id, success: false, error: item.errMsg || '未知错误', status: 200 }
+						: { _id, success: true };
+				}),
+				batched: true,
+			},
+		};
+	}
+
+	if (!isBatchUnsupported(batchResult)) {
+		return batchResult;
+	}
+
+	console.log('[API] 服务端不支持批量更新，逐个更新账号信息');
+	const results = [];
+	for (const { _id, updateData } of filteredUpdates) {
+		const result = await updateAccountInfo(_id, updateData);
+		results.push({ _id, success: result.success, error: result.error, status: result.status });
+	}
+
+	return {
+		success: true,
+		data: {
+			results,
+			batched: false,
+		},
+	};
+}
+
+/**
+ * 获取分配给签到运行器的账号
+ * @description 按运行器标识或工作流URL筛选账号，至少需要提供一个条件
+ * @param {Object} params - 查询参数
+ * @param {string} [params.runner] - 运行器标识
+ * @param {string} [params.workflow_url] - 工作流URL
+ * @returns {Promise<{success: boolean, data?: Array<Object>, error?: string}>} - data 为账号记录数组，字段同 updateAccountInfo
+ */
+export async function getAssignedAccounts(params = {}) {
+	const { runner, workflow_url } = params;
+
+	// 验证必需字段
+	if (!runner && !workflow_url) {
+		return {
+			success: false,
+			error: '运行器标识和工作流URL不能同时为空',
+		};
+	}
+
+	return handleApiResponse(
+		apiClient.post('/getAssignedAccounts', {
+			runner,
+			workflow_url,
+		})
+	);
+}
+
 /**
  * 获取账号登录信息
  * @param {Object} params - 查询参数
@@ -149,6 +260,8 @@ export async function addAccountLoginInfo(params) {
 export default {
 	addOfficialAccount,
 	updateAccountInfo,
+	batchUpdateAccountInfo,
+	getAssignedAccounts,
 	getAccountLoginInfo,
 	addAccountLoginInfo,
 };
@@ -0,0 +1,39 @@
+/**
+ * 签到历史 API
+ */
+
+import apiClient, { handleApiResponse } from './client.js';
+
+/**
+ * 上报一次签到运行的结果
+ * @description 每次运行上报一条记录，包含运行信息和各账号、各平台的签到明细，用于统计账号的签到可靠性
+ * @param {Object} history - 运行记录
+ * @param {string} history.run_id - 运行ID
+ * @param {Object} history.runner - 运行器信息 { runner, workflow_url, hostname }
+ * @param {number} history.started_at - 开始时间戳
+ * @param {number} history.finished_at - 结束时间戳
+ * @param {Array<Object>} history.accounts - 各账号的签到明细，结构见 buildRunHistory
+ * @returns {Promise<{success: boolean, data?: {saved: number}, error?: string}>}
+ */
+export async function reportCheckinResult(history) {
+	// 验证必需字段
+	if (!history || !history.run_id) {
+		return {
+			success: false,
+			error: '运行ID不能为空',
+		};
+	}
+
+	if (!Array.isArray(history.accounts) || history.accounts.length === 0) {
+		return {
+			success: false,
+			error: '签到明细不能为空',
+		};
+	}
+
+	return handleApiResponse(apiClient.post('/reportCheckinResult', history));
+}
+
+export default {
+	reportCheckinResult,
+};
@@ -4,6 +4,7 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
@@ -23,11 +24,11 @@ const apiClient = axios.create({
  */
 apiClient.interceptors.request.use(
 	(config) => {
-		console.log(`[API请求] ${config.method.toUpperCase()} ${config.url}`);
+		logger.debug(`[API请求] ${config.method.toUpperCase()} ${config.url}`);
 		return config;
 	},
 	(error) => {
-		console.error('[API请求错误]', error);
+		logger.error('[API请求错误]', error.message);
 		return Promise.reject(error);
 	}
 );
@@ -37,18 +38,18 @@ apiClient.interceptors.request.use(
  */
 apiClient.interceptors.response.use(
 	(response) => {
-		console.log(`[API响应] ${response.config.url} - 状态: ${response.status}`);
+		logger.debug(`[API响应] ${response.config.url} - 状态: ${response.status}`);
 		return response;
 	},
 	(error) => {
 		if (error.response) {
-			console.error(
-				`[API错误] ${error.response.status} - ${error.response.data?.errMsg || error.message}`
+			logger.error(
+				`[API错误] ${error.config?.url} ${error.response.status} - ${error.response.data?.errMsg || error.message}`
 			);
 		} else if (error.request) {
-			console.error('[API错误] 没有收到响应', error.message);
+			logger.error('[API错误] 没有收到响应', error.message);
 		} else {
-			console.error('[API错误]', error.message);
+			logger.error('[API错误]', error.message);
 		}
 		return Promise.reject(error);
 	}
@@ -56,8 +57,9 @@ apiClient.interceptors.response.use(
 
 /**
  * 通用 API 响应处理
+ * 失败结果中的 status 为 HTTP 状态码，请求未收到响应（网络错误、超时）时为 undefined
  * @param {Promise} apiPromise - API 请求 Promise
- * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ * @returns {Promise<{success: boolean, data?: any, error?: string, status?: number}>}
  */
 export async function handleApiResponse(apiPromise) {
 	try {
@@ -74,12 +76,14 @@ export async function handleApiResponse(apiPromise) {
 			return {
 				success: false,
 				error: data.errMsg || '未知错误',
+				status: response.status,
 			};
 		}
 	} catch (error) {
 		return {
 			success: false,
 			error: error.response?.data?.errMsg || error.message,
+			status: error.response?.status,
 		};
 	}
 }
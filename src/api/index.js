@@ -6,7 +6,11 @@ export { default as apiClient, handleApiResponse } from './client.js';
 export {
 	addOfficialAccount,
 	updateAccountInfo,
+	batchUpdateAccountInfo,
+	getAssignedAccounts,
 	getAccountLoginInfo,
 	addAccountLoginInfo,
 } from './account.js';
 export { getRandomApplication } from './application.js';
+export { reportCheckinResult } from './checkin-history.js';
+export { acquireAccountLease, renewAccountLease, releaseAccountLease } from './lease.js';
@@ -0,0 +1,95 @@
+/**
+ * 账号租约 API
+ * 多个运行器（不同的工作流仓库或重复触发的运行）处理同一批账号时，处理账号前先获取租约，避免同时登录同一个账号
+ */
+
+import apiClient, { handleApiResponse } from './client.js';
+
+/**
+ * 获取账号租约
+ * @description 账号没有租约或租约已过期时获取成功；已被其他运行器持有时 acquired 为 false，并返回持有者和过期时间
+ * @param {Object} params - 请求参数
+ * @param {string} params.account_id - 账号记录ID
+ * @param {string} params.holder - 持有者标识
+ * @param {number} params.ttl - 租约有效期（毫秒）
+ * @returns {Promise<{success: boolean, data?: {acquired: boolean, lease_id?: string, holder: string, expires_at: number}, error?: string}>}
+ */
+export async function acquireAccountLease(params) {
+	const { account_id, holder, ttl } = params;
+
+	// 验证必需字段
+	if (!account_id || !holder || !ttl) {
+		return {
+			success: false,
+			error: '账号ID、持有者和有效期不能为空',
+		};
+	}
+
+	return handleApiResponse(
+		apiClient.post('/acquireAccountLease', {
+			account_id,
+			holder,
+			ttl,
+		})
+	);
+}
+
+/**
+ * 续期账号租约（心跳）
+ * @param {Object} params - 请求参数
+ * @param {string} params.account_id - 账号记录ID
+ * @param {string} params.lease_id - 租约ID
+ * @param {number} params.ttl - 从现在起的有效期（毫秒）
+ * @returns {Promise<{success: boolean, data?: {expires_at: number}, error?: string}>} - 租约已失效或被其他运行器获取时失败
+ */
+export async function renewAccountLease(params) {
+	const { account_id, lease_id, ttl } = params;
+
+	// 验证必需字段
+	if (!account_id || !lease_id || !ttl) {
+		return {
+			success: false,
+			error: '账号ID、租约ID和有效期不能为空',
+		};
+	}
+
+	return handleApiResponse(
+		apiClient.post('/renewAccountLease', {
+			account_id,
+			lease_id,
+			ttl,
+		})
+	);
+}
+
+/**
+ * 释放账号租约
+ * @param {Object} params - 请求参数
+ * @param {string} params.account_id - 账号记录ID
+ * @param {string} params.lease_id - 租约ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function releaseAccountLease(params) {
+	const { account_id, lease_id } = params;
+
+	// 验证必需字段
+	if (!account_id || !lease_id) {
+		return {
+			success: false,
+			error: '账号ID和租约ID不能为空',
+		};
+	}
+
+	return handleApiResponse(
+		apiClient.post('/releaseAccountLease', {
+			account_id,
+			lease_id,
+		})
+	);
+}
+
+export default {
+	acquireAccountLease,
+	renewAccountLease,
+	releaseAccountLease,
+};
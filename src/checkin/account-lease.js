@@ -0,0 +1,282 @@
+/**
+ * 账号租约
+ * 处理账号前先获取租约，处理过程中定时续期，处理完成后释放，避免多个运行器同时登录同一个账号而损坏持久化的浏览器配置
+ *
+ * 配置了 API_BASE_URL 且账号有 _id 时使用服务端租约，可以在不同机器的运行器之间互斥；
+ * 未配置服务端或服务端没有租约接口（404/405）时使用状态目录下的文件锁，只能在同一台机器上互斥
+ *
+ * 服务端租约接口出错（网络错误、5xx 等）时无法确认账号是否正被其他运行器处理，默认不处理该账号并返回出错原因；
+ * 设置 CHECKIN_LEASE_FALLBACK=file 时改用文件锁继续处理（只适用于所有运行器在同一台机器上的部署）
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+	acquireAccountLease as acquireAccountLeaseAPI,
+	renewAccountLease as renewAccountLeaseAPI,
+	releaseAccountLease as releaseAccountLeaseAPI,
+} from '../api/index.js';
+import { getAccountKey } from './account-store.js';
+import { resolveStatePath } from '../utils/state-dir.js';
+
+/**
+ * 默认租约有效期（毫秒），可通过 CHECKIN_LEASE_TTL 环境变量修改
+ * 需要覆盖一次完整的登录流程，心跳间隔为有效期的三分之一
+ */
+export const DEFAULT_LEASE_TTL = 15 * 60 * 1000;
+
+/**
+ * 租约类型
+ */
+export const LeaseType = {
+	BACKEND: 'backend',
+	FILE: 'file',
+};
+
+export class LeaseManager {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.holder - 持有者标识（运行ID、主机名等）
+	 * @param {number} [options.ttl] - 租约有效期（毫秒）
+	 * @param {string} [options.lockDir] - 文件锁目录，默认为状态目录下的 locks
+	 * @param {boolean} [options.fileFallback] - 服务端租约接口出错时是否改用文件锁，默认读取 CHECKIN_LEASE_FALLBACK=file
+	 */
+	constructor({ holder, ttl, lockDir, fileFallback } = {}) {
+		this.holder = holder;
+		this.ttl = ttl ?? (parseInt(process.env.CHECKIN_LEASE_TTL) || DEFAULT_LEASE_TTL);
+		this.lockDir = lockDir || resolveStatePath('locks');
+		this.fileFallback = fileFallback ?? process.env.CHECKIN_LEASE_FALLBACK === 'file';
+		// 服务端没有租约接口时只提示一次，之后直接使用文件锁
+		this.backendUnsupported = false;
+	}
+
+	/**
+	 * 获取账号租约
+	 * @param {Object} accountInfo - 账号记录
+	 * @returns {Promise<{acquired: true, lease: Object}|{acquired: false, holder?: string, expiresAt?: number, error?: string}>} - 服务端租约接口出错时 error 为出错原因
+	 */
+	async acquire(accountInfo) {
+		const key = getAccountKey(accountInfo);
+
+		if (process.env.API_BASE_URL && accountInfo._id && !this.backendUnsupported) {
+			const result = await acquireAccountLeaseAPI({
+				account_id: accountInfo._id,
+				holder: this.holder,
+				ttl: this.ttl,
+			});
+
+			if (result.success) {
+				if (!result.data.acquired) {
+					return { acquired: false, holder: result.data.holder, expiresAt: result.data.expires_at };
+				}
+				return {
+					acquired: true,
+					lease: {
+						type: LeaseType.BACKEND,
+						key,
+						accountId: accountInfo._id,
+						leaseId: result.data.lease_id,
+						expiresAt: result.data.expires_at,
+					},
+				};
+			}
+
+			if (result.status === 404 || result.status === 405) {
+				this.backendUnsupported = true;
+				console.warn('[警告] 服务端不支持账号租约，使用本地文件锁（只能在同一台机器上互斥）');
+			} else if (!this.fileFallback) {
+				return { acquired: false, error: `服务端租约不可用: ${result.error}` };
+			} else {
+				console.log(`[租约] ${key}: 服务端租约不可用 (${result.error})，使用本地文件锁`);
+			}
+		}
+
+		return this.acquireFileLock(key);
+	}
+
+	/**
+	 * 获取文件锁路径
+	 * @param {string} key - 账号标识
+	 * @returns {string}
+	 */
+	getLockPath(key) {
+		if (!fs.existsSync(this.lockDir)) {
+			fs.mkdirSync(this.lockDir, { recursive: true });
+		}
+		return path.join(this.lockDir, `${key.replace(/[^\w.-]/g, '_')}.lock`);
+	}
+
+	/**
+	 * 读取文件锁内容
+	 * @param {string} lockPath - 文件锁路径
+	 * @returns {{holder: string, leaseId: string, expiresAt: number}|null} - 文件不存在或格式错误时返回 null
+	 */
+	readFileLock(lockPath) {
+		try {
+			return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * 获取文件锁：文件不存在时创建，已过期或格式错误时接管
+	 * @param {string} key - 账号标识
+	 * @returns {{acquired: true, lease: Object}|{acquired: false, holder: string, expiresAt: number}}
+	 */
+	acquireFileLock(key) {
+		const lockPath = this.getLockPath(key);
+		const lease = {
+			type: LeaseType.FILE,
+			key,
+			lockPath,
+			leaseId: crypto.randomUUID(),
+			expiresAt: Date.now() + this.ttl,
+		};
+		const content = JSON.stringify({
+			holder: this.holder,
+			leaseId: lease.leaseId,
+			expiresAt: lease.expiresAt,
+		});
+
+		for (let attempt = 0; attempt < 2; attempt++) {
+			try {
+				// wx: 文件已存在时失败，保证只有一个运行器创建成功
+				fs.writeFileSync(lockPath, content, { encoding: 'utf8', flag: 'wx' });
+				return { acquired: true, lease };
+			} catch (error) {
+				if (error.code !== 'EEXIST') {
+					throw error;
+				}
+			}
+
+			const existing = this.readFileLock(lockPath);
+			if (existing && existing.expiresAt > Date.now()) {
+				return { acquired: false, holder: existing.holder, expiresAt: existing.expiresAt };
+			}
+
+			console.log(`[租约] ${key}: 文件锁已过期，接管`);
+			fs.rmSync(lockPath, { force: true });
+		}
+
+		// 接管过期锁时被其他运行器抢先
+		const existing = this.readFileLock(lockPath);
+		return { acquired: false, holder: existing?.holder, expiresAt: existing?.expiresAt };
+	}
+
+	/**
+	 * 续期租约
+	 * @param {Object} lease - acquire 返回的租约
+	 * @returns {Promise<boolean>} - 租约已失效时返回 false
+	 */
+	async renew(lease) {
+		const expiresAt = Date.now() + this.ttl;
+
+		if (lease.type === LeaseType.BACKEND) {
+			const result = await renewAccountLeaseAPI({
+				account_id: lease.accountId,
+				lease_id: lease.leaseId,
+				ttl: this.ttl,
+			});
+			if (!result.success) {
+				return false;
+			}
+			lease.expiresAt = result.data?.expires_at ?? expiresAt;
+			return true;
+		}
+
+		const existing = this.readFileLock(lease.lockPath);
+		if (existing?.leaseId !== lease.leaseId) {
+			return false;
+		}
+		fs.writeFileSync(lease.lockPath, JSON.stringify({ ...existing, expiresAt }), 'utf8');
+		lease.expiresAt = expiresAt;
+		return true;
+	}
+
+	/**
+	 * 开始定时续期，间隔为有效期的三分之一
+	 * @param {Object} lease - acquire 返回的租约
+	 */
+	startHeartbeat(lease) {
+		lease.heartbeat = setInterval(async () => {
+			try {
+				if (!(await this.renew(lease))) {
+					console.log(`[租约] ${lease.key}: 续期失败，租约可能已被其他运行器获取`);
+				}
+			} catch (error) {
+				console.log(`[租约] ${lease.key}: 续期出错: ${error.message}`);
+			}
+		}, this.ttl / 3);
+		// 心跳不阻止进程退出
+		lease.heartbeat.unref();
+	}
+
+	/**
+	 * 停止续期并释放租约
+	 * @param {Object} lease - acquire 返回的租约
+	 */
+	async release(lease) {
+		clearInterval(lease.heartbeat);
+
+		try {
+			if (lease.type === LeaseType.BACKEND) {
+				const result = await releaseAccountLeaseAPI({
+					account_id: lease.accountId,
+					lease_id: lease.leaseId,
+				});
+				if (!result.success) {
+					console.log(`[租约] ${lease.key}: 释放租约失败 (${result.error})，将在过期后自动失效`);
+				}
+				return;
+			}
+
+			// 只删除自己持有的文件锁
+			if (this.readFileLock(lease.lockPath)?.leaseId === lease.leaseId) {
+				fs.rmSync(lease.lockPath, { force: true });
+			}
+		} catch (error) {
+			console.log(`[租约] ${lease.key}: 释放租约出错: ${error.message}`);
+		}
+	}
+
+	/**
+	 * 持有租约执行任务：获取租约、定时续期，任务结束后释放
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {Function} task - 获取到租约后执行的函数 () => Promise<Object>
+	 * @param {Object} [options]
+	 * @param {Function} [options.keep] - (result) => boolean，返回 true 时任务结束后不释放租约（继续续期），
+	 *   返回值中带上 lease，由调用方稍后调用 release
+	 * @returns {Promise<{locked: false, result: Object, lease?: Object}|{locked: true, holder?: string, expiresAt?: number, error?: string}>}
+	 */
+	async runWithLease(accountInfo, task, { keep } = {}) {
+		const acquired = await this.acquire(accountInfo);
+		if (!acquired.acquired) {
+			return {
+				locked: true,
+				holder: acquired.holder,
+				expiresAt: acquired.expiresAt,
+				error: acquired.error,
+			};
+		}
+
+		const { lease } = acquired;
+		this.startHeartbeat(lease);
+		let result;
+		try {
+			result = await task();
+		} catch (error) {
+			await this.release(lease);
+			throw error;
+		}
+
+		if (keep?.(result)) {
+			return { locked: false, result, lease };
+		}
+		await this.release(lease);
+		return { locked: false, result };
+	}
+}
+
+export default LeaseManager;
@@ -0,0 +1,288 @@
+/**
+ * 账号配置校验
+ * 加载账号后、启动浏览器前检查每个账号的字段类型和必填项，一次列出所有问题及其路径（如 [2].account_type），
+ * 避免配置错误到登录时才暴露
+ *
+ * 字段与 updateAccountInfo 的参数说明一致；平台注册表中自定义平台的 session、余额等字段也视为已知字段
+ * password 和各平台 session 字段也可以是密钥引用（见 secret-ref），这里只检查引用格式，在 prepareAccounts 中解析
+ */
+
+import { SESSION_STEP } from './strategy-chain.js';
+import { getLoginStrategy } from './login-strategy.js';
+import { getPlatforms } from './platforms.js';
+import { getSecretFields, isSecretRef, validateSecretRef } from './secret-ref.js';
+
+/**
+ * 字段类型说明，用于错误信息
+ */
+const TYPE_LABELS = {
+	string: '字符串',
+	number: '数字',
+	integer: '整数',
+	boolean: '布尔值',
+	array: '数组',
+	object: '对象',
+	null: 'null',
+};
+
+/**
+ * 账号字段定义
+ * - type: string / number / integer / boolean / array
+ * - enum: 可选值
+ * - min: 数值下限
+ * - validate: 额外校验，返回问题列表 [{path, message}]
+ * - secret: 可以是密钥引用，由 getAccountSchema 标记
+ */
+const ACCOUNT_SCHEMA = {
+	_id: { type: 'string' },
+	username: { type: 'string' },
+	password: { type: 'string' },
+	account_type: { type: 'integer', enum: [0, 1, 2] },
+	session: { type: 'string' },
+	session_expire_time: { type: 'number', min: 0 },
+	account_id: { type: 'string' },
+	// 旧版本的主平台用户 ID 字段，account_id 缺失时使用
+	api_user: { type: 'string' },
+	agentrouter_session: { type: 'string' },
+	agentrouter_session_expire_time: { type: 'number', min: 0 },
+	agentrouter_account_id: { type: 'string' },
+	checkin_date: { type: 'number', min: 0 },
+	balance: { type: 'number' },
+	agentrouter_balance: { type: 'number' },
+	used: { type: 'number' },
+	is_sold: { type: 'boolean' },
+	sell_date: { type: 'number', min: 0 },
+	can_sell: { type: 'boolean' },
+	workflow_url: { type: 'string' },
+	notes: { type: 'string' },
+	cache_key: { type: 'string' },
+	checkin_error_count: { type: 'integer', min: 0 },
+	checkin_mode: { type: 'integer', min: 1 },
+	checkin_strategies: { type: 'array', validate: validateStrategies },
+	aff_code: { type: 'string' },
+	notice_email: { type: 'string' },
+	create_date: { type: 'number', min: 0 },
+	update_date: { type: 'number', min: 0 },
+};
+
+/**
+ * 获取值的类型名称
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	if (typeof value === 'number' && Number.isInteger(value)) {
+		return 'integer';
+	}
+	return typeof value;
+}
+
+/**
+ * 判断值是否符合字段类型
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+	const actual = typeOf(value);
+	if (type === 'number') {
+		return actual === 'number' ? Number.isFinite(value) : actual === 'integer';
+	}
+	return actual === type;
+}
+
+/**
+ * 校验签到策略链配置
+ * @param {Array} steps - checkin_strategies 字段
+ * @param {string} path - 字段路径
+ * @returns {Array<{path: string, message: string}>}
+ */
+function validateStrategies(steps, path) {
+	const problems = [];
+	steps.forEach((step, i) => {
+		const stepPath = `${path}[${i}]`;
+		const name = typeof step === 'object' && step !== null ? step.name : step;
+
+		if (typeof name !== 'string') {
+			problems.push({
+				path: stepPath,
+				message: '应为策略名称或 {"name": "...", "timeout": 毫秒}',
+			});
+			return;
+		}
+		if (name !== SESSION_STEP && !getLoginStrategy(name)) {
+			problems.push({
+				path: typeof step === 'object' ? `${stepPath}.name` : stepPath,
+				message: `未知的签到策略 ${JSON.stringify(name)}`,
+			});
+		}
+		if (typeof step === 'object' && step.timeout !== undefined && !(step.timeout > 0)) {
+			problems.push({ path: `${stepPath}.timeout`, message: '应为大于 0 的毫秒数' });
+		}
+	});
+	return problems;
+}
+
+/**
+ * 获取账号字段定义，包含平台注册表中自定义平台的字段
+ * @returns {Object}
+ */
+function getAccountSchema() {
+	const schema = { ...ACCOUNT_SCHEMA };
+	for (const platform of getPlatforms()) {
+		schema[platform.sessionField] ??= { type: 'string' };
+		schema[platform.accountIdField] ??= { type: 'string' };
+		schema[platform.sessionExpireField] ??= { type: 'number', min: 0 };
+		if (platform.balanceField) {
+			schema[platform.balanceField] ??= { type: 'number' };
+		}
+		if (platform.usedField) {
+			schema[platform.usedField] ??= { type: 'number' };
+		}
+	}
+	for (const field of getSecretFields()) {
+		schema[field] = { ...schema[field], secret: true };
+	}
+	return schema;
+}
+
+/**
+ * 检查账号是否配置了任一平台的 session
+ * @param {Object} account
+ * @returns {boolean}
+ */
+function hasAnySession(account) {
+	return getPlatforms().some((platform) => Boolean(account[platform.sessionField]));
+}
+
+/**
+ * 校验单个账号
+ * @param {*} account - 账号配置
+ * @param {string} path - 账号路径，如 [2]
+ * @param {Object} schema - 字段定义
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+function validateAccount(account, path, schema) {
+	const errors = [];
+	const warnings = [];
+
+	if (typeOf(account) !== 'object') {
+		errors.push({ path, message: `应为对象，实际为${TYPE_LABELS[typeOf(account)]}` });
+		return { errors, warnings };
+	}
+
+	for (const [field, value] of Object.entries(account)) {
+		const fieldPath = `${path}.${field}`;
+		const rule = schema[field];
+
+		if (!rule) {
+			warnings.push({ path: fieldPath, message: '未知字段，将被忽略' });
+			continue;
+		}
+		// null 表示未设置，与服务端返回的空字段一致
+		if (value === null || value === undefined) {
+			continue;
+		}
+
+		if (rule.secret && isSecretRef(value)) {
+			const problem = validateSecretRef(value);
+			if (problem) {
+				errors.push({ path: fieldPath, message: problem });
+			}
+			continue;
+		}
+
+		if (!matchesType(value, rule.type)) {
+			// 密码和 session 字段只给出类型，不输出值（如 YAML 中未加引号的数字密码），避免写入日志
+			const actualType = TYPE_LABELS[typeOf(value)] || typeof value;
+			errors.push({
+				path: fieldPath,
+				message: rule.secret
+					? `应为${TYPE_LABELS[rule.type]}，实际为${actualType}`
+					: `应为${TYPE_LABELS[rule.type]}，实际为${actualType} ${JSON.stringify(value)}`,
+			});
+			continue;
+		}
+		if (rule.enum && !rule.enum.includes(value)) {
+			errors.push({
+				path: fieldPath,
+				message: `可选值为 ${rule.enum.join(', ')}，实际为 ${value}`,
+			});
+		}
+		if (rule.min !== undefined && value < rule.min) {
+			errors.push({ path: fieldPath, message: `不能小于 ${rule.min}，实际为 ${value}` });
+		}
+		if (rule.validate) {
+			errors.push(...rule.validate(value, fieldPath));
+		}
+	}
+
+	// 策略链中包含登录步骤（未声明时默认包含 account_type 对应的登录方式）时需要用户名和密码
+	const strategies = Array.isArray(account.checkin_strategies) ? account.checkin_strategies : [];
+	const sessionOnly =
+		strategies.length > 0 && strategies.every((step) => (step?.name ?? step) === SESSION_STEP);
+	if (!sessionOnly) {
+		const missing = ['username', 'password'].filter((field) => !account[field]);
+		for (const field of missing) {
+			// 只有 session 的账号仍可以签到，session 失效后才需要登录
+			if (hasAnySession(account) && strategies.length === 0) {
+				warnings.push({ path: `${path}.${field}`, message: '未设置，session 失效后无法登录' });
+			} else {
+				errors.push({ path: `${path}.${field}`, message: '必填' });
+			}
+		}
+	}
+
+	return { errors, warnings };
+}
+
+/**
+ * 校验账号列表
+ * @param {Array} accounts - 账号配置
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export function validateAccounts(accounts) {
+	if (!Array.isArray(accounts)) {
+		return {
+			valid: false,
+			errors: [{ path: '', message: '账号配置必须使用数组格式 [{}]' }],
+			warnings: [],
+		};
+	}
+
+	const schema = getAccountSchema();
+	const errors = [];
+	const warnings = [];
+	accounts.forEach((account, i) => {
+		const result = validateAccount(account, `[${i}]`, schema);
+		errors.push(...result.errors);
+		warnings.push(...result.warnings);
+	});
+
+	return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * 输出校验报告
+ * @param {{errors: Array, warnings: Array}} result - validateAccounts 的返回值
+ * @param {string} source - 账号配置来源，用于提示
+ */
+export function printValidationReport({ errors, warnings }, source) {
+	for (const { path, message } of warnings) {
+		console.log(`[警告] ${source}${path}: ${message}`);
+	}
+	if (errors.length > 0) {
+		console.error(`[错误] ${source} 校验失败，共 ${errors.length} 个问题:`);
+		for (const { path, message } of errors) {
+			console.error(`  ${source}${path}: ${message}`);
+		}
+	}
+}
+
+export default { validateAccounts, printValidationReport };
@@ -0,0 +1,147 @@
+/**
+ * 账号分片
+ * 多个运行器（不同的工作流仓库）共用同一份完整账号列表时，各自按一致性哈希环选出自己负责的账号：
+ * - 分片编号：--shard 2/5 或 CHECKIN_SHARD=2/5，环上的节点为 1..5 号分片
+ * - 运行器列表：CHECKIN_RUNNERS=runner-a,runner-b,...，当前运行器标识为 CHECKIN_RUNNER，
+ *   未设置时为 workflow_url（GitHub Actions 中默认为当前仓库地址）；
+ *   账号的 workflow_url 在运行器列表中时固定分配给该运行器，其余账号按哈希分配
+ * 增加或减少节点时只有相邻区间的账号会重新分配
+ */
+
+import crypto from 'crypto';
+import { getAccountKey } from './account-store.js';
+import { getRunnerFilter } from './account-source.js';
+
+/**
+ * 每个节点在哈希环上的虚拟节点数，越多分配越均匀
+ */
+const VIRTUAL_NODES = 160;
+
+/**
+ * 计算字符串在哈希环上的位置
+ * @param {string} value
+ * @returns {number} - 32 位无符号整数
+ */
+function hashPosition(value) {
+	return crypto.createHash('sha1').update(value).digest().readUInt32BE(0);
+}
+
+/**
+ * 一致性哈希环
+ */
+export class HashRing {
+	/**
+	 * @param {string[]} nodes - 节点标识
+	 * @param {number} [virtualNodes] - 每个节点的虚拟节点数
+	 */
+	constructor(nodes, virtualNodes = VIRTUAL_NODES) {
+		this.nodes = [...new Set(nodes)];
+		this.points = this.nodes
+			.flatMap((node) =>
+				Array.from({ length: virtualNodes }, (_, i) => ({
+					position: hashPosition(`${node}#${i}`),
+					node,
+				}))
+			)
+			.sort((a, b) => a.position - b.position);
+	}
+
+	/**
+	 * 获取负责某个键的节点：环上顺时针方向的第一个虚拟节点
+	 * @param {string} key
+	 * @returns {string|null} - 环为空时返回 null
+	 */
+	getNode(key) {
+		if (this.points.length === 0) {
+			return null;
+		}
+
+		const position = hashPosition(key);
+		let low = 0;
+		let high = this.points.length;
+		while (low < high) {
+			const mid = (low + high) >> 1;
+			if (this.points[mid].position < position) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+		return this.points[low % this.points.length].node;
+	}
+}
+
+/**
+ * 解析分片编号
+ * @param {string} spec - 形如 2/5 的分片编号，序号从 1 开始
+ * @returns {{index: number, count: number}}
+ * @throws {Error} - 格式不正确时抛出
+ */
+export function parseShardSpec(spec) {
+	const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(spec));
+	const index = match ? parseInt(match[1]) : NaN;
+	const count = match ? parseInt(match[2]) : NaN;
+	if (!(count >= 1 && index >= 1 && index <= count)) {
+		throw new Error(`分片编号 ${spec} 格式不正确，应为 序号/总数，例如 2/5`);
+	}
+	return { index, count };
+}
+
+/**
+ * 获取分片配置：优先使用分片编号，其次使用运行器列表
+ * @param {Object} [options]
+ * @param {string} [options.shard] - 分片编号，默认读取 CHECKIN_SHARD
+ * @param {string} [options.runners] - 逗号分隔的运行器列表，默认读取 CHECKIN_RUNNERS
+ * @returns {{label: string, nodes: string[], self: string}|null} - 未配置分片时返回 null
+ * @throws {Error} - 分片编号格式不正确或当前运行器不在运行器列表中时抛出
+ */
+export function getShardConfig({
+	shard = process.env.CHECKIN_SHARD,
+	runners = process.env.CHECKIN_RUNNERS,
+} = {}) {
+	if (shard) {
+		const { index, count } = parseShardSpec(shard);
+		return {
+			label: `${index}/${count}`,
+			nodes: Array.from({ length: count }, (_, i) => `shard-${i + 1}`),
+			self: `shard-${index}`,
+		};
+	}
+
+	const nodes = (runners || '')
+		.split(',')
+		.map((runner) => runner.trim())
+		.filter(Boolean);
+	if (nodes.length === 0) {
+		return null;
+	}
+
+	const { runner, workflow_url } = getRunnerFilter();
+	const self = runner || workflow_url;
+	if (!self || !nodes.includes(self)) {
+		throw new Error(
+			`当前运行器 ${self || '(未设置 CHECKIN_RUNNER)'} 不在 CHECKIN_RUNNERS 中: ${nodes.join(', ')}`
+		);
+	}
+
+	return { label: `${self} (${nodes.indexOf(self) + 1}/${nodes.length})`, nodes, self };
+}
+
+/**
+ * 从完整账号列表中选出当前分片负责的账号，保持原有顺序
+ * @param {Array} accounts - 完整账号列表
+ * @param {{nodes: string[], self: string}} config - getShardConfig 返回的分片配置
+ * @returns {Array}
+ */
+export function selectShardAccounts(accounts, { nodes, self }) {
+	const ring = new HashRing(nodes);
+	return accounts.filter((account) => {
+		// 账号指定的工作流是运行器之一时，固定由该运行器处理
+		const owner = nodes.includes(account.workflow_url)
+			? account.workflow_url
+			: ring.getNode(getAccountKey(account));
+		return owner === self;
+	});
+}
+
+export default { HashRing, parseShardSpec, getShardConfig, selectShardAccounts };
@@ -0,0 +1,261 @@
+/**
+ * 账号配置来源
+ * - env: 读取本地账号配置（默认）
+ * - api: 从服务端拉取分配给当前运行器的账号，本地账号配置中的同 _id 记录覆盖服务端的字段，
+ *   服务端拉取失败时回退到本地账号配置
+ *
+ * 本地账号配置为 ANYROUTER_ACCOUNTS_FILE 指定的 JSON / YAML 文件，未设置时为 ANYROUTER_ACCOUNTS 环境变量中的 JSON 数组
+ * ANYROUTER_ACCOUNTS_FILE 也可以是 vault-cli 创建的加密保险库，使用 ANYROUTER_VAULT_KEY_FILE 或 ANYROUTER_VAULT_PASSPHRASE 解密
+ * 加载后的账号列表按 account-schema 校验，有问题时列出所有问题并停止运行
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { getAssignedAccounts } from '../api/index.js';
+import { printValidationReport, validateAccounts } from './account-schema.js';
+import { decryptVault, isVault, readKeyFile } from '../utils/vault.js';
+
+/**
+ * 支持的账号来源
+ */
+export const AccountsSource = {
+	ENV: 'env',
+	API: 'api',
+};
+
+/**
+ * 获取账号来源，通过 ACCOUNTS_SOURCE 环境变量配置
+ * @returns {string}
+ */
+export function getAccountsSource() {
+	const source = process.env.ACCOUNTS_SOURCE || AccountsSource.ENV;
+	if (!Object.values(AccountsSource).includes(source)) {
+		console.error(`[错误] ACCOUNTS_SOURCE 不支持 ${source}，使用 ${AccountsSource.ENV}`);
+		return AccountsSource.ENV;
+	}
+	return source;
+}
+
+/**
+ * 获取当前运行器的筛选条件
+ * runner 读取 CHECKIN_RUNNER；workflow_url 读取 WORKFLOW_URL，在 GitHub Actions 中未设置时使用当前仓库地址
+ * @returns {{runner?: string, workflow_url?: string}}
+ */
+export function getRunnerFilter() {
+	const { CHECKIN_RUNNER, WORKFLOW_URL, GITHUB_SERVER_URL, GITHUB_REPOSITORY } = process.env;
+	const workflowUrl =
+		WORKFLOW_URL ||
+		(GITHUB_SERVER_URL && GITHUB_REPOSITORY
+			? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}`
+			: undefined);
+
+	return {
+		runner: CHECKIN_RUNNER || undefined,
+		workflow_url: workflowUrl,
+	};
+}
+
+/**
+ * 从环境变量加载账号配置
+ * @param {Object} [options]
+ * @param {boolean} [options.optional] - 环境变量未设置时不输出错误
+ * @returns {Array|null} - 未设置或格式不正确时返回 null
+ */
+export function loadAccountsFromEnv({ optional = false } = {}) {
+	const accountsStr = process.env.ANYROUTER_ACCOUNTS;
+	if (!accountsStr) {
+		if (!optional) {
+			console.error('[错误] ANYROUTER_ACCOUNTS 环境变量未找到');
+		}
+		return null;
+	}
+
+	try {
+		const accountsData = JSON.parse(accountsStr);
+
+		// 检查是否为数组格式
+		if (!Array.isArray(accountsData)) {
+			console.error('[错误] 账号配置必须使用数组格式 [{}]');
+			return null;
+		}
+
+		return accountsData;
+	} catch (error) {
+		console.error(`[错误] 账号配置格式不正确: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * 获取账号保险库的解密密钥：优先读取 ANYROUTER_VAULT_KEY_FILE 指定的密钥文件，其次为 ANYROUTER_VAULT_PASSPHRASE 口令
+ * @returns {string|Buffer|null} - 都未设置时返回 null
+ */
+export function getVaultSecret() {
+	const { ANYROUTER_VAULT_KEY_FILE, ANYROUTER_VAULT_PASSPHRASE } = process.env;
+	if (ANYROUTER_VAULT_KEY_FILE) {
+		return readKeyFile(ANYROUTER_VAULT_KEY_FILE);
+	}
+	return ANYROUTER_VAULT_PASSPHRASE || null;
+}
+
+/**
+ * 解密账号保险库
+ * @param {Object} vault - 保险库文件内容
+ * @returns {Array} - 保险库中的账号数组
+ * @throws {Error} - 未配置密钥或解密失败时抛出
+ */
+function decryptAccountsVault(vault) {
+	const secret = getVaultSecret();
+	if (!secret) {
+		throw new Error(
+			'账号文件已加密，需要配置 ANYROUTER_VAULT_KEY_FILE 或 ANYROUTER_VAULT_PASSPHRASE'
+		);
+	}
+	return decryptVault(vault, secret).accounts;
+}
+
+/**
+ * 从 JSON 或 YAML 文件加载账号配置，按扩展名（.yaml / .yml）判断格式，其余按 JSON 解析，加密保险库自动解密
+ * @param {string} filePath - 文件路径，相对路径基于当前工作目录
+ * @returns {Array|null} - 读取失败或格式不正确时返回 null
+ */
+export function loadAccountsFromFile(filePath) {
+	const resolvedPath = path.resolve(filePath);
+
+	try {
+		const content = fs.readFileSync(resolvedPath, 'utf8');
+		const isYaml = /\.ya?ml$/i.test(resolvedPath);
+		let accountsData = isYaml ? yaml.load(content) : JSON.parse(content);
+		if (isVault(accountsData)) {
+			accountsData = decryptAccountsVault(accountsData);
+		}
+
+		if (!Array.isArray(accountsData)) {
+			console.error(`[错误] 账号文件 ${filePath} 必须是账号数组`);
+			return null;
+		}
+
+		console.log(`[账号] 从文件 ${filePath} 加载了 ${accountsData.length} 个账号`);
+		return accountsData;
+	} catch (error) {
+		console.error(`[错误] 读取账号文件 ${filePath} 失败: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * 加载本地账号配置：设置了 ANYROUTER_ACCOUNTS_FILE 时读取文件，否则读取 ANYROUTER_ACCOUNTS
+ * @param {Object} [options]
+ * @param {boolean} [options.optional] - 未配置时不输出错误
+ * @returns {Array|null}
+ */
+export function loadLocalAccounts({ optional = false } = {}) {
+	const filePath = process.env.ANYROUTER_ACCOUNTS_FILE;
+	return filePath ? loadAccountsFromFile(filePath) : loadAccountsFromEnv({ optional });
+}
+
+/**
+ * 从服务端拉取分配给当前运行器的账号
+ * @returns {Promise<Array|null>} - 拉取失败时返回 null
+ */
+export async function loadAccountsFromApi() {
+	if (!process.env.API_BASE_URL) {
+		console.error('[错误] ACCOUNTS_SOURCE=api 需要配置 API_BASE_URL');
+		return null;
+	}
+
+	const filter = getRunnerFilter();
+	if (!filter.runner && !filter.workflow_url) {
+		console.error('[错误] ACCOUNTS_SOURCE=api 需要配置 CHECKIN_RUNNER 或 WORKFLOW_URL');
+		return null;
+	}
+
+	console.log(
+		`[账号] 从服务端拉取账号 (runner: ${filter.runner || '-'}, workflow_url: ${filter.workflow_url || '-'})`
+	);
+	const result = await getAssignedAccounts(filter);
+	if (!result.success) {
+		console.error(`[错误] 从服务端拉取账号失败: ${result.error}`);
+		return null;
+	}
+	if (!Array.isArray(result.data)) {
+		console.error('[错误] 服务端返回的账号列表格式不正确');
+		return null;
+	}
+
+	console.log(`[账号] 服务端分配了 ${result.data.length} 个账号`);
+	return result.data;
+}
+
+/**
+ * 用本地账号配置覆盖服务端返回的账号
+ * 相同 _id 的记录合并（本地配置中的字段优先），本地配置中没有对应记录的账号追加到末尾
+ * @param {Array} apiAccounts - 服务端返回的账号
+ * @param {Array} envAccounts - 本地配置中的账号
+ * @returns {Array}
+ */
+function applyEnvOverrides(apiAccounts, envAccounts) {
+	const accounts = apiAccounts.map((account) => {
+		const override = envAccounts.find((a) => a._id && a._id === account._id);
+		return override ? { ...account, ...override } : account;
+	});
+
+	const extraAccounts = envAccounts.filter(
+		(a) => !a._id || !apiAccounts.some((account) => account._id === a._id)
+	);
+	if (extraAccounts.length > 0) {
+		console.log(`[账号] 追加本地账号配置中的 ${extraAccounts.length} 个账号`);
+	}
+
+	return [...accounts, ...extraAccounts];
+}
+
+/**
+ * 按 ACCOUNTS_SOURCE 加载账号配置（未校验）
+ * @returns {Promise<Array|null>}
+ */
+async function loadAccountsFromSource() {
+	if (getAccountsSource() === AccountsSource.ENV) {
+		return loadLocalAccounts();
+	}
+
+	const envAccounts = loadLocalAccounts({ optional: true });
+	const apiAccounts = await loadAccountsFromApi();
+
+	if (!apiAccounts) {
+		if (envAccounts) {
+			console.log('[账号] 回退到本地账号配置');
+		}
+		return envAccounts;
+	}
+
+	return envAccounts ? applyEnvOverrides(apiAccounts, envAccounts) : apiAccounts;
+}
+
+/**
+ * 按 ACCOUNTS_SOURCE 加载账号配置并校验
+ * @returns {Promise<Array|null>} - 无法加载或校验失败时返回 null
+ */
+export async function loadAccounts() {
+	const accounts = await loadAccountsFromSource();
+	if (!accounts) {
+		return null;
+	}
+
+	const validation = validateAccounts(accounts);
+	printValidationReport(validation, '账号配置');
+	return validation.valid ? accounts : null;
+}
+
+export default {
+	AccountsSource,
+	getAccountsSource,
+	getRunnerFilter,
+	loadAccountsFromEnv,
+	getVaultSecret,
+	loadAccountsFromFile,
+	loadLocalAccounts,
+	loadAccountsFromApi,
+	loadAccounts,
+};
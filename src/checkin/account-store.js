@@ -0,0 +1,181 @@
+/**
+ * 本地账号状态存储
+ * 未配置 API_BASE_URL 时代替服务端保存签到过程中更新的账号字段（session、account_id、余额、错误次数等），
+ * 下次运行时合并到 ANYROUTER_ACCOUNTS 的账号配置上，使 session 签到和错误次数统计在没有服务端时也能生效
+ *
+ * 状态目录在 CI 中会被 actions/cache 缓存：配置了保险库密钥时状态文件整体加密，
+ * 未配置密钥时在 CI 中 session 不写入状态文件，本地运行时照常保存（见 state-secrets）
+ */
+
+import fs from 'fs';
+import { getStateSecret, isStateDirCached, omitSecretFields } from './state-secrets.js';
+import { resolveStatePath } from '../utils/state-dir.js';
+import { decryptVault, encryptVault, isVault } from '../utils/vault.js';
+
+/**
+ * 状态文件名（位于状态目录下）
+ */
+export const ACCOUNT_STORE_FILE = 'accounts.json';
+
+/**
+ * 不允许写入的字段，与服务端 updateAccountInfo 保持一致
+ */
+const READONLY_FIELDS = ['_id', 'create_date', 'account_type'];
+
+/**
+ * 获取账号在本地状态中的标识：优先使用 _id，没有 _id 时使用用户名
+ * @param {Object} accountInfo - 账号记录
+ * @returns {string}
+ */
+export function getAccountKey(accountInfo) {
+	return String(accountInfo._id || accountInfo.username || '');
+}
+
+export class LocalAccountStore {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.filePath] - 状态文件路径，默认为状态目录下的 accounts.json
+	 * @param {string|Buffer|null} [options.secret] - 状态文件加密密钥，默认为保险库密钥，为 null 时不加密
+	 * @param {boolean} [options.omitSecrets] - 不加密时是否移除 session 等敏感字段，默认在 CI 中移除
+	 */
+	constructor(options = {}) {
+		this.filePath = options.filePath || resolveStatePath(ACCOUNT_STORE_FILE);
+		this.secret = options.secret !== undefined ? options.secret : getStateSecret();
+		this.omitSecrets = options.omitSecrets ?? isStateDirCached();
+		this.records = null;
+		// 未加密时是否已提示过 session 不写入状态文件
+		this.omitWarned = false;
+	}
+
+	/**
+	 * 加载状态文件（只在第一次使用时读取）
+	 * @returns {Object<string, Object>} - 账号标识到已保存字段的映射
+	 */
+	load() {
+		if (this.records) {
+			return this.records;
+		}
+
+		this.records = {};
+		if (!fs.existsSync(this.filePath)) {
+			return this.records;
+		}
+
+		let data;
+		try {
+			data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+		} catch (error) {
+			console.error(`[本地状态] 状态文件格式不正确，忽略已保存的状态: ${error.message}`);
+			return this.records;
+		}
+
+		if (isVault(data)) {
+			if (!this.secret) {
+				console.error('[本地状态] 状态文件已加密，但未配置保险库密钥，忽略已保存的状态');
+				return this.records;
+			}
+			try {
+				data = decryptVault(data, this.secret);
+			} catch (error) {
+				console.error(`[本地状态] ${error.message}，忽略已保存的状态`);
+				return this.records;
+			}
+		}
+
+		this.records = data.accounts || {};
+		return this.records;
+	}
+
+	/**
+	 * 写入状态文件（先写临时文件再重命名，避免中断时损坏）
+	 * 配置了密钥时加密写入；否则写入明文，在 CI 中先移除 session
+	 */
+	save() {
+		let content;
+		if (this.secret) {
+			content = encryptVault({ accounts: this.records }, this.secret);
+		} else if (!this.omitSecrets) {
+			content = { accounts: this.records };
+		} else {
+			const accounts = {};
+			const omittedFields = new Set();
+			for (const [key, record] of Object.entries(this.records)) {
+				const { data, omitted } = omitSecretFields(record);
+				accounts[key] = data;
+				omitted.forEach((field) => omittedFields.add(field));
+			}
+			if (omittedFields.size > 0 && !this.omitWarned) {
+				this.omitWarned = true;
+				console.log(
+					`[本地状态] 在 CI 中运行且未配置保险库密钥，${[...omittedFields].join(', ')} 不写入会被缓存的状态文件，下次运行无法使用本次获取的 session`
+				);
+			}
+			content = { accounts };
+		}
+
+		const tempPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tempPath, JSON.stringify(content, null, 2), { encoding: 'utf8', mode: 0o600 });
+		fs.renameSync(tempPath, this.filePath);
+	}
+
+	/**
+	 * 将已保存的状态合并到账号配置上，已保存的字段覆盖配置中的同名字段
+	 * @param {Array} accounts - 账号配置
+	 * @returns {Array} - 合并后的账号配置（副本）
+	 */
+	merge(accounts) {
+		const records = this.load();
+		let mergedCount = 0;
+
+		const merged = accounts.map((account) => {
+			const record = records[getAccountKey(account)];
+			if (!record) {
+				return account;
+			}
+			mergedCount++;
+			return { ...account, ...record };
+		});
+
+		if (mergedCount > 0) {
+			console.log(`[本地状态] 已合并 ${mergedCount} 个账号的本地状态`);
+		}
+		return merged;
+	}
+
+	/**
+	 * 更新账号信息，返回值与服务端 updateAccountInfo 一致
+	 * @param {string} key - 账号标识
+	 * @param {Object} updateData - 要更新的字段
+	 * @returns {{success: boolean, data?: {updated: number, updatedFields: string[]}, error?: string}}
+	 */
+	updateAccountInfo(key, updateData) {
+		if (!key) {
+			return { success: false, error: '账号ID不能为空' };
+		}
+
+		const updatedFields = Object.keys(updateData || {}).filter(
+			(field) => !READONLY_FIELDS.includes(field)
+		);
+		if (updatedFields.length === 0) {
+			return { success: false, error: '更新数据不能为空' };
+		}
+
+		const records = this.load();
+		const record = { ...records[key] };
+		for (const field of updatedFields) {
+			record[field] = updateData[field];
+		}
+		record.update_date = Date.now();
+		records[key] = record;
+
+		try {
+			this.save();
+		} catch (error) {
+			return { success: false, error: `写入本地状态失败: ${error.message}` };
+		}
+
+		return { success: true, data: { updated: 1, updatedFields } };
+	}
+}
+
+export default LocalAccountStore;
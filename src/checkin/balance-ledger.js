@@ -0,0 +1,184 @@
+/**
+ * 余额流水
+ * 每次获取到账号余额时追加一条记录（JSON Lines），计算与上一次记录相比的余额变化，
+ * 并结合已使用额度的变化区分签到收益和异常减少
+ */
+
+import fs from 'fs';
+import { quotaToDollars } from './platforms.js';
+import { resolveStatePath } from '../utils/state-dir.js';
+
+/**
+ * 流水文件名（位于状态目录下）
+ */
+export const LEDGER_FILE = 'balance-ledger.jsonl';
+
+/**
+ * 默认保留天数，可通过 BALANCE_LEDGER_RETENTION_DAYS 环境变量修改
+ */
+export const DEFAULT_RETENTION_DAYS = 90;
+
+/**
+ * 余额变化的容差（美元），用于忽略 quota 换算产生的误差
+ */
+const TOLERANCE = 0.01;
+
+/**
+ * 保留两位小数
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+export class BalanceLedger {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.filePath] - 流水文件路径，默认为状态目录下的 balance-ledger.jsonl
+	 * @param {number} [options.retentionDays] - 保留天数，加载时清理更早的记录
+	 */
+	constructor(options = {}) {
+		this.filePath = options.filePath || resolveStatePath(LEDGER_FILE);
+		this.retentionDays =
+			options.retentionDays ??
+			(parseInt(process.env.BALANCE_LEDGER_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS);
+		this.entries = null;
+	}
+
+	/**
+	 * 加载流水记录（只在第一次使用时读取文件），同时清理超过保留天数的记录
+	 * @returns {Array}
+	 */
+	load() {
+		if (this.entries) {
+			return this.entries;
+		}
+
+		this.entries = [];
+		if (!fs.existsSync(this.filePath)) {
+			return this.entries;
+		}
+
+		const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+		for (const line of lines) {
+			if (!line.trim()) {
+				continue;
+			}
+			try {
+				this.entries.push(JSON.parse(line));
+			} catch {
+				console.log('[流水] 忽略格式错误的余额记录');
+			}
+		}
+
+		const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+		const kept = this.entries.filter((e) => e.ts >= cutoff);
+		if (kept.length < this.entries.length) {
+			console.log(`[流水] 清理 ${this.entries.length - kept.length} 条超过保留天数的余额记录`);
+			this.entries = kept;
+			fs.writeFileSync(this.filePath, kept.map((e) => `${JSON.stringify(e)}\n`).join(''), 'utf8');
+		}
+
+		return this.entries;
+	}
+
+	/**
+	 * 获取账号在某个平台上的最后一条记录
+	 * @param {string} account - 账号标识
+	 * @param {string} platformKey - 平台标识
+	 * @returns {Object|null}
+	 */
+	getLastEntry(account, platformKey) {
+		const entries = this.load();
+		for (let i = entries.length - 1; i >= 0; i--) {
+			if (entries[i].account === account && entries[i].platform === platformKey) {
+				return entries[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * 记录一次余额观测
+	 * earned = 余额变化 + 已使用额度的增加，即扣除正常消耗后的收益；earned 为负说明余额出现了无法用消耗解释的减少
+	 * @param {string} account - 账号标识
+	 * @param {Object} platform - 平台配置
+	 * @param {Object} userInfo - 统一结构的用户信息 { quota, usedQuota }
+	 * @param {number} [timestamp] - 观测时间
+	 * @returns {Object} - 写入的记录，包含 previousTs、delta、spent、earned、anomaly
+	 */
+	record(account, platform, userInfo, timestamp = Date.now()) {
+		const previous = this.getLastEntry(account, platform.key);
+		const balance = round(quotaToDollars(platform, userInfo.quota));
+		const used = round(quotaToDollars(platform, userInfo.usedQuota));
+
+		const entry = {
+			ts: timestamp,
+			account,
+			platform: platform.key,
+			quota: userInfo.quota,
+			usedQuota: userInfo.usedQuota,
+			balance,
+			used,
+			previousTs: previous ? previous.ts : null,
+			delta: null,
+			spent: null,
+			earned: null,
+			anomaly: false,
+		};
+
+		if (previous) {
+			entry.delta = round(balance - previous.balance);
+			// 已使用额度被重置时无法计算消耗，按 0 处理
+			entry.spent = round(Math.max(used - previous.used, 0));
+			entry.earned = round(entry.delta + entry.spent);
+			entry.anomaly = entry.earned < -TOLERANCE;
+		}
+
+		this.load().push(entry);
+		try {
+			fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+		} catch (error) {
+			console.error(`[流水] 写入余额记录失败: ${error.message}`);
+		}
+
+		return entry;
+	}
+
+	/**
+	 * 统计账号在时间范围内的累计收益
+	 * @param {string} account - 账号标识
+	 * @param {Object} [range]
+	 * @param {number} [range.from] - 开始时间（含），默认不限
+	 * @param {number} [range.to] - 结束时间（不含），默认不限
+	 * @param {string} [range.platform] - 只统计某个平台
+	 * @returns {{total: number, byPlatform: Object<string, number>, anomalies: Array}} - 异常减少的记录不计入收益
+	 */
+	getEarnings(account, { from = 0, to = Infinity, platform } = {}) {
+		const byPlatform = {};
+		const anomalies = [];
+		let total = 0;
+
+		for (const entry of this.load()) {
+			if (entry.account !== account || entry.ts < from || entry.ts >= to) {
+				continue;
+			}
+			if (platform && entry.platform !== platform) {
+				continue;
+			}
+			if (entry.anomaly) {
+				anomalies.push(entry);
+				continue;
+			}
+			if (entry.earned > 0) {
+				byPlatform[entry.platform] = round((byPlatform[entry.platform] || 0) + entry.earned);
+				total += entry.earned;
+			}
+		}
+
+		return { total: round(total), byPlatform, anomalies };
+	}
+}
+
+export default BalanceLedger;
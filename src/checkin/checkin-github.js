@@ -3,7 +3,6 @@
  * 通过 GitHub 第三方登录方式获取 session 和 api_user
  */
 
-import { chromium } from 'playwright';
 import {
 	applyStealthToContext,
 	getStealthArgs,
@@ -11,12 +10,19 @@ import {
 } from '../utils/playwright-stealth.js';
 import { addAccountLoginInfo, getAccountLoginInfo } from '../api/index.js';
 import NotificationKit from '../utils/notify.js';
+import { getPlatformByBaseUrl, getPrimaryPlatform, quotaToDollars } from './platforms.js';
+import { browserPool } from '../utils/browser-pool.js';
+import { CheckinErrorCode, createFailure, failureFromError } from './errors.js';
+import { SignInTracker } from './signin-response.js';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/async.js';
 import path from 'path';
 import fs from 'fs';
 
 class AnyRouterGitHubSignIn {
-	constructor(baseUrl = 'https://anyrouter.top') {
+	constructor(baseUrl = getPrimaryPlatform().baseUrl) {
 		this.baseUrl = baseUrl;
+		this.platform = getPlatformByBaseUrl(baseUrl);
 		this.adminUrl =
 			'https://env-00jxtt8kw1jt-static.normal.cloudstatic.cn/admin/index.html#/pages/anyrouter-accounts/add-login-info';
 	}
@@ -53,15 +59,33 @@ class AnyRouterGitHubSignIn {
 		await new Promise((resolve) => setTimeout(resolve, delay));
 	}
 
+	/**
+	 * 读取 GitHub 登录页的错误提示（如 Incorrect username or password.）
+	 * @param {import('playwright').Page} page - 当前页面
+	 * @returns {Promise<string|null>} - 错误提示文本，没有提示时返回 null
+	 */
+	async getLoginFlashError(page) {
+		const flash = page.locator('#js-flash-container .flash-error');
+		const isVisible = await flash.isVisible().catch(() => false);
+		if (!isVisible) {
+			return null;
+		}
+
+		const text = await flash.innerText().catch(() => '');
+		return text.trim() || null;
+	}
+
 	/**
 	 * 通过 GitHub 第三方登录获取 session 和 api_user
 	 * @param {string} accountId - AnyRouter 账号记录ID (来自环境变量 ANYROUTER_ACCOUNTS 的 _id)
 	 * @param {string} username - GitHub 用户名
 	 * @param {string} password - GitHub 密码
 	 * @param {string} noticeEmail - 通知邮箱 (可选，用于发送设备验证通知)
-	 * @returns {Object|null} - { session: string, apiUser: string, userInfo: object }
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - 中止时（签到步骤超时）关闭浏览器上下文
+	 * @returns {Object} - { success: true, session: string, apiUser: string, userInfo: object }，失败时为 { success: false, error, errorCode, errorContext }
 	 */
-	async loginAndGetSession(accountId, username, password, noticeEmail = null) {
+	async loginAndGetSession(accountId, username, password, noticeEmail = null, options = {}) {
 		console.log(`[登录签到] 开始处理 GitHub 账号: ${username}`);
 		console.log(`[账号ID] AnyRouter 账号ID: ${accountId}`);
 
@@ -74,22 +98,26 @@ class AnyRouterGitHubSignIn {
 			console.log(`[浏览器] 使用持久化上下文: ${userDataDir}`);
 			console.log('[浏览器] 启动 Chromium 浏览器（持久化模式，已启用反检测）...');
 
-			// 启动持久化浏览器上下文
-			context = await chromium.launchPersistentContext(userDataDir, {
-				headless: true,
-				viewport: { width: 1920, height: 1080 },
-				userAgent:
-					'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-				locale: 'zh-CN',
-				timezoneId: 'Asia/Shanghai',
-				deviceScaleFactor: 1,
-				isMobile: false,
-				hasTouch: false,
-				permissions: ['geolocation', 'notifications'],
-				colorScheme: 'light',
-				args: getStealthArgs(),
-				ignoreDefaultArgs: getIgnoreDefaultArgs(),
-			});
+			// 启动持久化浏览器上下文（与用户数据目录绑定，不参与浏览器复用）
+			context = await browserPool.launchPersistentContext(
+				userDataDir,
+				{
+					headless: true,
+					viewport: { width: 1920, height: 1080 },
+					userAgent:
+						'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+					locale: 'zh-CN',
+					timezoneId: 'Asia/Shanghai',
+					deviceScaleFactor: 1,
+					isMobile: false,
+					hasTouch: false,
+					permissions: ['geolocation', 'notifications'],
+					colorScheme: 'light',
+					args: getStealthArgs(),
+					ignoreDefaultArgs: getIgnoreDefaultArgs(),
+				},
+				options.signal
+			);
 
 			// 应用反检测脚本到上下文
 			await applyStealthToContext(context);
@@ -99,7 +127,8 @@ class AnyRouterGitHubSignIn {
 			page = pages.length > 0 ? pages[0] : await context.newPage();
 
 			// 设置请求拦截，监听登录和签到接口
-			let signInResponse = null;
+			// 记录页面自动签到的响应和签到前后的额度
+			const signInTracker = new SignInTracker();
 			let userSelfResponse = null;
 			let sessionCookie = null;
 
@@ -112,16 +141,17 @@ class AnyRouterGitHubSignIn {
 			page.on('response', async (response) => {
 				const url = response.url();
 
-				// 注释掉签到接口监听 - AnyRouter 和 AgentRouter 都不需要监听此接口
-				// if (url.includes('/api/user/sign_in')) {
-				// 	console.log('[网络] 捕获签到接口响应');
-				// 	signInResponse = await response.json().catch(() => null);
-				// }
+				// 监听签到接口响应
+				if (url.includes('/api/user/sign_in')) {
+					console.log('[网络] 捕获签到接口响应');
+					signInTracker.onSignIn(await response.json().catch(() => null));
+				}
 
 				// 监听用户信息接口响应
 				if (url.includes('/api/user/self')) {
 					console.log('[网络] 捕获用户信息接口响应');
 					userSelfResponse = await response.json().catch(() => null);
+					signInTracker.onUserSelf(userSelfResponse);
 					userSelfResolve(true); // 通知已收到响应
 				}
 			});
@@ -245,17 +275,18 @@ class AnyRouterGitHubSignIn {
 				// 在新页面上设置响应监听
 				page.on('response', async (response) => {
 					const url = response.url();
-					console.log(`[网络] 捕获响应: ${url}`);
-					// 注释掉签到接口监听 - AnyRouter 和 AgentRouter 都不需要监听此接口
-					// if (url === `${this.baseUrl}/api/user/sign_in`) {
-					// 	console.log('[网络] 捕获签到接口响应');
-					// 	signInResponse = await response.json().catch(() => null);
-					// }
+					logger.debug(`[网络] 捕获响应: ${url}`);
+					// 监听签到接口响应
+					if (url === `${this.baseUrl}/api/user/sign_in`) {
+						console.log('[网络] 捕获签到接口响应');
+						signInTracker.onSignIn(await response.json().catch(() => null));
+					}
 
 					// 监听用户信息接口响应
 					if (url === `${this.baseUrl}/api/user/self`) {
 						console.log('[网络] 捕获用户信息接口响应');
 						userSelfResponse = await response.json().catch(() => null);
+						signInTracker.onUserSelf(userSelfResponse);
 						userSelfResolve(true); // 通知已收到响应
 					}
 				});
@@ -365,6 +396,9 @@ class AnyRouterGitHubSignIn {
 							let deviceCodeFilled = false;
 
 							while (Date.now() - startTime < maxPollingTime) {
+								// 签到步骤超时后浏览器上下文已关闭，停止轮询
+								options.signal?.throwIfAborted();
+
 								// 调用 getAccountLoginInfo 接口查询
 								const getResult = await getAccountLoginInfo({
 									login_info_id: loginInfoId,
@@ -376,7 +410,7 @@ class AnyRouterGitHubSignIn {
 
 									// 检查 github_device_code 是否已填写
 									if (loginInfo.github_device_code && loginInfo.github_device_code.trim() !== '') {
-										console.log(`[轮询] 检测到设备验证码: ${loginInfo.github_device_code}`);
+										console.log('[轮询] 检测到设备验证码');
 										deviceCodeFilled = true;
 
 										// 填写设备验证码
@@ -394,12 +428,19 @@ class AnyRouterGitHubSignIn {
 
 								// 等待下一次轮询
 								console.log(`[轮询] 等待 ${pollingInterval / 1000} 秒后重试...`);
-								await this.randomDelay(pollingInterval, pollingInterval + 500);
+								await sleep(
+									this.getRandomDelay(pollingInterval, pollingInterval + 500),
+									options.signal
+								);
 							}
 
 							if (!deviceCodeFilled) {
 								console.log('[错误] 超时未检测到设备验证码，登录失败');
-								return null;
+								return createFailure(
+									CheckinErrorCode.DEVICE_VERIFICATION_TIMEOUT,
+									'超时未检测到设备验证码',
+									{ platform: this.baseUrl, loginInfoId, expireTime }
+								);
 							}
 
 							// 等待验证完成并跳转
@@ -407,12 +448,25 @@ class AnyRouterGitHubSignIn {
 							await this.randomDelay(5000, 7000);
 						} else {
 							console.log(`[错误] 调用 addAccountLoginInfo 失败: ${addResult.error}`);
-							return null;
+							return createFailure(
+								CheckinErrorCode.BACKEND_SYNC_FAILED,
+								`创建设备验证记录失败: ${addResult.error}`,
+								{ platform: this.baseUrl, api: 'addAccountLoginInfo' }
+							);
 						}
 					} else if (afterLoginUrl.includes('oauth/authorize')) {
 						// 不需要设备验证，直接到授权页面
 						console.log('[GitHub] 已登录，进入授权页面');
 					} else {
+						// 仍停留在登录页并出现错误提示，说明账号或密码错误
+						const flashError = await this.getLoginFlashError(page);
+						if (flashError) {
+							console.log(`[错误] GitHub 登录失败: ${flashError}`);
+							return createFailure(CheckinErrorCode.BAD_CREDENTIALS, flashError, {
+								platform: this.baseUrl,
+								url: afterLoginUrl,
+							});
+						}
 						console.log(`[警告] 未按预期跳转，当前URL: ${afterLoginUrl}`);
 					}
 				} else if (currentUrl.includes('oauth/authorize')) {
@@ -468,8 +522,10 @@ class AnyRouterGitHubSignIn {
 				console.log(`[信息] 用户ID (api_user): ${apiUser}`);
 				console.log(`[信息] 用户名: ${userData.username}`);
 				console.log(`[信息] 邮箱: ${userData.email}`);
-				console.log(`[信息] 余额: $${(userData.quota / 500000).toFixed(2)}`);
-				console.log(`[信息] 已使用: $${(userData.used_quota / 500000).toFixed(2)}`);
+				console.log(`[信息] 余额: $${quotaToDollars(this.platform, userData.quota).toFixed(2)}`);
+				console.log(
+					`[信息] 已使用: $${quotaToDollars(this.platform, userData.used_quota).toFixed(2)}`
+				);
 				console.log(`[信息] 推广码: ${userData.aff_code}`);
 			} else {
 				// 备用方案：从 localStorage 获取用户信息
@@ -501,6 +557,7 @@ class AnyRouterGitHubSignIn {
 			}
 
 			// 检查签到结果
+			const signInResponse = signInTracker.response;
 			if (signInResponse) {
 				if (signInResponse.success || signInResponse.ret === 1) {
 					console.log('[签到] 自动签到成功！');
@@ -514,48 +571,58 @@ class AnyRouterGitHubSignIn {
 			if (sessionCookie && apiUser) {
 				console.log('[成功] 成功获取 session 和 api_user');
 				return {
+					success: true,
 					session: sessionCookie,
 					apiUser: apiUser,
 					userInfo: userData,
+					...signInTracker.getResult(),
 				};
 			} else {
 				console.log('[失败] 未能获取完整的认证信息');
 				console.log(`  - session: ${sessionCookie ? '✓' : '✗'}`);
 				console.log(`  - api_user: ${apiUser ? '✓' : '✗'}`);
-				return null;
+				return createFailure(CheckinErrorCode.UNEXPECTED_PAGE, '未能获取完整的认证信息', {
+					url: page && !page.isClosed() ? page.url() : null,
+					session: Boolean(sessionCookie),
+					apiUser: Boolean(apiUser),
+				});
 			}
 		} catch (error) {
 			console.log(`[错误] 登录过程发生错误: ${error.message}`);
-			console.log('[错误详情]', error.stack);
-			return null;
+			logger.debug('[错误详情]', error.stack);
+			return failureFromError(error, {
+				platform: this.baseUrl,
+				url: page && !page.isClosed() ? page.url() : null,
+			});
 		} finally {
 			// 确保清理资源（会自动保存状态）
 			try {
-				// 如果是 AgentRouter，清除该域名的缓存（下次签到需要重新登录才有效）
-				if (this.baseUrl.includes('agentrouter.org')) {
-					console.log('[清理] 检测到 AgentRouter 签到，清除该域名缓存...');
+				// 如果是非主平台（如 AgentRouter），清除该域名的缓存（下次签到需要重新登录才有效）
+				const platformHost = new URL(this.baseUrl).hostname;
+				if (platformHost !== new URL(getPrimaryPlatform().baseUrl).hostname) {
+					console.log(`[清理] 检测到 ${platformHost} 签到，清除该域名缓存...`);
 
-					// 清除 AgentRouter 域名的 cookies
+					// 清除该平台域名的 cookies
 					if (context) {
 						const allCookies = await context.cookies();
-						const agentRouterCookies = allCookies.filter((cookie) =>
-							cookie.domain.includes('agentrouter.org')
+						const platformCookies = allCookies.filter((cookie) =>
+							cookie.domain.includes(platformHost)
 						);
 
-						if (agentRouterCookies.length > 0) {
+						if (platformCookies.length > 0) {
 							await context.clearCookies();
-							// 重新添加非 AgentRouter 的 cookies
+							// 重新添加其他域名的 cookies
 							const otherCookies = allCookies.filter(
-								(cookie) => !cookie.domain.includes('agentrouter.org')
+								(cookie) => !cookie.domain.includes(platformHost)
 							);
 							if (otherCookies.length > 0) {
 								await context.addCookies(otherCookies);
 							}
-							console.log(`[清理] 已清除 ${agentRouterCookies.length} 个 AgentRouter cookies`);
+							console.log(`[清理] 已清除 ${platformCookies.length} 个 ${platformHost} cookies`);
 						}
 					}
 
-					// 清除 AgentRouter 域名的 localStorage（当前页面已在 agentrouter.org 域名下）
+					// 清除该平台域名的 localStorage（当前页面已在该平台域名下）
 					if (page && !page.isClosed()) {
 						await page
 							.evaluate(() => {
@@ -563,7 +630,7 @@ class AnyRouterGitHubSignIn {
 								sessionStorage.clear();
 							})
 							.catch(() => {});
-						console.log('[清理] 已清除 AgentRouter localStorage 和 sessionStorage');
+						console.log(`[清理] 已清除 ${platformHost} localStorage 和 sessionStorage`);
 					}
 				}
 
@@ -598,7 +665,7 @@ class AnyRouterGitHubSignIn {
 			results.push({
 				account_id: account.account_id,
 				username: account.username,
-				success: result !== null,
+				success: result.success,
 				data: result,
 			});
 
@@ -3,12 +3,18 @@
  * 通过 LinuxDo 第三方登录方式获取 session 和 api_user
  */
 
-import { chromium } from 'playwright';
+import '../utils/logger-init.js';
 import { PlaywrightAntiFingerprintPlugin } from '../utils/playwright-anti-fingerprint-plugin.js';
+import { getPlatformByBaseUrl, getPrimaryPlatform, quotaToDollars } from './platforms.js';
+import { browserPool } from '../utils/browser-pool.js';
+import { CheckinErrorCode, createFailure, failureFromError } from './errors.js';
+import { SignInTracker } from './signin-response.js';
+import { logger } from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 class AnyRouterLinuxDoSignIn {
-	constructor(baseUrl = 'https://anyrouter.top') {
+	constructor(baseUrl = getPrimaryPlatform().baseUrl) {
 		this.baseUrl = baseUrl;
+		this.platform = getPlatformByBaseUrl(baseUrl);
 		this.linuxDoUrl = 'https://linux.do';
 	}
 
@@ -27,17 +33,39 @@ class AnyRouterLinuxDoSignIn {
 		await new Promise((resolve) => setTimeout(resolve, delay));
 	}
 
+	/**
+	 * 读取 LinuxDo 登录页的错误提示（如用户名或密码错误）
+	 * @param {import('playwright').Page|null} page - 当前页面
+	 * @returns {Promise<string|null>} - 错误提示文本，不在登录页或没有提示时返回 null
+	 */
+	async getLoginAlert(page) {
+		if (!page || page.isClosed() || !page.url().includes('linux.do/login')) {
+			return null;
+		}
+
+		const alert = page.locator('#modal-alert');
+		const isVisible = await alert.isVisible().catch(() => false);
+		if (!isVisible) {
+			return null;
+		}
+
+		const text = await alert.innerText().catch(() => '');
+		return text.trim() || null;
+	}
+
 	/**
 	 * 通过 LinuxDo 第三方登录获取 session 和 api_user
 	 * @param {string} username - LinuxDo 用户名
 	 * @param {string} password - LinuxDo 密码
-	 * @returns {Object|null} - { session: string, apiUser: string, userInfo: object }
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - 中止时（签到步骤超时）关闭浏览器上下文
+	 * @returns {Object} - { success: true, session: string, apiUser: string, userInfo: object }，失败时为 { success: false, error, errorCode, errorContext }
 	 */
-	async loginAndGetSession(username, password) {
+	async loginAndGetSession(username, password, options = {}) {
 		console.log(`[登录签到] 开始处理 LinuxDo 账号: ${username} -> ${this.baseUrl}`);
 
-		let browser = null;
 		let context = null;
+		let release = null;
 		let page = null;
 
 		try {
@@ -51,22 +79,22 @@ class AnyRouterLinuxDoSignIn {
 				sessionTimeout: 5000,
 			});
 
-			// 启动浏览器
-			browser = await chromium.launch(
+			// 从浏览器池获取隔离的上下文（相同启动参数的登录共享浏览器进程）
+			({ context, release } = await browserPool.acquireContext(
 				PlaywrightAntiFingerprintPlugin.getLaunchOptions({
 					headless: false, // 非无头模式，需要用户手动过人机验证
-				})
-			);
-
-			// 创建浏览器上下文
-			context = await browser.newContext();
+				}),
+				{},
+				{ signal: options.signal }
+			));
 			console.log('[指纹] 反指纹保护已应用');
 
 			// 创建页面
 			page = await context.newPage();
 
 			// 设置请求拦截，监听登录和签到接口
-			let signInResponse = null;
+			// 记录页面自动签到的响应和签到前后的额度
+			const signInTracker = new SignInTracker();
 			let userSelfResponse = null;
 			let sessionCookie = null;
 
@@ -79,16 +107,17 @@ class AnyRouterLinuxDoSignIn {
 			page.on('response', async (response) => {
 				const url = response.url();
 
-				// 注释掉签到接口监听 - AnyRouter 和 AgentRouter 都不需要监听此接口
-				// if (url.includes('/api/user/sign_in')) {
-				// 	console.log('[网络] 捕获签到接口响应');
-				// 	signInResponse = await response.json().catch(() => null);
-				// }
+				// 监听签到接口响应
+				if (url.includes('/api/user/sign_in')) {
+					console.log('[网络] 捕获签到接口响应');
+					signInTracker.onSignIn(await response.json().catch(() => null));
+				}
 
 				// 监听用户信息接口响应
 				if (url.includes('/api/user/self')) {
 					console.log('[网络] 捕获用户信息接口响应');
 					userSelfResponse = await response.json().catch(() => null);
+					signInTracker.onUserSelf(userSelfResponse);
 					userSelfResolve(true); // 通知已收到响应
 				}
 			});
@@ -213,17 +242,18 @@ class AnyRouterLinuxDoSignIn {
 				// 在新页面上设置响应监听
 				page.on('response', async (response) => {
 					const url = response.url();
-					console.log(`[网络] 捕获响应: ${url}`);
+					logger.debug(`[网络] 捕获响应: ${url}`);
 					// 监听签到接口响应
 					if (url === `${this.baseUrl}/api/user/sign_in`) {
 						console.log('[网络] 捕获签到接口响应');
-						signInResponse = await response.json().catch(() => null);
+						signInTracker.onSignIn(await response.json().catch(() => null));
 					}
 
 					// 监听用户信息接口响应
 					if (url === `${this.baseUrl}/api/user/self`) {
 						console.log('[网络] 捕获用户信息接口响应');
 						userSelfResponse = await response.json().catch(() => null);
+						signInTracker.onUserSelf(userSelfResponse);
 						userSelfResolve(true); // 通知已收到响应
 					}
 				});
@@ -342,8 +372,10 @@ class AnyRouterLinuxDoSignIn {
 				console.log(`[信息] 用户ID (api_user): ${apiUser}`);
 				console.log(`[信息] 用户名: ${userData.username}`);
 				console.log(`[信息] 邮箱: ${userData.email}`);
-				console.log(`[信息] 余额: $${(userData.quota / 500000).toFixed(2)}`);
-				console.log(`[信息] 已使用: $${(userData.used_quota / 500000).toFixed(2)}`);
+				console.log(`[信息] 余额: $${quotaToDollars(this.platform, userData.quota).toFixed(2)}`);
+				console.log(
+					`[信息] 已使用: $${quotaToDollars(this.platform, userData.used_quota).toFixed(2)}`
+				);
 				console.log(`[信息] 推广码: ${userData.aff_code}`);
 			} else {
 				// 备用方案：从 localStorage 获取用户信息
@@ -375,6 +407,7 @@ class AnyRouterLinuxDoSignIn {
 			}
 
 			// 检查签到结果
+			const signInResponse = signInTracker.response;
 			if (signInResponse) {
 				if (signInResponse.success || signInResponse.ret === 1) {
 					console.log('[签到] 自动签到成功！');
@@ -388,26 +421,43 @@ class AnyRouterLinuxDoSignIn {
 			if (sessionCookie && apiUser) {
 				console.log('[成功] 成功获取 session 和 api_user');
 				return {
+					success: true,
 					session: sessionCookie,
 					apiUser: apiUser,
 					userInfo: userData,
+					...signInTracker.getResult(),
 				};
 			} else {
 				console.log('[失败] 未能获取完整的认证信息');
 				console.log(`  - session: ${sessionCookie ? '✓' : '✗'}`);
 				console.log(`  - api_user: ${apiUser ? '✓' : '✗'}`);
-				return null;
+				return createFailure(CheckinErrorCode.UNEXPECTED_PAGE, '未能获取完整的认证信息', {
+					url: page && !page.isClosed() ? page.url() : null,
+					session: Boolean(sessionCookie),
+					apiUser: Boolean(apiUser),
+				});
 			}
 		} catch (error) {
 			console.log(`[错误] 登录过程发生错误: ${error.message}`);
-			return null;
+
+			// 停留在 LinuxDo 登录页并出现错误提示，说明账号或密码错误
+			const alertText = await this.getLoginAlert(page);
+			if (alertText) {
+				return createFailure(CheckinErrorCode.BAD_CREDENTIALS, alertText, {
+					platform: this.baseUrl,
+					url: page.url(),
+				});
+			}
+			return failureFromError(error, {
+				platform: this.baseUrl,
+				url: page && !page.isClosed() ? page.url() : null,
+			});
 		} finally {
 			// 清理资源
 			try {
 				if (page && !page.isClosed()) await page.close();
-				if (context) await context.close();
-				if (browser) await browser.close();
-				console.log('[清理] 浏览器资源已关闭');
+				if (release) await release();
+				console.log('[清理] 浏览器上下文已释放');
 			} catch (cleanupError) {
 				console.log(`[警告] 清理浏览器资源时出错: ${cleanupError.message}`);
 			}
@@ -430,7 +480,7 @@ class AnyRouterLinuxDoSignIn {
 
 			results.push({
 				username: account.username,
-				success: result !== null,
+				success: result.success,
 				data: result,
 			});
 
@@ -459,19 +509,28 @@ if (isMainModule) {
 		console.log('===== AnyRouter LinuxDo 登录签到测试 =====\n');
 
 		// 从环境变量或命令行参数获取账号信息
-		const username = process.env.LINUXDO_USERNAME || 'yujie1';
-		const password = process.env.LINUXDO_PASSWORD || 'yujie1i4z6';
+		// 用法：node checkin-linuxdo.js <username> <password>
+		const username = process.argv[2] || process.env.LINUXDO_USERNAME;
+		const password = process.argv[3] || process.env.LINUXDO_PASSWORD;
+
+		if (!username || !password) {
+			console.log('[错误] 请提供 LinuxDo 用户名和密码');
+			console.log('用法：node checkin-linuxdo.js <username> <password>');
+			process.exit(1);
+		}
 
 		const result = await signin.loginAndGetSession(username, password);
 
-		if (result) {
+		if (result.success) {
 			console.log('\n===== 登录成功，获取到以下信息 =====');
 			console.log(`Session: ${result.session.substring(0, 50)}...`);
 			console.log(`API User: ${result.apiUser}`);
 			console.log(`用户名: ${result.userInfo?.username}`);
-			console.log(`余额: $${(result.userInfo?.quota / 500000).toFixed(2)}`);
+			console.log(`余额: $${quotaToDollars(signin.platform, result.userInfo?.quota).toFixed(2)}`);
 		} else {
 			console.log('\n===== 登录失败 =====');
 		}
+
+		await browserPool.close();
 	})();
 }
@@ -3,14 +3,54 @@
  * 直接使用 session 和 api_user 进行签到
  */
 
-import { chromium } from 'playwright';
+import '../utils/logger-init.js';
 import axios from 'axios';
 import { createHTTP2Adapter } from 'axios-http2-adapter';
+import { getPlatformByBaseUrl, getPrimaryPlatform, quotaToDollars } from './platforms.js';
+import { browserPool } from '../utils/browser-pool.js';
+import { decodeSession } from '../utils/session-inspector.js';
+import { isAlreadySignedInMessage } from './signin-response.js';
+import { CheckinErrorCode, createFailure, failureFromError } from './errors.js';
+import { logger } from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 
+/**
+ * 浏览器启动参数（相同参数的签到共享浏览器进程）
+ */
+const LAUNCH_OPTIONS = {
+	headless: true,
+	args: [
+		'--disable-blink-features=AutomationControlled',
+		'--disable-dev-shm-usage',
+		'--disable-web-security',
+		'--disable-features=VizDisplayCompositor',
+		'--no-sandbox',
+	],
+};
+
+/**
+ * 浏览器上下文参数
+ */
+const CONTEXT_OPTIONS = {
+	userAgent:
+		'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+	viewport: { width: 1920, height: 1080 },
+};
+
+/**
+ * session 预检结果
+ */
+export const SessionValidity = {
+	VALID: 'valid',
+	EXPIRED: 'expired', // 超过有效期
+	REVOKED: 'revoked', // 未到有效期但已被服务端作废（退出登录、修改密码、封禁等）
+	WRONG_USER: 'wrong_user', // session 与 api_user 不属于同一用户
+};
+
 class AnyRouterSessionSignIn {
-	constructor(baseUrl = 'https://anyrouter.top') {
+	constructor(baseUrl = getPrimaryPlatform().baseUrl) {
 		this.baseUrl = baseUrl;
+		this.platform = getPlatformByBaseUrl(baseUrl);
 	}
 
 	/**
@@ -36,23 +76,12 @@ class AnyRouterSessionSignIn {
 		console.log('[处理中] 启动浏览器获取 WAF cookies...');
 
 		let context = null;
+		let release = null;
 		let page = null;
 
 		try {
-			// 启动浏览器（使用持久化上下文）
-			context = await chromium.launchPersistentContext('', {
-				headless: true,
-				userAgent:
-					'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-				viewport: { width: 1920, height: 1080 },
-				args: [
-					'--disable-blink-features=AutomationControlled',
-					'--disable-dev-shm-usage',
-					'--disable-web-security',
-					'--disable-features=VizDisplayCompositor',
-					'--no-sandbox',
-				],
-			});
+			// 从浏览器池获取隔离的上下文
+			({ context, release } = await browserPool.acquireContext(LAUNCH_OPTIONS, CONTEXT_OPTIONS));
 
 			page = await context.newPage();
 
@@ -87,21 +116,77 @@ class AnyRouterSessionSignIn {
 
 			if (missingCookies.length > 0) {
 				console.log(`[失败] 缺少 WAF cookies: ${missingCookies.join(', ')}`);
-				await context.close();
+				await release();
 				return null;
 			}
 
 			console.log('[成功] 成功获取所有 WAF cookies');
-			await context.close();
+			await release();
 
 			return wafCookies;
 		} catch (error) {
 			console.log(`[失败] 获取 WAF cookies 时发生错误: ${error.message}`);
-			if (context) await context.close();
+			if (release) await release();
 			return null;
 		}
 	}
 
+	/**
+	 * 使用 cookies 请求 /api/user/self
+	 * @param {Object} cookies - cookies 对象
+	 * @param {string} apiUser - API User ID
+	 * @returns {Promise<{status: number, data: Object}>}
+	 */
+	async requestUserSelf(cookies, apiUser) {
+		const cookieString = Object.entries(cookies)
+			.map(([key, value]) => `${key}=${value}`)
+			.join('; ');
+
+		// 使用 HTTP/2
+		const axiosInstance = axios.create({
+			adapter: createHTTP2Adapter({
+				force: true,
+			}),
+		});
+
+		const response = await axiosInstance.get(`${this.baseUrl}/api/user/self`, {
+			headers: {
+				Cookie: cookieString,
+				'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+				Accept: 'application/json, text/plain, */*',
+				'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+				'Accept-Encoding': 'gzip, deflate, br, zstd',
+				Referer: `${this.baseUrl}/console`,
+				Origin: this.baseUrl,
+				Connection: 'keep-alive',
+				'Sec-Fetch-Dest': 'empty',
+				'Sec-Fetch-Mode': 'cors',
+				'Sec-Fetch-Site': 'same-origin',
+				'new-api-user': apiUser,
+			},
+			timeout: 30000,
+			// 非 2xx 响应也需要用于判断 session 状态
+			validateStatus: () => true,
+		});
+
+		return { status: response.status, data: response.data };
+	}
+
+	/**
+	 * 将 /api/user/self 返回的用户数据转换为统一结构
+	 * @param {Object} userData - 接口返回的 data 字段
+	 * @returns {Object}
+	 */
+	toUserInfo(userData) {
+		return {
+			username: userData.username,
+			email: userData.email,
+			quota: userData.quota,
+			usedQuota: userData.used_quota,
+			affCode: userData.aff_code,
+		};
+	}
+
 	/**
 	 * 获取用户信息
 	 * @param {Object} cookies - cookies 对象
@@ -110,44 +195,10 @@ class AnyRouterSessionSignIn {
 	 */
 	async getUserInfo(cookies, apiUser) {
 		try {
-			const cookieString = Object.entries(cookies)
-				.map(([key, value]) => `${key}=${value}`)
-				.join('; ');
-
-			// 使用 HTTP/2
-			const axiosInstance = axios.create({
-				adapter: createHTTP2Adapter({
-					force: true,
-				}),
-			});
-
-			const response = await axiosInstance.get(`${this.baseUrl}/api/user/self`, {
-				headers: {
-					Cookie: cookieString,
-					'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-					Accept: 'application/json, text/plain, */*',
-					'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-					'Accept-Encoding': 'gzip, deflate, br, zstd',
-					Referer: `${this.baseUrl}/console`,
-					Origin: this.baseUrl,
-					Connection: 'keep-alive',
-					'Sec-Fetch-Dest': 'empty',
-					'Sec-Fetch-Mode': 'cors',
-					'Sec-Fetch-Site': 'same-origin',
-					'new-api-user': apiUser,
-				},
-				timeout: 30000,
-			});
+			const { status, data } = await this.requestUserSelf(cookies, apiUser);
 
-			if (response.status === 200 && response.data.success) {
-				const userData = response.data.data || {};
-				return {
-					username: userData.username,
-					email: userData.email,
-					quota: userData.quota,
-					usedQuota: userData.used_quota,
-					affCode: userData.aff_code,
-				};
+			if (status === 200 && data?.success) {
+				return this.toUserInfo(data.data || {});
 			}
 			return null;
 		} catch (error) {
@@ -157,33 +208,144 @@ class AnyRouterSessionSignIn {
 	}
 
 	/**
-	 * 使用 session 和 api_user 执行签到（使用 Playwright）
+	 * 根据 /api/user/self 的响应判断 session 状态
 	 * @param {string} session - Session cookie 值
 	 * @param {string} apiUser - API User ID
-	 * @returns {Object|null} - 签到结果 { success: boolean, userInfo: object }
+	 * @param {number} status - HTTP 状态码
+	 * @param {Object|null} data - 响应数据
+	 * @returns {{state: string, userInfo?: Object}|null} - 无法判断（网络错误、服务端错误等）时返回 null
+	 */
+	classifySessionResponse(session, apiUser, status, data) {
+		if (status === 200 && data?.success && data.data) {
+			if (data.data.id !== undefined && String(data.data.id) !== String(apiUser)) {
+				return { state: SessionValidity.WRONG_USER };
+			}
+			return { state: SessionValidity.VALID, userInfo: this.toUserInfo(data.data) };
+		}
+
+		const message = `${data?.msg || ''} ${data?.message || ''}`;
+		if (/不匹配|mismatch/i.test(message)) {
+			return { state: SessionValidity.WRONG_USER };
+		}
+
+		if (
+			status === 401 ||
+			status === 403 ||
+			/未登录|登录|封禁|禁用|token|unauthorized/i.test(message)
+		) {
+			// session 超过有效期为过期，否则说明被服务端作废
+			const expiresAt = decodeSession(session)?.expiresAt;
+			return {
+				state:
+					expiresAt && expiresAt <= Date.now() ? SessionValidity.EXPIRED : SessionValidity.REVOKED,
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * 将 session 预检结果转换为失败结果
+	 * @param {string} state - 取值见 SessionValidity
+	 * @param {string} apiUser - API User ID
+	 * @returns {{success: false, error: string, errorCode: string, errorContext: Object}}
+	 */
+	sessionFailure(state, apiUser) {
+		const messages = {
+			[SessionValidity.EXPIRED]: 'session 已过期',
+			[SessionValidity.REVOKED]: 'session 已失效（可能已退出登录或修改密码）',
+			[SessionValidity.WRONG_USER]: `session 不属于用户 ${apiUser}`,
+		};
+		const code =
+			state === SessionValidity.WRONG_USER
+				? CheckinErrorCode.SESSION_MISMATCH
+				: CheckinErrorCode.SESSION_EXPIRED;
+		return createFailure(code, messages[state], { apiUser, reason: state });
+	}
+
+	/**
+	 * 预检 session 是否可用，不执行签到
+	 * @param {string} session - Session cookie 值
+	 * @param {string} [apiUser] - API User ID，未提供时从 session 中解析
+	 * @param {Object} [wafCookies] - 已获取的 WAF cookies，批量预检时可复用，未提供时启动浏览器获取
+	 * @returns {Promise<{success: boolean, state?: string, userInfo?: Object, error?: string, errorCode?: string, errorContext?: Object}>}
+	 */
+	async validateSession(session, apiUser, wafCookies = null) {
+		apiUser = apiUser || decodeSession(session)?.userId;
+
+		try {
+			const cookies = wafCookies || (await this.getWafCookies());
+			if (!cookies) {
+				return createFailure(CheckinErrorCode.NETWORK, '获取 WAF cookies 失败', { apiUser });
+			}
+
+			const { status, data } = await this.requestUserSelf({ ...cookies, session }, apiUser);
+			const validation = this.classifySessionResponse(session, apiUser, status, data);
+
+			if (!validation) {
+				return createFailure(
+					status >= 500 || status === 429
+						? CheckinErrorCode.NETWORK
+						: CheckinErrorCode.UNEXPECTED_PAGE,
+					`用户信息接口返回 HTTP ${status}`,
+					{ apiUser, status }
+				);
+			}
+
+			if (validation.state !== SessionValidity.VALID) {
+				return { ...this.sessionFailure(validation.state, apiUser), state: validation.state };
+			}
+
+			return { success: true, ...validation };
+		} catch (error) {
+			return failureFromError(error, { apiUser });
+		}
+	}
+
+	/**
+	 * 根据签到接口的响应推断失败类别
+	 * @param {number} status - HTTP 状态码
+	 * @param {Object|null} data - 响应数据
+	 * @returns {string} - 错误码
+	 */
+	classifySignInFailure(status, data) {
+		const message = `${data?.msg || ''} ${data?.message || ''}`;
+
+		if (isAlreadySignedInMessage(message)) {
+			return CheckinErrorCode.ALREADY_CHECKED_IN;
+		}
+		if (status === 401 || status === 403 || /未登录|登录|token|unauthorized/i.test(message)) {
+			return CheckinErrorCode.SESSION_EXPIRED;
+		}
+		if (status >= 500 || status === 429) {
+			return CheckinErrorCode.NETWORK;
+		}
+		return CheckinErrorCode.UNEXPECTED_PAGE;
+	}
+
+	/**
+	 * 使用 session 和 api_user 执行签到（使用 Playwright）
+	 * @param {string} session - Session cookie 值
+	 * @param {string} [apiUser] - API User ID，未提供时从 session 中解析
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - 中止时（签到步骤超时）关闭浏览器上下文
+	 * @returns {Object} - 签到结果 { success: true, userInfo, signInResponse, quotaBefore }，今日已签到也视为成功；
+	 *   失败时为 { success: false, error, errorCode, errorContext }
 	 */
-	async signIn(session, apiUser) {
+	async signIn(session, apiUser, options = {}) {
+		apiUser = apiUser || decodeSession(session)?.userId;
 		console.log(`\n[签到] 开始处理 Session 签到 (API User: ${apiUser})`);
 
 		let context = null;
+		let release = null;
 		let page = null;
 
 		try {
-			// 启动浏览器
-			console.log('[浏览器] 启动浏览器...');
-			context = await chromium.launchPersistentContext('', {
-				headless: true,
-				userAgent:
-					'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-				viewport: { width: 1920, height: 1080 },
-				args: [
-					'--disable-blink-features=AutomationControlled',
-					'--disable-dev-shm-usage',
-					'--disable-web-security',
-					'--disable-features=VizDisplayCompositor',
-					'--no-sandbox',
-				],
-			});
+			// 从浏览器池获取隔离的上下文
+			console.log('[浏览器] 获取浏览器上下文...');
+			({ context, release } = await browserPool.acquireContext(LAUNCH_OPTIONS, CONTEXT_OPTIONS, {
+				signal: options.signal,
+			}));
 
 			page = await context.newPage();
 
@@ -210,6 +372,49 @@ class AnyRouterSessionSignIn {
 
 			await this.randomDelay(2000, 3000);
 
+			// 签到前先预检 session，失效时直接返回具体原因，交给后续的登录策略
+			console.log('[预检] 检查 session 状态...');
+			const selfResult = await page.evaluate(
+				async ({ baseUrl, apiUser }) => {
+					try {
+						const response = await fetch(`${baseUrl}/api/user/self`, {
+							method: 'GET',
+							headers: {
+								Accept: 'application/json, text/plain, */*',
+								'new-api-user': apiUser,
+							},
+							credentials: 'include',
+						});
+						return { status: response.status, data: await response.json().catch(() => null) };
+					} catch (error) {
+						return { error: error.message };
+					}
+				},
+				{ baseUrl: this.baseUrl, apiUser }
+			);
+
+			if (selfResult.error) {
+				console.log(`[失败] 预检请求失败: ${selfResult.error}`);
+				await release();
+				return createFailure(CheckinErrorCode.NETWORK, selfResult.error, { apiUser });
+			}
+
+			const validation = this.classifySessionResponse(
+				session,
+				apiUser,
+				selfResult.status,
+				selfResult.data
+			);
+			if (validation && validation.state !== SessionValidity.VALID) {
+				const failure = this.sessionFailure(validation.state, apiUser);
+				console.log(`[预检] ${failure.error}`);
+				await release();
+				return failure;
+			}
+			console.log(`[预检] session 状态: ${validation ? validation.state : '未知'}`);
+			// 签到前的额度，用于确认本次签到实际到账的额度
+			const quotaBefore = validation?.userInfo?.quota ?? null;
+
 			// 监听 API 响应
 			let signInResponse = null;
 			let userSelfResponse = null;
@@ -259,18 +464,19 @@ class AnyRouterSessionSignIn {
 			);
 
 			console.log(`[响应] 签到响应状态码 ${result.status}`);
-			console.log(`[响应] 响应数据:`, JSON.stringify(result.data, null, 2));
+			logger.debug('[响应] 响应数据:', result.data);
 
 			if (result.error) {
 				console.log(`[失败] 签到请求失败: ${result.error}`);
-				await context.close();
-				return { success: false, error: result.error };
+				await release();
+				return createFailure(CheckinErrorCode.NETWORK, result.error, { apiUser });
 			}
 
 			if (result.status === 200) {
 				const data = result.data;
-				if (data.ret === 1 || data.code === 0 || data.success) {
-					console.log('[成功] 签到成功!');
+				const alreadySignedIn = isAlreadySignedInMessage(data.msg || data.message);
+				if (data.ret === 1 || data.code === 0 || data.success || alreadySignedIn) {
+					console.log(alreadySignedIn ? '[成功] 今日已签到' : '[成功] 签到成功!');
 
 					// 获取用户信息
 					console.log('[信息] 获取用户信息...');
@@ -307,32 +513,42 @@ class AnyRouterSessionSignIn {
 					if (userInfo) {
 						console.log(`[信息] 用户名: ${userInfo.username}`);
 						console.log(`[信息] 邮箱: ${userInfo.email}`);
-						console.log(`[信息] 余额: $${(userInfo.quota / 500000).toFixed(2)}`);
-						console.log(`[信息] 已使用: $${(userInfo.usedQuota / 500000).toFixed(2)}`);
+						console.log(
+							`[信息] 余额: $${quotaToDollars(this.platform, userInfo.quota).toFixed(2)}`
+						);
+						console.log(
+							`[信息] 已使用: $${quotaToDollars(this.platform, userInfo.usedQuota).toFixed(2)}`
+						);
 						console.log(`[信息] 推广码: ${userInfo.affCode}`);
 					}
 
-					await context.close();
-					return { success: true, userInfo };
+					await release();
+					return { success: true, userInfo, signInResponse: data, quotaBefore };
 				} else {
 					const errorMsg = data.msg || data.message || '未知错误';
 					console.log(`[失败] 签到失败 - ${errorMsg}`);
-					console.log(`[调试] 完整响应:`, JSON.stringify(data, null, 2));
-					await context.close();
-					return { success: false, error: errorMsg };
+					logger.debug('[调试] 完整响应:', data);
+					await release();
+					return createFailure(this.classifySignInFailure(result.status, data), errorMsg, {
+						apiUser,
+						status: result.status,
+					});
 				}
 			} else {
 				console.log(`[失败] 签到失败 - HTTP ${result.status}`);
-				console.log(`[调试] 响应体:`, JSON.stringify(result.data, null, 2));
-				await context.close();
-				return { success: false, error: `HTTP ${result.status}` };
+				logger.debug('[调试] 响应体:', result.data);
+				await release();
+				return createFailure(
+					this.classifySignInFailure(result.status, result.data),
+					`HTTP ${result.status}`,
+					{ apiUser, status: result.status }
+				);
 			}
 		} catch (error) {
-			console.log(`[失败] 签到过程中发生错误:`);
-			console.log(`[错误] 消息: ${error.message}`);
-			console.log(`[错误] 堆栈:`, error.stack);
-			if (context) await context.close();
-			return { success: false, error: error.message };
+			logger.error(`[失败] 签到过程中发生错误: ${error.message}`);
+			logger.debug('[错误] 堆栈:', error.stack);
+			if (release) await release();
+			return failureFromError(error, { apiUser });
 		}
 	}
 }
@@ -351,8 +567,8 @@ if (isMainModule) {
 
 		// 示例：从命令行参数获取 session 和 api_user
 		// 用法：node checkin-session.js <session> <api_user>
-		const session = process.argv[2] || 'MTc2MTgwNjQyOHxEWDhFQVFMX2dBQUJFQUVRQUFEX3h2LUFBQVlHYzNSeWFXNW5EQW9BQ0hWelpYSnVZVzFsQm5OMGNtbHVad3dQQUExc2FXNTFlR1J2WHpnMk1ESXhCbk4wY21sdVp3d0dBQVJ5YjJ4bEEybHVkQVFDQUFJR2MzUnlhVzVuREFnQUJuTjBZWFIxY3dOcGJuUUVBZ0FDQm5OMGNtbHVad3dIQUFWbmNtOTFjQVp6ZEhKcGJtY01DUUFIWkdWbVlYVnNkQVp6ZEhKcGJtY01EUUFMYjJGMWRHaGZjM1JoZEdVR2MzUnlhVzVuREE0QUREUjBOWGxwUjFJeVJtVkZUZ1p6ZEhKcGJtY01CQUFDYVdRRGFXNTBCQVVBX1FLZ0NnPT18dbFHh5O7_lF3BE9EAKndKHehZ-1a03b7KDcqOivDUEA=';
-		const apiUser = process.argv[3] || '86021';
+		const session = process.argv[2];
+		const apiUser = process.argv[3];
 
 		if (!session || !apiUser) {
 			console.log('[错误] 请提供 session 和 api_user 参数');
@@ -366,7 +582,7 @@ if (isMainModule) {
 			console.log('\n===== 签到成功 =====');
 			if (result.userInfo) {
 				console.log(`用户名: ${result.userInfo.username}`);
-				console.log(`余额: $${(result.userInfo.quota / 500000).toFixed(2)}`);
+				console.log(`余额: $${quotaToDollars(signer.platform, result.userInfo.quota).toFixed(2)}`);
 			}
 		} else {
 			console.log('\n===== 签到失败 =====');
@@ -374,5 +590,7 @@ if (isMainModule) {
 				console.log(`错误: ${result.error}`);
 			}
 		}
+
+		await browserPool.close();
 	})();
 }
@@ -3,7 +3,7 @@
  * 通过页面登录方式获取 session 和 api_user
  */
 
-import { chromium } from 'playwright';
+import '../utils/logger-init.js';
 import {
 	applyStealthToContext,
 	getStealthArgs,
@@ -12,9 +12,14 @@ import {
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { getPlatformByBaseUrl, getPrimaryPlatform, quotaToDollars } from './platforms.js';
+import { browserPool } from '../utils/browser-pool.js';
+import { CheckinErrorCode, createFailure, failureFromError } from './errors.js';
+import { SignInTracker } from './signin-response.js';
 class AnyRouterSignIn {
-	constructor() {
-		this.baseUrl = 'https://anyrouter.top';
+	constructor(baseUrl = getPrimaryPlatform().baseUrl) {
+		this.baseUrl = baseUrl;
+		this.platform = getPlatformByBaseUrl(baseUrl);
 	}
 
 	/**
@@ -53,13 +58,17 @@ class AnyRouterSignIn {
 	 * 通过页面登录获取 session 和 api_user
 	 * @param {string} username - 用户名或邮箱
 	 * @param {string} password - 密码
-	 * @returns {Object|null} - { session: string, apiUser: string, userInfo: object }
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - 中止时（签到步骤超时）关闭浏览器上下文
+	 * @returns {Object} - { success: true, session: string, apiUser: string, userInfo: object }，失败时为 { success: false, error, errorCode, errorContext }
 	 */
-	async loginAndGetSession(username, password) {
+	async loginAndGetSession(username, password, options = {}) {
 		console.log(`[登录签到] 开始处理账号: ${username}`);
 
 		let context = null;
 		let page = null;
+		// 登录接口响应，登录失败时用于判断是否为账号密码错误
+		let loginResponse = null;
 
 		try {
 			// 获取用户专属数据目录
@@ -67,22 +76,26 @@ class AnyRouterSignIn {
 			console.log(`[浏览器] 使用持久化上下文: ${userDataDir}`);
 			console.log('[浏览器] 启动 Chromium 浏览器（持久化模式，已启用反检测）...');
 
-			// 启动持久化浏览器上下文
-			context = await chromium.launchPersistentContext(userDataDir, {
-				headless: true,
-				viewport: { width: 1920, height: 1080 },
-				userAgent:
-					'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-				locale: 'zh-CN',
-				timezoneId: 'Asia/Shanghai',
-				deviceScaleFactor: 1,
-				isMobile: false,
-				hasTouch: false,
-				permissions: ['geolocation', 'notifications'],
-				colorScheme: 'light',
-				args: getStealthArgs(),
-				ignoreDefaultArgs: getIgnoreDefaultArgs(),
-			});
+			// 启动持久化浏览器上下文（与用户数据目录绑定，不参与浏览器复用）
+			context = await browserPool.launchPersistentContext(
+				userDataDir,
+				{
+					headless: true,
+					viewport: { width: 1920, height: 1080 },
+					userAgent:
+						'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+					locale: 'zh-CN',
+					timezoneId: 'Asia/Shanghai',
+					deviceScaleFactor: 1,
+					isMobile: false,
+					hasTouch: false,
+					permissions: ['geolocation', 'notifications'],
+					colorScheme: 'light',
+					args: getStealthArgs(),
+					ignoreDefaultArgs: getIgnoreDefaultArgs(),
+				},
+				options.signal
+			);
 
 			// 应用反检测脚本到上下文
 			await applyStealthToContext(context);
@@ -92,8 +105,8 @@ class AnyRouterSignIn {
 			page = pages.length > 0 ? pages[0] : await context.newPage();
 
 			// 设置请求拦截，监听登录和签到接口
-			let loginResponse = null;
-			let signInResponse = null;
+			// 记录页面自动签到的响应和签到前后的额度
+			const signInTracker = new SignInTracker();
 			let userSelfResponse = null;
 			let sessionCookie = null;
 
@@ -126,13 +139,14 @@ class AnyRouterSignIn {
 				// 监听签到接口响应
 				if (url.includes('/api/user/sign_in')) {
 					console.log('[网络] 捕获签到接口响应');
-					signInResponse = await response.json().catch(() => null);
+					signInTracker.onSignIn(await response.json().catch(() => null));
 				}
 
 				// 监听用户信息接口响应
 				if (url.includes('/api/user/self')) {
 					console.log('[网络] 捕获用户信息接口响应');
 					userSelfResponse = await response.json().catch(() => null);
+					signInTracker.onUserSelf(userSelfResponse);
 					userSelfResolve(true); // 通知已收到响应
 				}
 			});
@@ -266,8 +280,10 @@ class AnyRouterSignIn {
 				console.log(`[信息] 用户ID (api_user): ${apiUser}`);
 				console.log(`[信息] 用户名: ${userData.username}`);
 				console.log(`[信息] 邮箱: ${userData.email}`);
-				console.log(`[信息] 余额: $${(userData.quota / 500000).toFixed(2)}`);
-				console.log(`[信息] 已使用: $${(userData.used_quota / 500000).toFixed(2)}`);
+				console.log(`[信息] 余额: $${quotaToDollars(this.platform, userData.quota).toFixed(2)}`);
+				console.log(
+					`[信息] 已使用: $${quotaToDollars(this.platform, userData.used_quota).toFixed(2)}`
+				);
 				console.log(`[信息] 推广码: ${userData.aff_code}`);
 			} else {
 				// 备用方案：从 localStorage 获取用户信息
@@ -299,6 +315,7 @@ class AnyRouterSignIn {
 			}
 
 			// 检查签到结果
+			const signInResponse = signInTracker.response;
 			if (signInResponse) {
 				if (signInResponse.success || signInResponse.ret === 1) {
 					console.log('[签到] 自动签到成功！');
@@ -312,19 +329,34 @@ class AnyRouterSignIn {
 			if (sessionCookie && apiUser) {
 				console.log('[成功] 成功获取 session 和 api_user');
 				return {
+					success: true,
 					session: sessionCookie,
 					apiUser: apiUser,
 					userInfo: userData,
+					...signInTracker.getResult(),
 				};
 			} else {
 				console.log('[失败] 未能获取完整的认证信息');
 				console.log(`  - session: ${sessionCookie ? '✓' : '✗'}`);
 				console.log(`  - api_user: ${apiUser ? '✓' : '✗'}`);
-				return null;
+				return createFailure(CheckinErrorCode.UNEXPECTED_PAGE, '未能获取完整的认证信息', {
+					url: page && !page.isClosed() ? page.url() : null,
+					session: Boolean(sessionCookie),
+					apiUser: Boolean(apiUser),
+				});
 			}
 		} catch (error) {
 			console.log(`[错误] 登录过程发生错误: ${error.message}`);
-			return null;
+
+			// 登录接口明确返回失败，说明账号或密码错误
+			if (loginResponse && !loginResponse.success) {
+				return createFailure(
+					CheckinErrorCode.BAD_CREDENTIALS,
+					loginResponse.message || '用户名或密码错误',
+					{ platform: this.baseUrl }
+				);
+			}
+			return failureFromError(error, { platform: this.baseUrl });
 		} finally {
 			// 确保清理资源（会自动保存状态）
 			try {
@@ -353,7 +385,7 @@ class AnyRouterSignIn {
 
 			results.push({
 				username: account.username,
-				success: result !== null,
+				success: result.success,
 				data: result,
 			});
 
@@ -382,19 +414,28 @@ if (isMainModule) {
 		console.log('===== AnyRouter 登录签到测试 =====\n');
 
 		// 从环境变量或命令行参数获取账号信息
-		const username = 'liyong2005';
-		const password = 'liyong2005';
+		// 用法：node checkin-username.js <username> <password>
+		const username = process.argv[2] || process.env.ANYROUTER_USERNAME;
+		const password = process.argv[3] || process.env.ANYROUTER_PASSWORD;
+
+		if (!username || !password) {
+			console.log('[错误] 请提供用户名和密码');
+			console.log('用法：node checkin-username.js <username> <password>');
+			process.exit(1);
+		}
 
 		const result = await signin.loginAndGetSession(username, password);
 
-		if (result) {
+		if (result.success) {
 			console.log('\n===== 登录成功，获取到以下信息 =====');
 			console.log(`Session: ${result.session.substring(0, 50)}...`);
 			console.log(`API User: ${result.apiUser}`);
 			console.log(`用户名: ${result.userInfo?.username}`);
-			console.log(`余额: $${(result.userInfo?.quota / 500000).toFixed(2)}`);
+			console.log(`余额: $${quotaToDollars(signin.platform, result.userInfo?.quota).toFixed(2)}`);
 		} else {
 			console.log('\n===== 登录失败 =====');
 		}
+
+		await browserPool.close();
 	})();
 }
@@ -0,0 +1,159 @@
+/**
+ * 签到失败分类
+ * 所有签到模块的失败结果都带有统一的错误码，通知、重试和退出码可以按类别处理，而不必解析错误文本
+ *
+ * 失败结果结构: { success: false, error: string, errorCode: string, errorContext: Object }
+ */
+
+/**
+ * 签到错误码
+ */
+export const CheckinErrorCode = {
+	SESSION_EXPIRED: 'session_expired', // session 已过期或失效
+	SESSION_MISMATCH: 'session_mismatch', // session 属于其他用户
+	BAD_CREDENTIALS: 'bad_credentials', // 用户名或密码错误、缺失
+	DEVICE_VERIFICATION_TIMEOUT: 'device_verification_timeout', // 设备验证码等待超时
+	ALREADY_CHECKED_IN: 'already_checked_in', // 今日已签到
+	NETWORK: 'network', // 网络错误或超时
+	UNEXPECTED_PAGE: 'unexpected_page', // 页面结构或跳转不符合预期
+	BACKEND_SYNC_FAILED: 'backend_sync_failed', // 服务端同步失败
+	LEASE_UNAVAILABLE: 'lease_unavailable', // 服务端租约接口出错，无法确认账号是否正被其他运行器处理
+	UNKNOWN: 'unknown', // 无法归类的错误
+};
+
+/**
+ * 错误码对应的展示名称
+ */
+export const CHECKIN_ERROR_LABELS = {
+	[CheckinErrorCode.SESSION_EXPIRED]: '会话过期',
+	[CheckinErrorCode.SESSION_MISMATCH]: '会话用户不匹配',
+	[CheckinErrorCode.BAD_CREDENTIALS]: '账号或密码错误',
+	[CheckinErrorCode.DEVICE_VERIFICATION_TIMEOUT]: '设备验证超时',
+	[CheckinErrorCode.ALREADY_CHECKED_IN]: '今日已签到',
+	[CheckinErrorCode.NETWORK]: '网络/超时',
+	[CheckinErrorCode.UNEXPECTED_PAGE]: '页面异常',
+	[CheckinErrorCode.BACKEND_SYNC_FAILED]: '服务端同步失败',
+	[CheckinErrorCode.LEASE_UNAVAILABLE]: '无法获取租约',
+	[CheckinErrorCode.UNKNOWN]: '未知错误',
+};
+
+/**
+ * 签到脚本的退出码
+ * 有多类失败时按 ACTION_REQUIRED、BACKEND_UNAVAILABLE、FAILED 的顺序取第一个
+ */
+export const ExitCode = {
+	SUCCESS: 0, // 没有失败的账号（包括今日已签到跳过、被其他运行器锁定的账号）
+	ERROR: 1, // 程序异常或无法加载账号配置
+	FAILED: 2, // 有账号因网络/超时、页面异常等原因失败，通常下次运行可以恢复
+	ACTION_REQUIRED: 3, // 有账号需要人工处理：账号或密码错误、会话过期、会话用户不匹配、设备验证超时
+	BACKEND_UNAVAILABLE: 4, // 有账号因服务端同步或租约接口出错而失败
+};
+
+/**
+ * 错误码对应的退出码，未列出的错误码为 ExitCode.FAILED
+ */
+const EXIT_CODE_BY_ERROR = {
+	[CheckinErrorCode.BAD_CREDENTIALS]: ExitCode.ACTION_REQUIRED,
+	[CheckinErrorCode.SESSION_EXPIRED]: ExitCode.ACTION_REQUIRED,
+	[CheckinErrorCode.SESSION_MISMATCH]: ExitCode.ACTION_REQUIRED,
+	[CheckinErrorCode.DEVICE_VERIFICATION_TIMEOUT]: ExitCode.ACTION_REQUIRED,
+	[CheckinErrorCode.BACKEND_SYNC_FAILED]: ExitCode.BACKEND_UNAVAILABLE,
+	[CheckinErrorCode.LEASE_UNAVAILABLE]: ExitCode.BACKEND_UNAVAILABLE,
+};
+
+/**
+ * 退出码的优先级，靠前的优先
+ */
+const EXIT_CODE_PRIORITY = [
+	ExitCode.ACTION_REQUIRED,
+	ExitCode.BACKEND_UNAVAILABLE,
+	ExitCode.FAILED,
+];
+
+/**
+ * 根据各账号的签到结果计算退出码
+ * @param {Array<{success: boolean, errorCode?: string}>} results - 签到结果数组
+ * @returns {number} - 取值见 ExitCode
+ */
+export function getExitCode(results) {
+	const codes = new Set(
+		results
+			.filter((result) => !result.success)
+			.map((result) => EXIT_CODE_BY_ERROR[result.errorCode] ?? ExitCode.FAILED)
+	);
+	return EXIT_CODE_PRIORITY.find((code) => codes.has(code)) ?? ExitCode.SUCCESS;
+}
+
+/**
+ * 创建失败结果
+ * @param {string} code - 错误码，取值见 CheckinErrorCode
+ * @param {string} message - 错误信息
+ * @param {Object} [context] - 附加上下文（如平台、URL、HTTP 状态码）
+ * @returns {{success: false, error: string, errorCode: string, errorContext: Object}}
+ */
+export function createFailure(code, message, context = {}) {
+	return {
+		success: false,
+		error: message,
+		errorCode: code,
+		errorContext: context,
+	};
+}
+
+/**
+ * 根据异常对象推断错误码
+ * @param {Error} error - 捕获到的异常
+ * @returns {string} - 错误码
+ */
+export function classifyError(error) {
+	const message = error?.message || '';
+
+	// Playwright 等待元素或跳转超时，说明页面不是预期的样子
+	if (
+		error?.name === 'TimeoutError' &&
+		/waiting for (locator|selector|navigation|URL)/i.test(message)
+	) {
+		return CheckinErrorCode.UNEXPECTED_PAGE;
+	}
+
+	if (
+		error?.name === 'TimeoutError' ||
+		/net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|timeout/i.test(
+			message
+		)
+	) {
+		return CheckinErrorCode.NETWORK;
+	}
+
+	return CheckinErrorCode.UNKNOWN;
+}
+
+/**
+ * 将异常转换为失败结果
+ * @param {Error} error - 捕获到的异常
+ * @param {Object} [context] - 附加上下文
+ * @returns {{success: false, error: string, errorCode: string, errorContext: Object}}
+ */
+export function failureFromError(error, context = {}) {
+	return createFailure(classifyError(error), error?.message || String(error), context);
+}
+
+/**
+ * 获取错误码的展示名称
+ * @param {string} code - 错误码
+ * @returns {string}
+ */
+export function getErrorLabel(code) {
+	return CHECKIN_ERROR_LABELS[code] || CHECKIN_ERROR_LABELS[CheckinErrorCode.UNKNOWN];
+}
+
+export default {
+	CheckinErrorCode,
+	CHECKIN_ERROR_LABELS,
+	ExitCode,
+	getExitCode,
+	createFailure,
+	classifyError,
+	failureFromError,
+	getErrorLabel,
+};
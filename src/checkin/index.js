@@ -4,6 +4,7 @@
  * AnyRouter.top 自动签到脚本 - Node.js 版
  */
 
+import '../utils/logger-init.js';
 import dotenv from 'dotenv';
 
 // 必须先加载环境变量，再导入其他模块
@@ -11,10 +12,137 @@ dotenv.config();
 
 import UnifiedAnyRouterChecker from './unified-checker.js';
 import NotificationKit from '../utils/notify.js';
+import { ExitCode, getErrorLabel, getExitCode } from './errors.js';
 
 // 创建通知实例
 const notify = new NotificationKit();
 
+/**
+ * 格式化失败原因，前面带上失败类别
+ * @param {Object} result - 签到结果或失败结果 { error, errorCode }
+ * @returns {string}
+ */
+function formatError(result) {
+	const message = result.error.length > 100 ? `${result.error.substring(0, 100)}...` : result.error;
+	return `[${getErrorLabel(result.errorCode)}] ${message}`;
+}
+
+/**
+ * 获取账号结果的状态标签
+ * @param {Object} result - 签到结果
+ * @returns {string}
+ */
+function formatStatus(result) {
+	if (result.locked) {
+		return '[锁定]';
+	}
+	if (result.skipped) {
+		return '[跳过]';
+	}
+	return result.success ? '[成功]' : '[失败]';
+}
+
+/**
+ * 通知中统计累计收益的天数
+ */
+const EARNINGS_DAYS = 7;
+
+/**
+ * 格式化账号各平台与上一次记录相比的收益，余额出现无法用消耗解释的减少时给出警告
+ * @param {Object} result - 签到结果，results[].balance 为余额流水记录
+ * @returns {string[]}
+ */
+function formatBalanceChanges(result) {
+	const lines = [];
+	for (const platformResult of result.results || []) {
+		const entry = platformResult.balance;
+		if (!entry || entry.previousTs === null) {
+			continue;
+		}
+
+		const since = new Date(entry.previousTs).toLocaleDateString('zh-CN');
+		if (entry.anomaly) {
+			lines.push(
+				`[警告] ${platformResult.platform}: 较 ${since} 余额异常减少 $${Math.abs(entry.earned).toFixed(2)}`
+			);
+		} else {
+			lines.push(`📈 ${platformResult.platform}: 较 ${since} 收益 +$${entry.earned.toFixed(2)}`);
+		}
+	}
+	return lines;
+}
+
+/**
+ * 格式化账号最近几天的累计收益
+ * @param {BalanceLedger} ledger - 余额流水
+ * @param {Object} result - 签到结果
+ * @returns {string[]}
+ */
+function formatEarnings(ledger, result) {
+	const entry = (result.results || []).find((r) => r.balance)?.balance;
+	if (!entry) {
+		return [];
+	}
+
+	const from = Date.now() - EARNINGS_DAYS * 24 * 60 * 60 * 1000;
+	const { total } = ledger.getEarnings(entry.account, { from });
+	return [`📊 近 ${EARNINGS_DAYS} 天累计收益: $${total.toFixed(2)}`];
+}
+
+/**
+ * 按失败类别统计失败账号数
+ * @param {Array} results - 签到结果数组
+ * @returns {string[]} - 统计行，没有失败时为空数组
+ */
+function summarizeFailures(results) {
+	const counts = {};
+	for (const result of results) {
+		if (!result.success) {
+			const label = getErrorLabel(result.errorCode);
+			counts[label] = (counts[label] || 0) + 1;
+		}
+	}
+
+	const parts = Object.entries(counts).map(([label, count]) => `${label}: ${count}`);
+	return parts.length > 0 ? [`[原因] ${parts.join(', ')}`] : [];
+}
+
+/**
+ * 服务端更新仍未同步时的提示
+ * @param {Object} checkResult - 签到结果汇总
+ * @returns {string[]}
+ */
+function formatPendingSync(checkResult) {
+	return checkResult.pendingSyncCount > 0
+		? [`[同步] ${checkResult.pendingSyncCount} 个账号的更新未同步到服务端，将在下次运行时重放`]
+		: [];
+}
+
+/**
+ * 通知中说明本次处理的分片
+ * @param {Object} checkResult - 签到结果汇总
+ * @returns {string[]}
+ */
+function formatShard(checkResult) {
+	const { shard } = checkResult;
+	return shard ? [`[分片] 分片 ${shard.label}: ${shard.count}/${shard.total} 个账号`] : [];
+}
+
+/**
+ * 读取命令行参数 --shard 2/5 或 --shard=2/5
+ * @returns {string|undefined}
+ */
+function getShardArg() {
+	const args = process.argv.slice(2);
+	const index = args.findIndex((arg) => arg === '--shard' || arg.startsWith('--shard='));
+	if (index === -1) {
+		return undefined;
+	}
+	return args[index].startsWith('--shard=')
+		? args[index].slice('--shard='.length)
+		: args[index + 1];
+}
+
 /**
  * 主函数
  * @param {Array} testAccounts - 可选的测试账号数组
@@ -24,15 +152,16 @@ async function main(testAccounts = null) {
 		console.log('[系统] AnyRouter.top 多账号自动签到脚本启动 (Node.js 版)');
 		console.log(`[时间] 执行时间: ${new Date().toLocaleString('zh-CN')}`);
 
-		// 创建统一签到实例，支持传入测试账号
-		const checker = new UnifiedAnyRouterChecker(testAccounts);
+		// 创建统一签到实例，支持传入测试账号；--force 忽略今日已签到的判断，--shard 2/5 只处理指定分片的账号
+		const force = process.argv.includes('--force') || undefined;
+		const checker = new UnifiedAnyRouterChecker(testAccounts, { force, shard: getShardArg() });
 
 		// 执行签到
 		const checkResult = await checker.run();
 
 		if (!checkResult.success && checkResult.results.length === 0) {
 			console.log('[失败] 无法加载账号配置，程序退出');
-			process.exit(1);
+			process.exit(ExitCode.ERROR);
 		}
 
 		// 构建通知内容
@@ -46,28 +175,52 @@ async function main(testAccounts = null) {
 
 				// 添加每个账号的结果
 				for (const result of group.results) {
-					const status = result.success ? '[成功]' : '[失败]';
-					const method = result.method ? `[${result.method}]` : '';
+					const status = formatStatus(result);
+					const method = result.method && !result.skipped ? `[${result.method}]` : '';
 					let accountResult = `${status}${method} ${result.account}`;
 					if (result.userInfo) {
 						accountResult += `\n${result.userInfo}`;
 					}
+					for (const line of [
+						...formatBalanceChanges(result),
+						...formatEarnings(checker.ledger, result),
+					]) {
+						accountResult += `\n${line}`;
+					}
+					if (result.locked) {
+						accountResult += ` - 正由 ${result.lockHolder || '其他运行器'} 处理`;
+					}
 					if (result.error) {
-						accountResult += ` - ${result.error.substring(0, 50)}...`;
+						accountResult += ` - ${formatError(result)}`;
+					}
+					if (result.syncFailure) {
+						accountResult += `\n${formatError(result.syncFailure)}`;
 					}
 					notificationContent.push(accountResult);
 				}
 
 				// 构建统计信息
+				const lockedCount = group.lockedCount || 0;
+				const failedCount =
+					group.totalCount - group.successCount - group.skippedCount - lockedCount;
 				const summary = [
 					'[统计] 签到结果统计:',
+					...formatShard(checkResult),
 					`[成功] 成功: ${group.successCount}/${group.totalCount}`,
-					`[失败] 失败: ${group.totalCount - group.successCount}/${group.totalCount}`,
+					...(group.skippedCount > 0
+						? [`[跳过] 今日已签到: ${group.skippedCount}/${group.totalCount}`]
+						: []),
+					...(lockedCount > 0
+						? [`[锁定] 其他运行器处理中: ${lockedCount}/${group.totalCount}`]
+						: []),
+					`[失败] 失败: ${failedCount}/${group.totalCount}`,
+					...summarizeFailures(group.results),
+					...formatPendingSync(checkResult),
 				];
 
-				if (group.successCount === group.totalCount) {
+				if (failedCount === 0) {
 					summary.push('[成功] 所有账号签到成功!');
-				} else if (group.successCount > 0) {
+				} else if (group.successCount + group.skippedCount + lockedCount > 0) {
 					summary.push('[警告] 部分账号签到成功');
 				} else {
 					summary.push('[错误] 所有账号签到失败');
@@ -93,27 +246,48 @@ async function main(testAccounts = null) {
 			// 兼容旧版本，发送统一通知
 			const notificationContent = [];
 			for (const result of results) {
-				const status = result.success ? '[成功]' : '[失败]';
+				const status = formatStatus(result);
 				let accountResult = `${status} ${result.account}`;
 				if (result.userInfo) {
 					accountResult += `\n${result.userInfo}`;
 				}
+				for (const line of [
+					...formatBalanceChanges(result),
+					...formatEarnings(checker.ledger, result),
+				]) {
+					accountResult += `\n${line}`;
+				}
+				if (result.locked) {
+					accountResult += ` - 正由 ${result.lockHolder || '其他运行器'} 处理`;
+				}
 				if (result.error) {
-					accountResult += ` - ${result.error.substring(0, 50)}...`;
+					accountResult += ` - ${formatError(result)}`;
 				}
 				notificationContent.push(accountResult);
 			}
 
 			// 构建统计信息
+			const lockedCount = checkResult.lockedCount || 0;
+			const failedCount =
+				checkResult.totalCount - checkResult.successCount - checkResult.skippedCount - lockedCount;
 			const summary = [
 				'[统计] 签到结果统计:',
+				...formatShard(checkResult),
 				`[成功] 成功: ${checkResult.successCount}/${checkResult.totalCount}`,
-				`[失败] 失败: ${checkResult.totalCount - checkResult.successCount}/${checkResult.totalCount}`,
+				...(checkResult.skippedCount > 0
+					? [`[跳过] 今日已签到: ${checkResult.skippedCount}/${checkResult.totalCount}`]
+					: []),
+				...(lockedCount > 0
+					? [`[锁定] 其他运行器处理中: ${lockedCount}/${checkResult.totalCount}`]
+					: []),
+				`[失败] 失败: ${failedCount}/${checkResult.totalCount}`,
+				...summarizeFailures(results),
+				...formatPendingSync(checkResult),
 			];
 
-			if (checkResult.successCount === checkResult.totalCount) {
+			if (failedCount === 0) {
 				summary.push('[成功] 所有账号签到成功!');
-			} else if (checkResult.successCount > 0) {
+			} else if (checkResult.successCount + checkResult.skippedCount + lockedCount > 0) {
 				summary.push('[警告] 部分账号签到成功');
 			} else {
 				summary.push('[错误] 所有账号签到失败');
@@ -130,8 +304,12 @@ async function main(testAccounts = null) {
 			await notify.pushMessage('AnyRouter 签到结果', fullNotifyContent, 'text');
 		}
 
-		// 设置退出码
-		process.exit(checkResult.successCount > 0 ? 0 : 1);
+		// 按失败类别设置退出码，任何账号失败都不以 0 退出
+		const exitCode = getExitCode(results);
+		if (exitCode !== ExitCode.SUCCESS) {
+			console.log(`[退出] 退出码 ${exitCode}`);
+		}
+		process.exit(exitCode);
 	} catch (error) {
 		console.error('[失败] 程序执行过程中发生错误:', error.message);
 		console.error(error.stack);
@@ -147,25 +325,25 @@ async function main(testAccounts = null) {
 			console.error('[失败] 发送错误通知失败:', notifyError.message);
 		}
 
-		process.exit(1);
+		process.exit(ExitCode.ERROR);
 	}
 }
 
 // 处理未捕获的异常
 process.on('uncaughtException', (error) => {
 	console.error('[致命错误] 未捕获的异常:', error);
-	process.exit(1);
+	process.exit(ExitCode.ERROR);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
 	console.error('[致命错误] 未处理的 Promise 拒绝:', reason);
-	process.exit(1);
+	process.exit(ExitCode.ERROR);
 });
 
 // 处理中断信号
 process.on('SIGINT', () => {
 	console.log('\n[警告] 程序被用户中断');
-	process.exit(1);
+	process.exit(ExitCode.ERROR);
 });
 
 main();
@@ -0,0 +1,240 @@
+/**
+ * 登录策略模块
+ * 统一各登录方式（账号密码、LinuxDo、GitHub）的调用约定，并提供注册机制
+ *
+ * 策略约定：
+ * - 输入: { account, platform, signal }，account 为账号记录，platform 为平台注册表中的平台配置，
+ *   signal 为可选的 AbortSignal，签到步骤超时时中止，策略需据此关闭浏览器等资源
+ * - 输出: 成功时为 { success: true, session, apiUser, userInfo }，失败时为 { success: false, error, errorCode, errorContext }
+ *   userInfo 统一为 { username, email, quota, usedQuota, affCode }
+ */
+
+import fs from 'fs';
+import AnyRouterSignIn from './checkin-username.js';
+import AnyRouterLinuxDoSignIn from './checkin-linuxdo.js';
+import AnyRouterGitHubSignIn from './checkin-github.js';
+import { CheckinErrorCode, createFailure } from './errors.js';
+import { DEFAULT_CHECKIN_MODE, getPlatformsByMode, getPrimaryPlatform } from './platforms.js';
+
+/**
+ * 将登录模块返回的原始用户数据统一为 { username, email, quota, usedQuota, affCode }
+ * @param {Object|null} userData - /api/user/self 返回的 data 或 localStorage 中的 user
+ * @returns {Object|null}
+ */
+export function normalizeUserInfo(userData) {
+	if (!userData) {
+		return null;
+	}
+
+	return {
+		username: userData.username,
+		email: userData.email,
+		quota: userData.quota,
+		usedQuota: userData.used_quota ?? userData.usedQuota ?? 0,
+		affCode: userData.aff_code ?? userData.affCode,
+	};
+}
+
+/**
+ * 登录策略基类
+ */
+export class LoginStrategy {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.name - 策略名称，同时作为签到结果中的 method
+	 * @param {number} options.accountType - 对应账号记录的 account_type
+	 * @param {string} options.label - 展示名称
+	 */
+	constructor({ name, accountType, label }) {
+		this.name = name;
+		this.accountType = accountType;
+		this.label = label || name;
+	}
+
+	/**
+	 * 获取该策略需要签到的平台，默认按账号的 checkin_mode 决定
+	 * @param {Object} account - 账号记录
+	 * @returns {Array}
+	 */
+	getPlatforms(account) {
+		return getPlatformsByMode(account.checkin_mode || DEFAULT_CHECKIN_MODE);
+	}
+
+	/**
+	 * 清除账号的持久化缓存（连续失败过多时调用，参数为账号记录），默认无缓存可清
+	 */
+	async clearCache() {}
+
+	/**
+	 * 登录指定平台并获取 session，子类必须实现
+	 * 参数为 { account, platform, signal }
+	 * @returns {Promise<{success: boolean, session?: string, apiUser?: string, userInfo?: Object, error?: string, errorCode?: string}>}
+	 */
+	async login() {
+		throw new Error(`登录策略 ${this.name} 未实现 login 方法`);
+	}
+
+	/**
+	 * 将登录模块的返回值转换为统一的结果结构
+	 * @param {Object} loginResult - 登录模块返回的 { success, session, apiUser, userInfo } 或失败结果
+	 * @param {Object} platform - 平台配置
+	 * @returns {Object}
+	 */
+	toResult(loginResult, platform) {
+		if (loginResult?.success && loginResult.userInfo) {
+			return {
+				success: true,
+				session: loginResult.session,
+				apiUser: loginResult.apiUser,
+				userInfo: normalizeUserInfo(loginResult.userInfo),
+				signInResponse: loginResult.signInResponse ?? null,
+				quotaBefore: loginResult.quotaBefore ?? null,
+				quotaAfter: loginResult.quotaAfter ?? null,
+			};
+		}
+
+		if (loginResult?.errorCode) {
+			return createFailure(
+				loginResult.errorCode,
+				`${platform.name} 登录失败: ${loginResult.error}`,
+				{ ...loginResult.errorContext, platform: platform.key, strategy: this.name }
+			);
+		}
+
+		return createFailure(CheckinErrorCode.UNEXPECTED_PAGE, `${platform.name} 登录失败`, {
+			platform: platform.key,
+			strategy: this.name,
+		});
+	}
+}
+
+/**
+ * 账号密码登录（仅支持主平台）
+ */
+export class PasswordLoginStrategy extends LoginStrategy {
+	constructor() {
+		super({ name: 'password', accountType: 0, label: '账号密码登录' });
+	}
+
+	getPlatforms() {
+		return [getPrimaryPlatform()];
+	}
+
+	async login({ account, platform, signal }) {
+		const signInModule = new AnyRouterSignIn(platform.baseUrl);
+		const loginResult = await signInModule.loginAndGetSession(account.username, account.password, {
+			signal,
+		});
+		return this.toResult(loginResult, platform);
+	}
+}
+
+/**
+ * LinuxDo 第三方登录
+ */
+export class LinuxDoLoginStrategy extends LoginStrategy {
+	constructor() {
+		super({ name: 'linuxdo', accountType: 1, label: 'LinuxDo 第三方登录' });
+	}
+
+	async login({ account, platform, signal }) {
+		// 为每个平台创建独立的 LinuxDo 签到实例
+		const signInModule = new AnyRouterLinuxDoSignIn(platform.baseUrl);
+		const loginResult = await signInModule.loginAndGetSession(account.username, account.password, {
+			signal,
+		});
+		return this.toResult(loginResult, platform);
+	}
+}
+
+/**
+ * GitHub 第三方登录
+ */
+export class GitHubLoginStrategy extends LoginStrategy {
+	constructor() {
+		super({ name: 'github', accountType: 2, label: 'GitHub 第三方登录' });
+	}
+
+	async clearCache(account) {
+		// baseUrl 不重要，只用于调用 getUserDataDir
+		const signInModule = new AnyRouterGitHubSignIn(getPrimaryPlatform().baseUrl);
+		const userDataDir = signInModule.getUserDataDir(account.username);
+
+		// 删除整个用户数据目录
+		if (fs.existsSync(userDataDir)) {
+			fs.rmSync(userDataDir, { recursive: true, force: true });
+			console.log(`[清理] 已删除持久化缓存: ${userDataDir}`);
+		}
+	}
+
+	async login({ account, platform, signal }) {
+		// 为每个平台创建独立的 GitHub 签到实例
+		const signInModule = new AnyRouterGitHubSignIn(platform.baseUrl);
+		const loginResult = await signInModule.loginAndGetSession(
+			account._id,
+			account.username,
+			account.password,
+			account.notice_email,
+			{ signal }
+		);
+		return this.toResult(loginResult, platform);
+	}
+}
+
+const strategies = new Map();
+
+/**
+ * 注册登录策略，同名策略会被覆盖
+ * @param {LoginStrategy} strategy - 登录策略实例
+ */
+export function registerLoginStrategy(strategy) {
+	if (!strategy || !strategy.name || typeof strategy.login !== 'function') {
+		throw new Error('登录策略必须包含 name 和 login 方法');
+	}
+	strategies.set(strategy.name, strategy);
+}
+
+/**
+ * 根据策略名称获取登录策略
+ * @param {string} name - 策略名称
+ * @returns {LoginStrategy|null}
+ */
+export function getLoginStrategy(name) {
+	return strategies.get(name) || null;
+}
+
+/**
+ * 根据账号记录的 account_type 获取登录策略
+ * @param {number} accountType - 账号类型
+ * @returns {LoginStrategy|null}
+ */
+export function getLoginStrategyByAccountType(accountType) {
+	for (const strategy of strategies.values()) {
+		if (strategy.accountType === accountType) {
+			return strategy;
+		}
+	}
+	return null;
+}
+
+/**
+ * 获取所有已注册的登录策略
+ * @returns {Array<LoginStrategy>}
+ */
+export function getLoginStrategies() {
+	return [...strategies.values()];
+}
+
+// 注册内置登录策略
+registerLoginStrategy(new PasswordLoginStrategy());
+registerLoginStrategy(new LinuxDoLoginStrategy());
+registerLoginStrategy(new GitHubLoginStrategy());
+
+export default {
+	LoginStrategy,
+	registerLoginStrategy,
+	getLoginStrategy,
+	getLoginStrategyByAccountType,
+	getLoginStrategies,
+	normalizeUserInfo,
+};
@@ -0,0 +1,183 @@
+/**
+ * 签到平台注册表
+ * 所有基于 new-api 的签到站点统一在此登记，签到流程根据注册表决定签到哪些平台
+ */
+
+/**
+ * 内置平台列表
+ * - key: 平台唯一标识
+ * - name: 展示名称（日志和通知中使用）
+ * - baseUrl: 站点地址
+ * - modeFlag: checkin_mode 中对应的位（1-AnyRouter，2-AgentRouter，可按位组合，3 表示两者都签到）
+ * - balanceField: 账号记录中保存该平台余额的字段
+ * - usedField: 账号记录中保存该平台已使用额度的字段（null 表示不保存）
+ * - sessionField / accountIdField / sessionExpireField: 账号记录中保存该平台 session、用户 ID、session 过期时间的字段
+ * - quotaPerDollar: quota 与美元的换算比例
+ * - primary: 是否为主平台（推广码保存在账号记录上，主平台失败时跳过其余平台）
+ */
+const BUILTIN_PLATFORMS = [
+	{
+		key: 'anyrouter',
+		name: 'AnyRouter',
+		baseUrl: 'https://anyrouter.top',
+		modeFlag: 1,
+		balanceField: 'balance',
+		usedField: 'used',
+		sessionField: 'session',
+		accountIdField: 'account_id',
+		sessionExpireField: 'session_expire_time',
+		quotaPerDollar: 500000,
+		primary: true,
+	},
+	{
+		key: 'agentrouter',
+		name: 'AgentRouter',
+		baseUrl: 'https://agentrouter.org',
+		modeFlag: 2,
+		balanceField: 'agentrouter_balance',
+		usedField: null,
+		sessionField: 'agentrouter_session',
+		accountIdField: 'agentrouter_account_id',
+		sessionExpireField: 'agentrouter_session_expire_time',
+		quotaPerDollar: 500000,
+		primary: false,
+	},
+];
+
+/**
+ * 默认签到模式：签到所有内置平台
+ */
+export const DEFAULT_CHECKIN_MODE = 3;
+
+/**
+ * 从环境变量 CHECKIN_PLATFORMS 读取额外的平台配置
+ * 格式: [{"key":"foo","name":"Foo","baseUrl":"https://foo.example","modeFlag":4,"balanceField":"foo_balance"}]
+ * key 与内置平台相同时覆盖内置配置
+ * @returns {Array} - 平台配置数组
+ */
+function loadPlatformOverrides() {
+	const platformsStr = process.env.CHECKIN_PLATFORMS;
+	if (!platformsStr) {
+		return [];
+	}
+
+	try {
+		const overrides = JSON.parse(platformsStr);
+		if (!Array.isArray(overrides)) {
+			console.error('[错误] CHECKIN_PLATFORMS 必须使用数组格式 [{}]');
+			return [];
+		}
+		return overrides.filter((p) => p && p.key);
+	} catch (error) {
+		console.error(`[错误] CHECKIN_PLATFORMS 格式不正确: ${error.message}`);
+		return [];
+	}
+}
+
+/**
+ * 构建平台注册表
+ * @returns {Array} - 合并内置平台与环境变量覆盖后的平台列表
+ */
+function buildRegistry() {
+	const registry = BUILTIN_PLATFORMS.map((p) => ({ ...p }));
+
+	for (const override of loadPlatformOverrides()) {
+		const existing = registry.find((p) => p.key === override.key);
+		if (existing) {
+			Object.assign(existing, override);
+		} else {
+			registry.push({
+				usedField: null,
+				sessionField: `${override.key}_session`,
+				accountIdField: `${override.key}_account_id`,
+				sessionExpireField: `${override.key}_session_expire_time`,
+				quotaPerDollar: 500000,
+				primary: false,
+				...override,
+			});
+		}
+	}
+
+	return registry;
+}
+
+const PLATFORMS = buildRegistry();
+
+/**
+ * 获取全部已注册平台
+ * @returns {Array}
+ */
+export function getPlatforms() {
+	return PLATFORMS;
+}
+
+/**
+ * 根据 key 获取平台配置
+ * @param {string} key - 平台标识
+ * @returns {Object|null}
+ */
+export function getPlatform(key) {
+	return PLATFORMS.find((p) => p.key === key) || null;
+}
+
+/**
+ * 根据站点地址获取平台配置
+ * @param {string} baseUrl - 站点地址
+ * @returns {Object} - 未登记的地址返回主平台配置
+ */
+export function getPlatformByBaseUrl(baseUrl) {
+	return PLATFORMS.find((p) => p.baseUrl === baseUrl) || getPrimaryPlatform();
+}
+
+/**
+ * 获取主平台配置
+ * @returns {Object}
+ */
+export function getPrimaryPlatform() {
+	return PLATFORMS.find((p) => p.primary) || PLATFORMS[0];
+}
+
+/**
+ * 根据 checkin_mode 获取需要签到的平台（按注册顺序，主平台在前）
+ * @param {number} [checkinMode] - 签到模式，按位组合 modeFlag
+ * @returns {Array}
+ */
+export function getPlatformsByMode(checkinMode = DEFAULT_CHECKIN_MODE) {
+	return PLATFORMS.filter((p) => (checkinMode & p.modeFlag) !== 0);
+}
+
+/**
+ * 读取账号记录中保存的平台登录态
+ * @param {Object} account - 账号记录
+ * @param {Object} platform - 平台配置
+ * @returns {{session: string|undefined, apiUser: string|undefined, expireTime: number|undefined}}
+ */
+export function getPlatformSession(account, platform) {
+	return {
+		session: account[platform.sessionField],
+		// 主平台兼容旧的 api_user 字段
+		apiUser: account[platform.accountIdField] || (platform.primary ? account.api_user : undefined),
+		expireTime: account[platform.sessionExpireField],
+	};
+}
+
+/**
+ * 将 quota 换算为美元金额
+ * @param {Object} platform - 平台配置
+ * @param {number} quota - 平台返回的 quota 值
+ * @returns {number}
+ */
+export function quotaToDollars(platform, quota) {
+	return (quota || 0) / platform.quotaPerDollar;
+}
+
+export default {
+	DEFAULT_CHECKIN_MODE,
+	getPlatforms,
+	getPlatform,
+	getPlatformByBaseUrl,
+	getPrimaryPlatform,
+	getPlatformsByMode,
+	getPlatformSession,
+	quotaToDollars,
+};
@@ -0,0 +1,203 @@
+/**
+ * 重试策略模块
+ * 按失败类别决定是否重试，重试间隔使用带随机抖动的指数退避
+ *
+ * 策略配置:
+ * - maxAttempts: 最多尝试次数（含首次）
+ * - baseDelay: 首次重试前的等待时间（毫秒）
+ * - maxDelay: 单次等待时间上限（毫秒）
+ * - factor: 指数退避倍数
+ * - jitter: 随机抖动比例（0-1），实际等待时间在 delay * (1 ± jitter) 之间
+ * - retryableCodes: 可重试的错误码，其余错误码视为终止性错误（如账号密码错误不会重试）
+ */
+
+import { CheckinErrorCode } from './errors.js';
+import { sleep } from '../utils/async.js';
+
+/**
+ * 默认可重试的失败类别
+ */
+export const DEFAULT_RETRYABLE_CODES = [
+	CheckinErrorCode.NETWORK,
+	CheckinErrorCode.UNEXPECTED_PAGE,
+	CheckinErrorCode.UNKNOWN,
+];
+
+/**
+ * 默认重试策略
+ * - platform: 单个平台的一次签到（session 签到或一次第三方登录）
+ * - account: 单个账号的完整签到流程（整条签到策略链）
+ * - sync: 运行结束前重放服务端更新的待同步队列
+ */
+export const DEFAULT_RETRY_POLICIES = {
+	platform: {
+		maxAttempts: 2,
+		baseDelay: 5000,
+		maxDelay: 60000,
+		factor: 2,
+		jitter: 0.3,
+		retryableCodes: DEFAULT_RETRYABLE_CODES,
+	},
+	account: {
+		maxAttempts: 1,
+		baseDelay: 30000,
+		maxDelay: 120000,
+		factor: 2,
+		jitter: 0.3,
+		retryableCodes: DEFAULT_RETRYABLE_CODES,
+	},
+	sync: {
+		maxAttempts: 3,
+		baseDelay: 10000,
+		maxDelay: 60000,
+		factor: 2,
+		jitter: 0.3,
+		retryableCodes: [CheckinErrorCode.BACKEND_SYNC_FAILED],
+	},
+};
+
+/**
+ * 从环境变量 CHECKIN_RETRY_POLICY 读取重试策略覆盖配置
+ * 格式: {"platform":{"maxAttempts":3},"account":{"maxAttempts":2,"retryableCodes":["network"]},"sync":{"maxAttempts":5}}
+ * @returns {Object}
+ */
+function loadRetryPolicyOverrides() {
+	const policyStr = process.env.CHECKIN_RETRY_POLICY;
+	if (!policyStr) {
+		return {};
+	}
+
+	try {
+		return JSON.parse(policyStr) || {};
+	} catch (error) {
+		console.error(`[错误] CHECKIN_RETRY_POLICY 格式不正确: ${error.message}`);
+		return {};
+	}
+}
+
+/**
+ * 修正重试策略中无效的尝试次数，至少尝试一次
+ * @param {string} name - 策略名称
+ * @param {Object} policy - 合并后的重试策略
+ * @returns {Object}
+ */
+function normalizePolicy(name, policy) {
+	const maxAttempts = Math.floor(Number(policy.maxAttempts));
+	if (maxAttempts >= 1) {
+		return { ...policy, maxAttempts };
+	}
+
+	console.error(
+		`[错误] ${name} 重试策略的 maxAttempts 应为不小于 1 的整数，实际为 ${JSON.stringify(policy.maxAttempts)}，按 1 处理`
+	);
+	return { ...policy, maxAttempts: 1 };
+}
+
+/**
+ * 构建重试策略（默认值 < 环境变量 < 传入参数）
+ * @param {Object} [overrides] - { platform: {...}, account: {...}, sync: {...} }
+ * @returns {{platform: Object, account: Object, sync: Object}}
+ */
+export function createRetryPolicies(overrides = {}) {
+	const envOverrides = loadRetryPolicyOverrides();
+
+	return {
+		platform: normalizePolicy('platform', {
+			...DEFAULT_RETRY_POLICIES.platform,
+			...envOverrides.platform,
+			...overrides.platform,
+		}),
+		account: normalizePolicy('account', {
+			...DEFAULT_RETRY_POLICIES.account,
+			...envOverrides.account,
+			...overrides.account,
+		}),
+		sync: normalizePolicy('sync', {
+			...DEFAULT_RETRY_POLICIES.sync,
+			...envOverrides.sync,
+			...overrides.sync,
+		}),
+	};
+}
+
+/**
+ * 判断失败结果是否可以重试
+ * @param {Object} policy - 重试策略
+ * @param {Object} result - 签到结果
+ * @returns {boolean}
+ */
+export function isRetryable(policy, result) {
+	if (!result || result.success) {
+		return false;
+	}
+	return policy.retryableCodes.includes(result.errorCode || CheckinErrorCode.UNKNOWN);
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间
+ * @param {Object} policy - 重试策略
+ * @param {number} attempt - 已失败的次数（从 1 开始）
+ * @returns {number} - 等待时间（毫秒）
+ */
+export function getBackoffDelay(policy, attempt) {
+	const delay = Math.min(policy.baseDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+	const jitter = delay * policy.jitter * (Math.random() * 2 - 1);
+	return Math.max(0, Math.round(delay + jitter));
+}
+
+/**
+ * 按重试策略执行任务
+ * @param {Function} task - 执行一次尝试的函数 (attempt) => Promise<Object>，返回签到结果
+ * @param {Object} policy - 重试策略
+ * @param {string} [label] - 日志中显示的任务名称
+ * @returns {Promise<{result: Object, attempts: Array}>} - 最后一次尝试的结果和每次尝试的记录
+ */
+export async function runWithRetry(task, policy, label = '任务') {
+	const attempts = [];
+	let result = null;
+
+	for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+		const startTime = Date.now();
+		result = await task(attempt);
+
+		const record = {
+			attempt,
+			success: result.success,
+			errorCode: result.success ? undefined : result.errorCode,
+			error: result.success ? undefined : result.error,
+			duration: Date.now() - startTime,
+		};
+		attempts.push(record);
+
+		if (result.success) {
+			break;
+		}
+
+		if (!isRetryable(policy, result)) {
+			if (attempt < policy.maxAttempts) {
+				console.log(`[重试] ${label}: 失败类别 ${result.errorCode} 不可重试`);
+			}
+			break;
+		}
+
+		if (attempt < policy.maxAttempts) {
+			const delay = getBackoffDelay(policy, attempt);
+			record.delay = delay;
+			console.log(
+				`[重试] ${label}: 第 ${attempt} 次尝试失败 (${result.errorCode})，${(delay / 1000).toFixed(1)} 秒后重试...`
+			);
+			await sleep(delay);
+		}
+	}
+
+	return { result, attempts };
+}
+
+export default {
+	DEFAULT_RETRYABLE_CODES,
+	DEFAULT_RETRY_POLICIES,
+	createRetryPolicies,
+	isRetryable,
+	getBackoffDelay,
+	runWithRetry,
+};
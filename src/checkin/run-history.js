@@ -0,0 +1,104 @@
+/**
+ * 签到运行记录
+ * 根据签到结果构建上报服务端的运行记录，只包含签到过程的统计信息，不包含 session、密码等登录凭据
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { getAccountKey } from './account-store.js';
+import { getRunnerFilter } from './account-source.js';
+
+/**
+ * 生成运行ID：在 GitHub Actions 中使用 run_id 和重试次数，便于与工作流运行对应，否则随机生成
+ * @returns {string}
+ */
+export function createRunId() {
+	const { GITHUB_RUN_ID, GITHUB_RUN_ATTEMPT } = process.env;
+	if (GITHUB_RUN_ID) {
+		return `gh-${GITHUB_RUN_ID}-${GITHUB_RUN_ATTEMPT || 1}`;
+	}
+	return crypto.randomUUID();
+}
+
+/**
+ * 获取运行器信息
+ * @returns {{runner: string|null, workflow_url: string|null, hostname: string}}
+ */
+export function getRunnerIdentity() {
+	const { runner, workflow_url } = getRunnerFilter();
+	return {
+		runner: runner || null,
+		workflow_url: workflow_url || null,
+		hostname: os.hostname(),
+	};
+}
+
+/**
+ * 构建单个平台的签到明细
+ * @param {Object} platformResult - 签到结果中 results 的一项
+ * @returns {Object}
+ */
+function buildPlatformRecord(platformResult) {
+	return {
+		platform: platformResult.platform,
+		success: platformResult.success,
+		method: platformResult.method || null,
+		error_code: platformResult.errorCode || null,
+		error: platformResult.error || null,
+		attempts: (platformResult.attempts || []).map((a) => ({
+			attempt: a.attempt,
+			success: a.success,
+			error_code: a.errorCode || null,
+			duration: a.duration,
+		})),
+		balance: platformResult.balance?.balance ?? null,
+		used: platformResult.balance?.used ?? null,
+		earned: platformResult.balance?.earned ?? null,
+		reward: platformResult.reward?.reward ?? null,
+		reward_confirmed: platformResult.reward?.confirmed ?? false,
+	};
+}
+
+/**
+ * 构建本次运行的记录
+ * @param {Object} options
+ * @param {string} options.runId - 运行ID
+ * @param {number} options.startedAt - 开始时间戳
+ * @param {number} options.finishedAt - 结束时间戳
+ * @param {Array} options.accounts - 账号记录，与 results 一一对应
+ * @param {Array} options.results - 各账号的签到结果
+ * @returns {Object} - reportCheckinResult 的参数
+ */
+export function buildRunHistory({ runId, startedAt, finishedAt, accounts, results }) {
+	return {
+		run_id: runId,
+		runner: getRunnerIdentity(),
+		started_at: startedAt,
+		finished_at: finishedAt,
+		accounts: results.map((result, index) => ({
+			_id: accounts[index]._id || null,
+			account: result.account || getAccountKey(accounts[index]),
+			success: result.success,
+			skipped: Boolean(result.skipped),
+			locked: Boolean(result.locked),
+			method: result.method || null,
+			error_code: result.success ? null : result.errorCode || null,
+			error: result.success ? null : result.error || null,
+			sync_error: result.syncFailure?.error || null,
+			started_at: result.startedAt ?? null,
+			duration: result.duration ?? null,
+			account_attempts: (result.attempts || []).length,
+			steps: (result.steps || []).map((step) => ({
+				strategy: step.strategy,
+				platforms: step.platforms,
+				success: step.success,
+				skipped: Boolean(step.skipped),
+				error_code: step.errorCode || null,
+				duration: step.duration,
+			})),
+			platforms: (result.results || []).map(buildPlatformRecord),
+		})),
+	};
+}
+
+export default { createRunId, getRunnerIdentity, buildRunHistory };
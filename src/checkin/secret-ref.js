@@ -0,0 +1,119 @@
+/**
+ * 账号密钥引用
+ * 账号的 password 和各平台 session 字段可以引用外部密钥而不直接写入配置，适用于 Docker / Kubernetes 挂载的密钥：
+ *   "password": {"file": "/run/secrets/gh_alice"}  读取文件内容（忽略末尾换行）
+ *   "password": {"env": "ALICE_PW"}               读取环境变量
+ * 引用在加载账号时解析为字符串，后续流程与直接写入的值相同
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getPlatforms } from './platforms.js';
+
+/**
+ * 支持的引用类型
+ */
+const REF_KEYS = ['file', 'env'];
+
+/**
+ * 获取可以使用密钥引用的字段：password 和各平台的 session 字段
+ * @returns {string[]}
+ */
+export function getSecretFields() {
+	return ['password', ...getPlatforms().map((platform) => platform.sessionField)];
+}
+
+/**
+ * 判断字段值是否为密钥引用（普通对象）
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSecretRef(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 检查密钥引用的格式
+ * @param {Object} ref
+ * @returns {string|null} - 格式正确时返回 null，否则返回问题说明
+ */
+export function validateSecretRef(ref) {
+	const keys = Object.keys(ref);
+	if (keys.length !== 1 || !REF_KEYS.includes(keys[0])) {
+		return '密钥引用应为 {"file": "路径"} 或 {"env": "变量名"}';
+	}
+	if (typeof ref[keys[0]] !== 'string' || !ref[keys[0]]) {
+		return `密钥引用的 ${keys[0]} 应为非空字符串`;
+	}
+	return null;
+}
+
+/**
+ * 解析密钥引用
+ * @param {Object} ref - {file} 或 {env}
+ * @returns {string}
+ * @throws {Error} - 格式不正确、文件无法读取、环境变量未设置或内容为空时抛出
+ */
+export function resolveSecretRef(ref) {
+	const problem = validateSecretRef(ref);
+	if (problem) {
+		throw new Error(problem);
+	}
+
+	if (ref.env) {
+		const value = process.env[ref.env];
+		if (!value) {
+			throw new Error(`环境变量 ${ref.env} 未设置`);
+		}
+		return value;
+	}
+
+	let content;
+	try {
+		content = fs.readFileSync(path.resolve(ref.file), 'utf8');
+	} catch (error) {
+		throw new Error(`无法读取密钥文件 ${ref.file}: ${error.code || error.message}`);
+	}
+	const value = content.replace(/[\r\n]+$/, '');
+	if (!value) {
+		throw new Error(`密钥文件 ${ref.file} 为空`);
+	}
+	return value;
+}
+
+/**
+ * 解析账号列表中的所有密钥引用
+ * @param {Array} accounts - 账号配置
+ * @returns {{accounts: Array, errors: Array<{path: string, message: string}>}} - 解析后的账号（不修改原对象）和所有解析失败的引用
+ */
+export function resolveAccountSecrets(accounts) {
+	const fields = getSecretFields();
+	const errors = [];
+
+	const resolved = accounts.map((account, i) => {
+		const refFields = fields.filter((field) => isSecretRef(account[field]));
+		if (refFields.length === 0) {
+			return account;
+		}
+
+		const result = { ...account };
+		for (const field of refFields) {
+			try {
+				result[field] = resolveSecretRef(account[field]);
+			} catch (error) {
+				errors.push({ path: `[${i}].${field}`, message: error.message });
+			}
+		}
+		return result;
+	});
+
+	return { accounts: resolved, errors };
+}
+
+export default {
+	getSecretFields,
+	isSecretRef,
+	validateSecretRef,
+	resolveSecretRef,
+	resolveAccountSecrets,
+};
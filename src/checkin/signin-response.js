@@ -0,0 +1,207 @@
+/**
+ * 签到接口响应解析
+ * 各平台 /api/user/sign_in 的响应格式不完全一致（ret/code/success，奖励写在 data 或提示文本中），
+ * 这里统一解析出签到状态和奖励额度，并结合签到前后的 quota 差值确认实际到账的额度
+ */
+
+import { quotaToDollars } from './platforms.js';
+
+/**
+ * 签到状态
+ */
+export const SignInStatus = {
+	SIGNED_IN: 'signed_in', // 本次签到成功
+	ALREADY_SIGNED_IN: 'already_signed_in', // 今日已签到过
+	FAILED: 'failed',
+	UNKNOWN: 'unknown', // 没有捕获到签到接口响应
+};
+
+/**
+ * data 中可能表示奖励额度（quota 单位）的字段
+ */
+const REWARD_FIELDS = ['quota', 'reward', 'award', 'amount', 'reward_quota', 'checkin_quota'];
+
+/**
+ * 获取响应中的提示文本
+ * @param {Object} data - 响应数据
+ * @returns {string}
+ */
+function getMessage(data) {
+	return data?.msg || data?.message || '';
+}
+
+/**
+ * 判断提示文本是否表示今日已签到
+ * @param {string} message - 提示文本
+ * @returns {boolean}
+ */
+export function isAlreadySignedInMessage(message) {
+	return /已签到|已经签到|签到过|重复签到|already/i.test(message || '');
+}
+
+/**
+ * 从响应中提取奖励额度
+ * @param {Object} platform - 平台配置
+ * @param {Object} data - 响应数据
+ * @returns {number|null} - quota 单位的奖励额度，无法提取时返回 null
+ */
+function extractRewardQuota(platform, data) {
+	const payload = data?.data;
+	if (typeof payload === 'number') {
+		return payload;
+	}
+	if (payload && typeof payload === 'object') {
+		for (const field of REWARD_FIELDS) {
+			const value = Number(payload[field]);
+			if (payload[field] !== undefined && Number.isFinite(value)) {
+				return value;
+			}
+		}
+	}
+
+	// 提示文本中的美元金额，如 "签到成功，获得 $25"
+	const dollarMatch = getMessage(data).match(/\$\s*(\d+(?:\.\d+)?)/);
+	if (dollarMatch) {
+		return Math.round(parseFloat(dollarMatch[1]) * platform.quotaPerDollar);
+	}
+
+	return null;
+}
+
+/**
+ * 解析签到接口响应
+ * @param {Object} platform - 平台配置
+ * @param {Object|null} data - /api/user/sign_in 返回的 JSON
+ * @returns {{status: string, rewardQuota: number|null, message: string}}
+ */
+export function normalizeSignInResponse(platform, data) {
+	if (!data) {
+		return { status: SignInStatus.UNKNOWN, rewardQuota: null, message: '' };
+	}
+
+	const message = getMessage(data);
+
+	if (isAlreadySignedInMessage(message)) {
+		return { status: SignInStatus.ALREADY_SIGNED_IN, rewardQuota: 0, message };
+	}
+
+	if (data.ret === 1 || data.code === 0 || data.success) {
+		return {
+			status: SignInStatus.SIGNED_IN,
+			rewardQuota: extractRewardQuota(platform, data),
+			message,
+		};
+	}
+
+	return { status: SignInStatus.FAILED, rewardQuota: null, message };
+}
+
+/**
+ * 记录登录过程中页面发出的签到请求和签到前后的用户额度
+ * 页面登录后会自动调用 /api/user/sign_in，签到响应之前的 /api/user/self 为签到前的额度，之后的为签到后的额度
+ */
+export class SignInTracker {
+	constructor() {
+		this.response = null;
+		this.quotaBefore = null;
+		this.quotaAfter = null;
+	}
+
+	/**
+	 * 记录 /api/user/sign_in 响应
+	 * @param {Object|null} data - 响应数据
+	 */
+	onSignIn(data) {
+		this.response = data;
+	}
+
+	/**
+	 * 记录 /api/user/self 响应
+	 * @param {Object|null} data - 响应数据
+	 */
+	onUserSelf(data) {
+		const quota = data?.data?.quota;
+		if (!Number.isFinite(quota)) {
+			return;
+		}
+		if (this.response) {
+			this.quotaAfter = quota;
+		} else {
+			this.quotaBefore = quota;
+		}
+	}
+
+	/**
+	 * 获取记录结果，附加到登录模块的返回值中
+	 * @returns {{signInResponse: Object|null, quotaBefore: number|null, quotaAfter: number|null}}
+	 */
+	getResult() {
+		return {
+			signInResponse: this.response,
+			quotaBefore: this.quotaBefore,
+			quotaAfter: this.quotaAfter,
+		};
+	}
+}
+
+/**
+ * 汇总本次签到的奖励
+ * 签到前后的 quota 都已知时以差值为准（confirmed 为 true），否则使用响应中解析出的奖励
+ * @param {Object} platform - 平台配置
+ * @param {Object} options
+ * @param {Object|null} [options.response] - /api/user/sign_in 返回的 JSON
+ * @param {number|null} [options.quotaBefore] - 签到前的 quota
+ * @param {number|null} [options.quotaAfter] - 签到后的 quota
+ * @returns {{status: string, rewardQuota: number|null, reward: number|null, confirmed: boolean, message: string}} - reward 为美元金额
+ */
+export function summarizeSignInReward(platform, { response, quotaBefore, quotaAfter }) {
+	const parsed = normalizeSignInResponse(platform, response);
+	const hasDiff = Number.isFinite(quotaBefore) && Number.isFinite(quotaAfter);
+	const diffQuota = hasDiff ? quotaAfter - quotaBefore : null;
+
+	let status = parsed.status;
+	// 没有捕获到签到响应但额度增加了，说明页面已自动完成签到
+	if (status === SignInStatus.UNKNOWN && diffQuota > 0) {
+		status = SignInStatus.SIGNED_IN;
+	}
+
+	let rewardQuota = parsed.rewardQuota;
+	if (hasDiff && status === SignInStatus.SIGNED_IN) {
+		rewardQuota = Math.max(diffQuota, 0);
+	}
+
+	return {
+		status,
+		rewardQuota,
+		reward: rewardQuota === null ? null : quotaToDollars(platform, rewardQuota),
+		confirmed: hasDiff && status === SignInStatus.SIGNED_IN,
+		message: parsed.message,
+	};
+}
+
+/**
+ * 格式化奖励文本
+ * @param {Object|null} summary - summarizeSignInReward 的返回值
+ * @returns {string|null} - 无法确定奖励时返回 null
+ */
+export function formatSignInReward(summary) {
+	if (!summary) {
+		return null;
+	}
+	if (summary.status === SignInStatus.ALREADY_SIGNED_IN) {
+		return '🎁 今日已签到';
+	}
+	if (summary.status === SignInStatus.SIGNED_IN && summary.reward !== null) {
+		return `🎁 今日 +$${summary.reward.toFixed(2)}${summary.confirmed ? '' : ' (未确认)'}`;
+	}
+	return null;
+}
+
+export default {
+	SignInStatus,
+	SignInTracker,
+	isAlreadySignedInMessage,
+	normalizeSignInResponse,
+	summarizeSignInReward,
+	formatSignInReward,
+};
@@ -0,0 +1,48 @@
+/**
+ * 状态目录中的敏感字段保护
+ * 状态目录在 GitHub Actions 中通过 actions/cache 在多次运行之间恢复，缓存中不能出现明文 session：
+ * - 配置了保险库密钥（ANYROUTER_VAULT_KEY_FILE / ANYROUTER_VAULT_PASSPHRASE）时，状态文件使用同一密钥加密
+ * - 未配置密钥且在 CI 中运行时，写入前移除 password 和各平台 session 字段
+ * - 未配置密钥的本地或自建服务器运行，状态目录只在本机，session 照常保存（文件权限为仅所有者可读写）
+ */
+
+import { getVaultSecret } from './account-source.js';
+import { getSecretFields } from './secret-ref.js';
+
+/**
+ * 获取状态文件的加密密钥
+ * @returns {string|Buffer|null} - 未配置或密钥文件无法读取时返回 null
+ */
+export function getStateSecret() {
+	try {
+		return getVaultSecret();
+	} catch (error) {
+		console.error(`[本地状态] 无法读取保险库密钥，状态文件不加密: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * 状态目录是否会被缓存（在 CI 中运行，GitHub Actions 通过 actions/cache 保存状态目录）
+ * @returns {boolean}
+ */
+export function isStateDirCached() {
+	const ci = (process.env.CI || '').toLowerCase();
+	return process.env.GITHUB_ACTIONS === 'true' || (ci !== '' && ci !== 'false' && ci !== '0');
+}
+
+/**
+ * 移除 password 和各平台 session 字段
+ * @param {Object} data - 账号字段
+ * @returns {{data: Object, omitted: string[]}} - 移除后的字段（副本）和被移除的字段名
+ */
+export function omitSecretFields(data) {
+	const result = { ...data };
+	const omitted = getSecretFields().filter((field) => field in result);
+	for (const field of omitted) {
+		delete result[field];
+	}
+	return { data: result, omitted };
+}
+
+export default { getStateSecret, isStateDirCached, omitSecretFields };
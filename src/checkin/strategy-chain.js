@@ -0,0 +1,198 @@
+/**
+ * 签到策略链模块
+ * 每个账号可以通过 checkin_strategies 字段声明按顺序尝试的签到方式，例如：
+ *   "checkin_strategies": ["session", "github"]
+ *   "checkin_strategies": [{"name": "session", "timeout": 60000}, {"name": "github", "timeout": 600000}]
+ * 未声明时使用默认顺序：有 session 时先 session 签到，再使用 account_type 对应的登录方式
+ *
+ * session 按平台保存（字段见平台注册表），session 步骤会对签到模式内每个保存了 session 的平台签到，
+ * 未签到成功的平台留给后续的登录步骤
+ *
+ * 选择策略前会检查各平台的 session 过期时间：
+ * - 全部已过期：移除 session 步骤，避免启动浏览器做注定失败的尝试
+ * - 有即将过期的（剩余时间小于续期窗口）：把 session 步骤移到最后，先用完整登录方式续期，登录失败时仍可回退到 session
+ */
+
+import { getLoginStrategy, getLoginStrategyByAccountType } from './login-strategy.js';
+import {
+	DEFAULT_CHECKIN_MODE,
+	getPlatformSession,
+	getPlatformsByMode,
+	getPrimaryPlatform,
+} from './platforms.js';
+
+/**
+ * Session 签到步骤名称
+ */
+export const SESSION_STEP = 'session';
+
+/**
+ * 各类步骤的默认超时时间（毫秒）
+ * 第三方登录可能需要等待设备验证码，因此超时时间较长
+ */
+export const DEFAULT_STEP_TIMEOUTS = {
+	[SESSION_STEP]: 2 * 60 * 1000,
+	login: 10 * 60 * 1000,
+};
+
+/**
+ * session 状态
+ */
+export const SessionState = {
+	MISSING: 'missing', // 没有 session
+	UNKNOWN: 'unknown', // 没有记录过期时间
+	VALID: 'valid',
+	EXPIRING: 'expiring', // 即将过期，需要续期
+	EXPIRED: 'expired',
+};
+
+/**
+ * 默认续期窗口（天），可通过 SESSION_RENEW_WINDOW_DAYS 环境变量配置
+ */
+export const DEFAULT_RENEW_WINDOW_DAYS = 3;
+
+/**
+ * 获取 session 续期窗口（毫秒）
+ * @returns {number}
+ */
+export function getRenewWindow() {
+	const days = parseFloat(process.env.SESSION_RENEW_WINDOW_DAYS);
+	return (
+		(Number.isFinite(days) && days >= 0 ? days : DEFAULT_RENEW_WINDOW_DAYS) * 24 * 60 * 60 * 1000
+	);
+}
+
+/**
+ * 根据平台的 session 过期时间判断账号在该平台的 session 状态
+ * @param {Object} account - 账号记录
+ * @param {Object} [platform] - 平台配置，默认为主平台
+ * @param {number} [now] - 当前时间戳
+ * @returns {string} - 取值见 SessionState
+ */
+export function getSessionState(account, platform = getPrimaryPlatform(), now = Date.now()) {
+	const { session, apiUser, expireTime } = getPlatformSession(account, platform);
+
+	if (!session || !apiUser) {
+		return SessionState.MISSING;
+	}
+	if (!expireTime) {
+		return SessionState.UNKNOWN;
+	}
+	if (expireTime <= now) {
+		return SessionState.EXPIRED;
+	}
+	if (expireTime - now <= getRenewWindow()) {
+		return SessionState.EXPIRING;
+	}
+	return SessionState.VALID;
+}
+
+/**
+ * 判断 session 状态是否可以尝试 session 签到
+ * @param {string} state - 取值见 SessionState
+ * @returns {boolean}
+ */
+export function isSessionUsable(state) {
+	return state !== SessionState.MISSING && state !== SessionState.EXPIRED;
+}
+
+/**
+ * 获取账号签到模式内保存了 session 的平台及其 session 状态
+ * @param {Object} account - 账号记录
+ * @returns {Array<{platform: Object, state: string}>}
+ */
+export function getSessionPlatforms(account) {
+	return getPlatformsByMode(account.checkin_mode || DEFAULT_CHECKIN_MODE)
+		.map((platform) => ({ platform, state: getSessionState(account, platform) }))
+		.filter((p) => p.state !== SessionState.MISSING);
+}
+
+/**
+ * 将单个步骤配置统一为 { name, timeout }
+ * @param {string|Object} step - 步骤名称或 { name, timeout }
+ * @returns {{name: string, timeout: number}|null}
+ */
+function normalizeStep(step) {
+	const name = typeof step === 'string' ? step : step?.name;
+	if (!name) {
+		return null;
+	}
+
+	const defaultTimeout =
+		name === SESSION_STEP ? DEFAULT_STEP_TIMEOUTS[SESSION_STEP] : DEFAULT_STEP_TIMEOUTS.login;
+	const timeout = typeof step === 'object' && step.timeout > 0 ? step.timeout : defaultTimeout;
+
+	return { name, timeout };
+}
+
+/**
+ * 解析账号的签到策略链
+ * @param {Object} account - 账号记录
+ * @returns {{steps: Array<{name: string, timeout: number}>, errors: string[], sessionPlatforms: Array<{platform: Object, state: string}>}}
+ */
+export function resolveStrategyChain(account) {
+	const errors = [];
+	const sessionPlatforms = getSessionPlatforms(account);
+	let rawSteps = account.checkin_strategies;
+
+	if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+		// 默认顺序：session -> account_type 对应的登录方式
+		rawSteps = [];
+		if (sessionPlatforms.length > 0) {
+			rawSteps.push(SESSION_STEP);
+		}
+
+		const accountType = account.account_type ?? 0;
+		const strategy = getLoginStrategyByAccountType(accountType);
+		if (strategy) {
+			rawSteps.push(strategy.name);
+		} else {
+			errors.push(`未知的登录类型: ${accountType}`);
+		}
+	}
+
+	const steps = [];
+	for (const rawStep of rawSteps) {
+		const step = normalizeStep(rawStep);
+		if (!step) {
+			errors.push(`无效的签到策略配置: ${JSON.stringify(rawStep)}`);
+			continue;
+		}
+		if (step.name !== SESSION_STEP && !getLoginStrategy(step.name)) {
+			errors.push(`未知的签到策略: ${step.name}`);
+			continue;
+		}
+		steps.push(step);
+	}
+
+	const hasExpired = sessionPlatforms.some((p) => p.state === SessionState.EXPIRED);
+	if (hasExpired && !sessionPlatforms.some((p) => isSessionUsable(p.state))) {
+		return { steps: steps.filter((s) => s.name !== SESSION_STEP), errors, sessionPlatforms };
+	}
+
+	const hasExpiring = sessionPlatforms.some((p) => p.state === SessionState.EXPIRING);
+	if (hasExpiring && steps.some((s) => s.name !== SESSION_STEP)) {
+		return {
+			steps: [
+				...steps.filter((s) => s.name !== SESSION_STEP),
+				...steps.filter((s) => s.name === SESSION_STEP),
+			],
+			errors,
+			sessionPlatforms,
+		};
+	}
+
+	return { steps, errors, sessionPlatforms };
+}
+
+export default {
+	SESSION_STEP,
+	SessionState,
+	DEFAULT_STEP_TIMEOUTS,
+	DEFAULT_RENEW_WINDOW_DAYS,
+	getRenewWindow,
+	getSessionState,
+	isSessionUsable,
+	getSessionPlatforms,
+	resolveStrategyChain,
+};
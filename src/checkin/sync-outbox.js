@@ -0,0 +1,244 @@
+/**
+ * 服务端更新待同步队列
+ * 服务端超时、5xx 等临时故障导致的更新失败会写入本地队列文件（JSON Lines），
+ * 在下次运行开始时或本次运行结束前按顺序重放，避免新的 session 和余额丢失
+ *
+ * 冲突处理：
+ * - 同一账号的多条待同步更新按入队顺序合并，后入队的字段覆盖先入队的字段
+ * - 某个账号直接更新成功后，队列中该账号的同名字段已经过期，会被丢弃，避免重放时覆盖新值
+ *
+ * 队列文件位于状态目录，在 CI 中会被 actions/cache 缓存：配置了保险库密钥时整个队列加密为一行保险库记录，
+ * 未配置密钥时在 CI 中 session 不写入队列文件（只保留在内存中，本次运行内仍会重放），本地运行时照常保存
+ */
+
+import fs from 'fs';
+import { getStateSecret, isStateDirCached, omitSecretFields } from './state-secrets.js';
+import { resolveStatePath } from '../utils/state-dir.js';
+import { decryptVault, encryptVault, isVault } from '../utils/vault.js';
+
+/**
+ * 队列文件名（位于状态目录下）
+ */
+export const OUTBOX_FILE = 'sync-outbox.jsonl';
+
+/**
+ * 判断服务端更新失败是否为临时故障（未收到响应、超时、限流或 5xx），临时故障的更新会进入队列
+ * 服务端明确拒绝的更新（4xx 或业务错误）重放也不会成功，不进入队列
+ * @param {{status?: number}} apiResult - handleApiResponse 的返回值
+ * @returns {boolean}
+ */
+export function isTransientSyncFailure(apiResult) {
+	const status = apiResult?.status;
+	return status === undefined || status === 429 || status >= 500;
+}
+
+export class SyncOutbox {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.filePath] - 队列文件路径，默认为状态目录下的 sync-outbox.jsonl
+	 * @param {string|Buffer|null} [options.secret] - 队列文件加密密钥，默认为保险库密钥，为 null 时不加密
+	 * @param {boolean} [options.omitSecrets] - 不加密时是否移除 session 等敏感字段，默认在 CI 中移除
+	 */
+	constructor(options = {}) {
+		this.filePath = options.filePath || resolveStatePath(OUTBOX_FILE);
+		this.secret = options.secret !== undefined ? options.secret : getStateSecret();
+		this.omitSecrets = options.omitSecrets ?? isStateDirCached();
+		this.entries = null;
+	}
+
+	/**
+	 * 加载队列（只在第一次使用时读取文件），同一账号的多条更新合并为一条
+	 * @returns {Array<{_id: string, updateData: Object, queuedAt: number, attempts: number, lastError?: string}>}
+	 */
+	load() {
+		if (this.entries) {
+			return this.entries;
+		}
+
+		this.entries = [];
+		if (!fs.existsSync(this.filePath)) {
+			return this.entries;
+		}
+
+		const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+		for (const line of lines) {
+			if (!line.trim()) {
+				continue;
+			}
+			let record;
+			try {
+				record = JSON.parse(line);
+			} catch {
+				console.log('[同步队列] 忽略格式错误的记录');
+				continue;
+			}
+
+			if (!isVault(record)) {
+				this.mergeEntry(record);
+				continue;
+			}
+			if (!this.secret) {
+				console.error('[同步队列] 队列已加密，但未配置保险库密钥，忽略加密的记录');
+				continue;
+			}
+			try {
+				decryptVault(record, this.secret).entries.forEach((entry) => this.mergeEntry(entry));
+			} catch (error) {
+				console.error(`[同步队列] ${error.message}，忽略加密的记录`);
+			}
+		}
+		return this.entries;
+	}
+
+	/**
+	 * 未加密时写入文件的记录：在 CI 中移除 session 等敏感字段，只剩敏感字段的记录不写入
+	 * @param {Object} entry - 队列记录
+	 * @returns {string} - 一行 JSON，无需写入时为空字符串
+	 */
+	serializePlainEntry(entry) {
+		if (!this.omitSecrets) {
+			return `${JSON.stringify(entry)}\n`;
+		}
+		const { data } = omitSecretFields(entry.updateData);
+		if (Object.keys(data).length === 0) {
+			return '';
+		}
+		return `${JSON.stringify({ ...entry, updateData: data })}\n`;
+	}
+
+	/**
+	 * 将一条更新合并到内存队列中，同一账号只保留一条记录，位置为该账号第一次入队的位置
+	 * @param {Object} entry - 队列记录
+	 */
+	mergeEntry(entry) {
+		const existing = this.entries.find((e) => e._id === entry._id);
+		if (!existing) {
+			this.entries.push({
+				...entry,
+				updateData: { ...entry.updateData },
+				attempts: entry.attempts || 0,
+			});
+			return;
+		}
+
+		Object.assign(existing.updateData, entry.updateData);
+		existing.queuedAt = entry.queuedAt;
+		existing.attempts = Math.max(existing.attempts, entry.attempts || 0);
+		existing.lastError = entry.lastError ?? existing.lastError;
+	}
+
+	/**
+	 * 以合并后的内容重写队列文件，队列为空时删除文件
+	 */
+	save() {
+		if (this.entries.length === 0) {
+			fs.rmSync(this.filePath, { force: true });
+			return;
+		}
+
+		const content = this.secret
+			? `${JSON.stringify(encryptVault({ entries: this.entries }, this.secret))}\n`
+			: this.entries.map((e) => this.serializePlainEntry(e)).join('');
+		const tempPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+		fs.renameSync(tempPath, this.filePath);
+	}
+
+	/**
+	 * 待同步的更新数量（按账号计）
+	 * @returns {number}
+	 */
+	get size() {
+		return this.load().length;
+	}
+
+	/**
+	 * 将更新失败的数据加入队列
+	 * @param {string} _id - 账号ID
+	 * @param {Object} updateData - 要更新的字段
+	 * @param {string} [error] - 失败原因
+	 */
+	enqueue(_id, updateData, error) {
+		const entry = { _id, updateData, queuedAt: Date.now(), attempts: 0, lastError: error };
+		this.load();
+		this.mergeEntry(entry);
+		try {
+			// 加密的队列只能整体重写，未加密时追加一行
+			if (this.secret) {
+				this.save();
+			} else {
+				fs.appendFileSync(this.filePath, this.serializePlainEntry(entry), {
+					encoding: 'utf8',
+					mode: 0o600,
+				});
+			}
+		} catch (writeError) {
+			console.error(`[同步队列] 写入队列失败: ${writeError.message}`);
+		}
+	}
+
+	/**
+	 * 账号直接更新成功后，丢弃队列中该账号已被覆盖的字段
+	 * @param {string} _id - 账号ID
+	 * @param {Object} updateData - 已成功更新的字段
+	 */
+	acknowledge(_id, updateData) {
+		const entry = this.load().find((e) => e._id === _id);
+		if (!entry) {
+			return;
+		}
+
+		for (const field of Object.keys(updateData)) {
+			delete entry.updateData[field];
+		}
+		if (Object.keys(entry.updateData).length === 0) {
+			this.entries = this.entries.filter((e) => e !== entry);
+		}
+		this.save();
+	}
+
+	/**
+	 * 将待同步的更新合并到账号配置上，使本次运行使用最新的 session 和错误次数
+	 * @param {Array} accounts - 账号配置
+	 * @returns {Array} - 合并后的账号配置（副本）
+	 */
+	merge(accounts) {
+		const entries = this.load();
+		return accounts.map((account) => {
+			const entry = entries.find((e) => e._id === account._id);
+			return entry ? { ...account, ...entry.updateData } : account;
+		});
+	}
+
+	/**
+	 * 按入队顺序重放队列中的更新
+	 * @param {Function} send - 发送更新的函数 (_id, updateData) => Promise<{success: boolean, error?: string, status?: number}>
+	 * @returns {Promise<{synced: number, dropped: number, remaining: number}>} - 服务端拒绝的更新会被丢弃
+	 */
+	async replay(send) {
+		const entries = [...this.load()];
+		let synced = 0;
+		let dropped = 0;
+
+		for (const entry of entries) {
+			const result = await send(entry._id, entry.updateData);
+
+			if (result.success) {
+				synced++;
+				this.entries = this.entries.filter((e) => e !== entry);
+			} else if (isTransientSyncFailure(result)) {
+				entry.attempts++;
+				entry.lastError = result.error;
+			} else {
+				dropped++;
+				console.error(`[同步队列] 服务端拒绝更新 ${entry._id}，丢弃: ${result.error}`);
+				this.entries = this.entries.filter((e) => e !== entry);
+			}
+		}
+
+		this.save();
+		return { synced, dropped, remaining: this.entries.length };
+	}
+}
+
+export default SyncOutbox;
@@ -3,58 +3,195 @@
  * 支持多种登录方式：账号密码、LinuxDo、GitHub
  */
 
-import AnyRouterSignIn from './checkin-username.js';
-import AnyRouterLinuxDoSignIn from './checkin-linuxdo.js';
-import AnyRouterGitHubSignIn from './checkin-github.js';
+import '../utils/logger-init.js';
 import AnyRouterSessionSignIn from './checkin-session.js';
-import { updateAccountInfo as updateAccountInfoAPI } from '../api/index.js';
+import { getLoginStrategy } from './login-strategy.js';
+import {
+	getPlatforms,
+	getPlatformSession,
+	getPrimaryPlatform,
+	quotaToDollars,
+} from './platforms.js';
+import {
+	SESSION_STEP,
+	SessionState,
+	isSessionUsable,
+	resolveStrategyChain,
+} from './strategy-chain.js';
+import { createRetryPolicies, runWithRetry } from './retry-policy.js';
+import { formatSignInReward, summarizeSignInReward } from './signin-response.js';
+import BalanceLedger from './balance-ledger.js';
+import LocalAccountStore, { getAccountKey } from './account-store.js';
+import { loadAccounts } from './account-source.js';
+import { getShardConfig, selectShardAccounts } from './account-shard.js';
+import { getSecretFields, resolveAccountSecrets } from './secret-ref.js';
+import { buildRunHistory, createRunId, getRunnerIdentity } from './run-history.js';
+import LeaseManager from './account-lease.js';
+import SyncOutbox, { isTransientSyncFailure } from './sync-outbox.js';
+import {
+	batchUpdateAccountInfo as batchUpdateAccountInfoAPI,
+	reportCheckinResult as reportCheckinResultAPI,
+	updateAccountInfo as updateAccountInfoAPI,
+} from '../api/index.js';
+import { CheckinErrorCode, createFailure, failureFromError } from './errors.js';
+import { runWithDeadline } from '../utils/async.js';
+import { getResetTimezone, isToday } from '../utils/checkin-day.js';
+import { decodeSession } from '../utils/session-inspector.js';
+import { runWithConcurrency } from '../utils/task-pool.js';
+import HostRateLimiter from '../utils/rate-limiter.js';
+import { browserPool } from '../utils/browser-pool.js';
+import { registerSecret, withLogContext } from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 
+/**
+ * 运行结束时批量同步账号更新，每次请求最多包含的账号数
+ */
+const SYNC_BATCH_SIZE = 50;
+
 class UnifiedAnyRouterChecker {
 	/**
-	 * @param {Array} accounts - 可选的账号数组，如果不提供则从环境变量读取
+	 * @param {Array} accounts - 可选的账号数组，如果不提供则在 prepareAccounts 时按 ACCOUNTS_SOURCE 加载
+	 * @param {Object} [options] - 运行选项
+	 * @param {number} [options.concurrency] - 同时处理的账号数，默认读取 CHECKIN_CONCURRENCY，未设置时为 1
+	 * @param {number} [options.hostInterval] - 同一站点两次签到的最小间隔(毫秒)，默认读取 CHECKIN_HOST_INTERVAL，未设置时为 5000
+	 * @param {Object} [options.retryPolicy] - 重试策略覆盖配置 { platform, account, sync }，默认读取 CHECKIN_RETRY_POLICY
+	 * @param {boolean} [options.force] - 忽略今日已签到的判断，强制签到所有账号，默认读取 CHECKIN_FORCE
+	 * @param {string} [options.skipMode] - 今日已签到账号的处理方式：skip 直接跳过，refresh 仅刷新余额，默认读取 CHECKIN_SKIP_MODE，未设置时为 skip
+	 * @param {BalanceLedger} [options.ledger] - 余额流水，默认保存在状态目录下
+	 * @param {LocalAccountStore|null} [options.localStore] - 本地账号状态存储，默认在未配置 API_BASE_URL 时启用
+	 * @param {SyncOutbox|null} [options.outbox] - 服务端更新的待同步队列，默认在配置了 API_BASE_URL 时启用
+	 * @param {string} [options.runId] - 运行ID，上报签到记录时使用，默认自动生成
+	 * @param {LeaseManager|null} [options.leaseManager] - 账号租约，传入 null 时不加锁
+	 * @param {string} [options.shard] - 分片编号（如 2/5），只处理完整账号列表中属于该分片的账号，默认读取 CHECKIN_SHARD，
+	 *   未设置时按 CHECKIN_RUNNERS 运行器列表分片
 	 */
-	constructor(accounts = null) {
-		this.accounts = accounts || this.loadAccounts();
-		this.signInModule = new AnyRouterSignIn();
-		this.githubSignInModule = new AnyRouterGitHubSignIn();
-		this.sessionSignInModule = new AnyRouterSessionSignIn();
-		// LinuxDo 签到模块在需要时动态创建，因为需要传入不同的平台 URL
+	constructor(accounts = null, options = {}) {
+		// 未配置服务端时，账号更新保存到本地，并在加载账号时合并上次保存的状态
+		this.localStore = options.localStore;
+		if (this.localStore === undefined) {
+			this.localStore = process.env.API_BASE_URL ? null : new LocalAccountStore();
+		}
+		// 配置了服务端时，临时故障导致的更新失败进入待同步队列，加载账号时合并尚未同步的更新
+		this.outbox = options.outbox;
+		if (this.outbox === undefined) {
+			this.outbox = process.env.API_BASE_URL && !this.localStore ? new SyncOutbox() : null;
+		}
+		this.accounts = accounts;
+		this.accountsPrepared = false;
+		this.shard = options.shard;
+		// 分片信息 { label, count, total }，在 prepareAccounts 时确定，未分片时为 null
+		this.shardInfo = null;
+		this.concurrency = options.concurrency ?? (parseInt(process.env.CHECKIN_CONCURRENCY) || 1);
+		this.rateLimiter = new HostRateLimiter({
+			minInterval: options.hostInterval ?? (parseInt(process.env.CHECKIN_HOST_INTERVAL) || 5000),
+		});
+		this.retryPolicies = createRetryPolicies(options.retryPolicy);
+		this.force = options.force ?? process.env.CHECKIN_FORCE === 'true';
+		this.skipMode = options.skipMode || process.env.CHECKIN_SKIP_MODE || 'skip';
+		this.resetTimezone = getResetTimezone();
+		this.ledger = options.ledger || new BalanceLedger();
+		// 签到过程中暂存的账号更新，运行结束时统一同步
+		this.stagedUpdates = new Map();
+		// 更新等待运行结束时批量同步的账号，同步完成前继续持有其租约
+		this.heldLeases = [];
+		// 同步失败的账号标识到失败结果的映射
+		this.syncFailures = new Map();
+		this.runId = options.runId || createRunId();
+		// 处理账号前获取租约，避免多个运行器同时处理同一个账号
+		this.leaseManager = options.leaseManager;
+		if (this.leaseManager === undefined) {
+			const { runner, hostname } = getRunnerIdentity();
+			this.leaseManager = new LeaseManager({ holder: `${runner || hostname}/${this.runId}` });
+		}
+		this.sessionSignInModule = new AnyRouterSessionSignIn(getPrimaryPlatform().baseUrl);
+		// 其他平台的 Session 签到模块按需创建
+		this.sessionSignInModules = new Map([[getPrimaryPlatform().key, this.sessionSignInModule]]);
+		// 各登录方式的签到模块由登录策略在需要时动态创建，因为需要传入不同的平台 URL
 	}
 
 	/**
-	 * 从环境变量加载账号配置
+	 * 加载账号配置（构造时未传入账号时按 ACCOUNTS_SOURCE 加载），选出当前分片的账号，合并本地状态和尚未同步的更新，
+	 * 最后解析 password、session 中的密钥引用
+	 * @returns {Promise<Array|null>} - 无法加载、分片配置不正确或密钥引用无法解析时返回 null
 	 */
-	loadAccounts() {
-		const accountsStr = process.env.ANYROUTER_ACCOUNTS;
-		if (!accountsStr) {
-			console.error('[错误] ANYROUTER_ACCOUNTS 环境变量未找到');
-			return null;
+	async prepareAccounts() {
+		if (this.accountsPrepared) {
+			return this.accounts;
 		}
 
-		try {
-			const accountsData = JSON.parse(accountsStr);
+		this.accounts = this.accounts || (await loadAccounts());
+		if (this.accounts) {
+			let shardConfig;
+			try {
+				shardConfig = getShardConfig({ shard: this.shard });
+			} catch (error) {
+				console.error(`[错误] ${error.message}`);
+				return null;
+			}
+
+			if (shardConfig) {
+				const total = this.accounts.length;
+				this.accounts = selectShardAccounts(this.accounts, shardConfig);
+				this.shardInfo = { label: shardConfig.label, count: this.accounts.length, total };
+				console.log(
+					`[分片] 当前分片 ${shardConfig.label}: ${this.accounts.length}/${total} 个账号`
+				);
+			}
+		}
+		if (this.accounts && this.localStore) {
+			this.accounts = this.localStore.merge(this.accounts);
+		}
+		if (this.accounts && this.outbox) {
+			this.accounts = this.outbox.merge(this.accounts);
+		}
 
-			// 检查是否为数组格式
-			if (!Array.isArray(accountsData)) {
-				console.error('[错误] 账号配置必须使用数组格式 [{}]');
+		// 合并后再解析，本地状态中已保存新 session 的账号不再需要读取 session 引用
+		if (this.accounts) {
+			const { accounts, errors } = resolveAccountSecrets(this.accounts);
+			if (errors.length > 0) {
+				console.error(`[错误] 账号密钥引用解析失败，共 ${errors.length} 个问题:`);
+				for (const { path, message } of errors) {
+					console.error(`  账号配置${path}: ${message}`);
+				}
 				return null;
 			}
+			this.accounts = accounts;
 
-			return accountsData;
-		} catch (error) {
-			console.error(`[错误] 账号配置格式不正确: ${error.message}`);
-			return null;
+			// 账号的密码和 session 不出现在日志中
+			for (const account of this.accounts) {
+				getSecretFields().forEach((field) => registerSecret(account[field]));
+			}
 		}
+		this.accountsPrepared = true;
+		return this.accounts;
 	}
 
 	/**
-	 * 更新账户信息到服务端
-	 * @param {string} _id - 账号ID
+	 * 更新账户信息到服务端，启用本地状态存储时保存到本地
+	 * @param {Object} accountInfo - 账号记录
 	 * @param {Object} updateData - 要更新的字段
+	 * @returns {Promise<Object>} - 更新失败时为 backend_sync_failed 类别的失败结果
 	 */
-	async updateAccountInfo(_id, updateData) {
+	async updateAccountInfo(accountInfo, updateData) {
+		const _id = accountInfo._id;
+
 		try {
+			if (this.localStore) {
+				const key = getAccountKey(accountInfo);
+				const storeResult = this.localStore.updateAccountInfo(key, updateData);
+				if (!storeResult.success) {
+					console.error(`[更新] 本地状态保存失败: ${storeResult.error}`);
+					return {
+						...createFailure(CheckinErrorCode.BACKEND_SYNC_FAILED, storeResult.error, {
+							_id: key,
+						}),
+						message: storeResult.error,
+					};
+				}
+				console.log(`[更新] 账户信息已保存到本地状态: ${key}`);
+				return { success: true, message: '账户信息已保存到本地' };
+			}
+
 			if (!_id) {
 				console.log('[更新] 账号无 _id，跳过更新');
 				return { success: false, message: '账号无 _id' };
@@ -70,243 +207,373 @@ class UnifiedAnyRouterChecker {
 
 			// 调用服务端 API
 			const apiResult = await updateAccountInfoAPI(_id, updateData);
-
-			if (apiResult.success) {
-				console.log('[更新] 服务端更新成功');
-				return { success: true, message: '账户信息更新成功' };
-			} else {
-				console.error(`[更新] 服务端更新失败: ${apiResult.error}`);
-				return { success: false, message: apiResult.error };
-			}
+			return this.handleSyncResult(_id, updateData, apiResult);
 		} catch (error) {
 			console.error(`[错误] 更新账户信息失败: ${error.message}`);
-			return { success: false, message: error.message };
+			return {
+				...createFailure(CheckinErrorCode.BACKEND_SYNC_FAILED, error.message, { _id }),
+				message: error.message,
+			};
 		}
 	}
 
 	/**
-	 * 使用用户名密码进行登录签到
+	 * 处理单个账号的服务端更新结果：成功时丢弃待同步队列中已被覆盖的字段，临时故障时加入待同步队列
+	 * @param {string} _id - 账号ID
+	 * @param {Object} updateData - 要更新的字段
+	 * @param {{success: boolean, error?: string, status?: number}} apiResult - 服务端返回结果
+	 * @returns {Object} - 更新失败时为 backend_sync_failed 类别的失败结果
 	 */
-	async checkInWithPassword(accountInfo) {
-		const accountName = accountInfo.username || accountInfo._id || '未知账号';
+	handleSyncResult(_id, updateData, apiResult) {
+		if (apiResult.success) {
+			console.log(`[更新] ${_id}: 服务端更新成功`);
+			this.outbox?.acknowledge(_id, updateData);
+			return { success: true, message: '账户信息更新成功' };
+		}
 
-		console.log(`[登录] ${accountName}: 使用用户名密码登录签到`);
+		console.error(`[更新] ${_id}: 服务端更新失败: ${apiResult.error}`);
 
-		// 调用登录模块
-		const loginResult = await this.signInModule.loginAndGetSession(
-			accountInfo.username,
-			accountInfo.password
-		);
+		// 临时故障时保存到待同步队列，稍后重放；服务端明确拒绝时丢弃队列中的同名字段，重放也不会成功
+		const queued = Boolean(this.outbox) && isTransientSyncFailure(apiResult);
+		if (queued) {
+			this.outbox.enqueue(_id, updateData, apiResult.error);
+			console.log(`[同步队列] ${_id}: 更新已加入待同步队列，稍后重试`);
+		} else {
+			this.outbox?.acknowledge(_id, updateData);
+		}
 
-		if (loginResult) {
-			// 只更新签到时间和余额信息
-			const updateData = {
-				checkin_date: Date.now(),
-			};
-			// 构建用户信息字符串
-			let userInfoText = null;
-
-			// 更新 session 和 account_id
-			if (loginResult.session) {
-				updateData.session = loginResult.session;
-				// session 有效期设置为 30 天
-				updateData.session_expire_time = Date.now() + 30 * 24 * 60 * 60 * 1000;
-			}
-			if (loginResult.apiUser) {
-				updateData.account_id = loginResult.apiUser;
-			}
+		const message = queued ? `${apiResult.error} (已加入待同步队列)` : apiResult.error;
+		return {
+			...createFailure(CheckinErrorCode.BACKEND_SYNC_FAILED, message, {
+				_id,
+				status: apiResult.status,
+				queued,
+			}),
+			message,
+		};
+	}
 
-			// 如果成功获取用户信息，添加余额、已使用额度和推广码
-			if (loginResult.userInfo) {
-				updateData.balance = Math.round(loginResult.userInfo.quota / 500000);
-				updateData.used = Math.round((loginResult.userInfo.used_quota || 0) / 500000);
-				if (loginResult.userInfo.aff_code) {
-					updateData.aff_code = loginResult.userInfo.aff_code;
-				}
+	/**
+	 * 暂存账号的更新字段，同一账号多次暂存时后写入的字段覆盖先写入的字段
+	 * 运行结束时由 syncAccountUpdates 与加载时的账号记录比较，只同步有变化的字段
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {Object} updateData - 要更新的字段
+	 */
+	stageAccountUpdate(accountInfo, updateData) {
+		const key = getAccountKey(accountInfo);
+		const staged = this.stagedUpdates.get(key) || { accountInfo, updateData: {} };
+		Object.assign(staged.updateData, updateData);
+		this.stagedUpdates.set(key, staged);
+	}
 
-				const quota = (loginResult.userInfo.quota / 500000).toFixed(2);
-				const usedQuota = (loginResult.userInfo.used_quota || 0) / 500000;
-				userInfoText = `💰 当前余额: $${quota}, 已使用: $${usedQuota.toFixed(2)}`;
+	/**
+	 * 找出与账号记录相比有变化的字段
+	 * @param {Object} original - 加载时的账号记录
+	 * @param {Object} updateData - 要更新的字段
+	 * @returns {Object} - 有变化的字段
+	 */
+	diffAccountUpdate(original, updateData) {
+		const changed = {};
+		for (const [field, value] of Object.entries(updateData)) {
+			if (JSON.stringify(original[field]) !== JSON.stringify(value)) {
+				changed[field] = value;
 			}
-
-			// 更新账户信息
-			await this.updateAccountInfo(accountInfo._id, updateData);
-
-			return {
-				success: true,
-				account: accountName,
-				userInfo: userInfoText,
-				method: 'password',
-			};
-		} else {
-			return {
-				success: false,
-				account: accountName,
-				error: '登录失败',
-				method: 'password',
-			};
 		}
+		return changed;
 	}
 
 	/**
-	 * 使用 LinuxDo 第三方登录进行签到
+	 * 获取账号加载时的记录
+	 * @param {string} key - 账号标识
+	 * @returns {Object}
 	 */
-	async checkInWithLinuxDo(accountInfo) {
-		const accountName = accountInfo.username || accountInfo._id || '未知账号';
-		const checkinMode = accountInfo.checkin_mode || 3; // 默认值为3（两者都签到）
-		const currentErrorCount = accountInfo.checkin_error_count || 0;
+	getOriginalAccount(key) {
+		return this.accounts.find((a) => getAccountKey(a) === key) || {};
+	}
 
-		console.log(`[登录] ${accountName}: 使用 LinuxDo 第三方登录签到 (模式: ${checkinMode})`);
+	/**
+	 * 账号处理完成后立即保存其暂存的更新，运行超时或被中断时不会丢失
+	 * - 启用本地状态存储时直接写入本地状态
+	 * - 配置了服务端时先写入待同步队列，运行结束时仍批量同步（成功后从队列中移除），运行被中断时由下次运行重放
+	 * @param {Object} accountInfo - 账号记录
+	 * @returns {Promise<boolean>} - 更新是否仍在等待运行结束时的批量同步
+	 */
+	async persistAccountUpdate(accountInfo) {
+		const key = getAccountKey(accountInfo);
+		const staged = this.stagedUpdates.get(key);
+		if (!staged) {
+			return false;
+		}
 
-		// 如果错误次数 > 2，删除持久化缓存并重置错误次数
-		if (currentErrorCount > 2) {
-			try {
-				console.log(
-					`[清理] ${accountName}: 检测到错误次数 > 2 (${currentErrorCount})，清除持久化缓存...`
-				);
+		const changed = this.diffAccountUpdate(this.getOriginalAccount(key), staged.updateData);
+		if (Object.keys(changed).length === 0) {
+			return false;
+		}
 
-				// 创建临时实例用于清除缓存（baseUrl 不重要，只用于调用 clearUserCache）
-				const tempModule = new AnyRouterLinuxDoSignIn('https://anyrouter.top');
-				tempModule.clearUserCache(accountInfo.username, accountInfo.cache_key || '');
+		if (this.localStore) {
+			this.stagedUpdates.delete(key);
+			const result = await this.updateAccountInfo(staged.accountInfo, changed);
+			if (result.errorCode) {
+				this.syncFailures.set(key, result);
+			}
+			return false;
+		}
 
-				// 重置错误次数
-				await this.updateAccountInfo(accountInfo._id, {
-					checkin_error_count: 0,
-				});
+		if (this.outbox && staged.accountInfo._id) {
+			this.outbox.enqueue(staged.accountInfo._id, changed, '等待运行结束时批量同步');
+		}
+		return true;
+	}
 
-				console.log(`[清理] ${accountName}: 已清除缓存并重置错误次数，将重新尝试登录`);
-			} catch (e) {
-				console.log(`[清理错误] ${accountName}: 清除缓存并重置错误次数错误`);
+	/**
+	 * 释放等待批量同步而继续持有的租约
+	 */
+	async releaseHeldLeases() {
+		const leases = this.heldLeases.splice(0);
+		await Promise.all(leases.map((lease) => this.leaseManager.release(lease)));
+	}
+
+	/**
+	 * 同步本次运行暂存的账号更新
+	 * 只同步与加载时的账号记录相比有变化的字段；配置了服务端时使用批量接口，服务端不支持时逐个更新
+	 * @returns {Promise<Map<string, Object>>} - 同步失败的账号标识到失败结果的映射（包括处理账号后立即保存失败的账号）
+	 */
+	async syncAccountUpdates() {
+		const failures = this.syncFailures;
+		const updates = [];
+
+		for (const [key, { accountInfo, updateData }] of this.stagedUpdates) {
+			const changed = this.diffAccountUpdate(this.getOriginalAccount(key), updateData);
+			if (Object.keys(changed).length === 0) {
+				console.log(`[更新] ${key}: 账户信息没有变化，跳过同步`);
+				continue;
 			}
+			updates.push({ key, accountInfo, updateData: changed });
 		}
+		this.stagedUpdates.clear();
 
-		const results = [];
-		const updateData = {};
+		if (updates.length === 0) {
+			return failures;
+		}
 
-		// 根据 checkin_mode 决定签到哪个平台
-		const platforms = [];
-		if (checkinMode === 1) {
-			platforms.push({ url: 'https://anyrouter.top', name: 'AnyRouter' });
-		} else if (checkinMode === 2) {
-			platforms.push({ url: 'https://agentrouter.org', name: 'AgentRouter' });
-		} else if (checkinMode === 3) {
-			platforms.push(
-				{ url: 'https://anyrouter.top', name: 'AnyRouter' },
-				{ url: 'https://agentrouter.org', name: 'AgentRouter' }
-			);
+		// 本地状态存储和未配置服务端时逐个处理
+		if (this.localStore || !process.env.API_BASE_URL) {
+			for (const { key, accountInfo, updateData } of updates) {
+				const result = await this.updateAccountInfo(accountInfo, updateData);
+				if (result.errorCode) {
+					failures.set(key, result);
+				}
+			}
+			return failures;
 		}
 
-		// 依次签到各个平台
-		for (const platform of platforms) {
-			console.log(`[签到] ${accountName}: 开始签到 ${platform.name}...`);
+		const withId = updates.filter((u) => u.accountInfo._id);
+		if (withId.length < updates.length) {
+			console.log(`[更新] ${updates.length - withId.length} 个账号无 _id，跳过更新`);
+		}
 
-			// 为每个平台创建独立的 LinuxDo 签到实例
-			const linuxDoSignInModule = new AnyRouterLinuxDoSignIn(platform.url);
+		for (let i = 0; i < withId.length; i += SYNC_BATCH_SIZE) {
+			const batch = withId.slice(i, i + SYNC_BATCH_SIZE);
+			console.log(`[更新] 批量上传 ${batch.length} 个账号的账户信息到服务端`);
 
-			// 调用 LinuxDo 登录模块
-			const loginResult = await linuxDoSignInModule.loginAndGetSession(
-				accountInfo.username,
-				accountInfo.password,
-				accountInfo.cache_key
+			const batchResult = await batchUpdateAccountInfoAPI(
+				batch.map(({ accountInfo, updateData }) => ({ _id: accountInfo._id, updateData }))
 			);
 
-			if (loginResult && loginResult.userInfo) {
-				// 更新 session 和 account_id（仅在 AnyRouter 时更新）
-				if (platform.name === 'AnyRouter') {
-					if (loginResult.session) {
-						updateData.session = loginResult.session;
-						// session 有效期设置为 30 天
-						updateData.session_expire_time = Date.now() + 30 * 24 * 60 * 60 * 1000;
-					}
-					if (loginResult.apiUser) {
-						updateData.account_id = loginResult.apiUser;
-					}
+			for (const { key, accountInfo, updateData } of batch) {
+				// 请求本身失败时，所有账号按同样的原因处理
+				const apiResult = batchResult.success
+					? batchResult.data.results.find((r) => r._id === accountInfo._id)
+					: batchResult;
+				const result = this.handleSyncResult(accountInfo._id, updateData, apiResult);
+				if (result.errorCode) {
+					failures.set(key, result);
 				}
+			}
+		}
 
-				// AnyRouter 的余额存储到 balance
-				if (platform.name === 'AnyRouter') {
-					updateData.balance = Math.round(loginResult.userInfo.quota / 500000);
-					updateData.used = Math.round((loginResult.userInfo.used_quota || 0) / 500000);
-					if (loginResult.userInfo.aff_code) {
-						updateData.aff_code = loginResult.userInfo.aff_code;
-					}
-				}
-				// AgentRouter 的余额存储到 agentrouter_balance
-				else if (platform.name === 'AgentRouter') {
-					updateData.agentrouter_balance = Math.round(loginResult.userInfo.quota / 500000);
-				}
+		return failures;
+	}
 
-				const quota = (loginResult.userInfo.quota / 500000).toFixed(2);
-				const usedQuota = (loginResult.userInfo.used_quota || 0) / 500000;
-				const userInfoText = `💰 当前余额: $${quota}, 已使用: $${usedQuota.toFixed(2)}`;
+	/**
+	 * 上报本次运行的签到记录，未配置服务端时跳过，上报失败不影响签到结果
+	 * @param {number} startedAt - 运行开始时间戳
+	 * @param {Array} results - 各账号的签到结果，与 this.accounts 一一对应
+	 * @returns {Promise<boolean>} - 是否上报成功
+	 */
+	async reportRunHistory(startedAt, results) {
+		if (!process.env.API_BASE_URL || results.length === 0) {
+			return false;
+		}
 
-				results.push({
-					platform: platform.name,
-					success: true,
-					userInfo: userInfoText,
-				});
+		const history = buildRunHistory({
+			runId: this.runId,
+			startedAt,
+			finishedAt: Date.now(),
+			accounts: this.accounts,
+			results,
+		});
 
-				console.log(`[成功] ${accountName}: ${platform.name} 签到成功 - ${userInfoText}`);
-			} else {
-				results.push({
-					platform: platform.name,
-					success: false,
-					error: `${platform.name} 登录失败`,
-				});
+		console.log(`[历史] 上报运行记录: ${history.run_id} (${history.accounts.length} 个账号)`);
+		const apiResult = await reportCheckinResultAPI(history);
+		if (!apiResult.success) {
+			console.error(`[历史] 上报运行记录失败: ${apiResult.error}`);
+			return false;
+		}
+		return true;
+	}
 
-				console.error(`[失败] ${accountName}: ${platform.name} 签到失败`);
+	/**
+	 * 按入队顺序重放待同步队列中的服务端更新
+	 * @param {boolean} [retry] - 是否按 sync 重试策略退避重试，否则只重放一次
+	 * @returns {Promise<Object|null>} - 重放结果 { success, synced, dropped, remaining }，队列为空时返回 null
+	 */
+	async flushOutbox(retry = false) {
+		if (!this.outbox || this.outbox.size === 0) {
+			return null;
+		}
 
-				// 如果是两者都签到模式，且 AnyRouter 签到失败，则跳过后续平台签到
-				if (checkinMode === 3 && platform.name === 'AnyRouter') {
-					console.log(
-						`[跳过] ${accountName}: AnyRouter 签到失败，跳过 AgentRouter 签到，等待下次一起重试`
-					);
-					break;
+		const policy = retry ? this.retryPolicies.sync : { ...this.retryPolicies.sync, maxAttempts: 1 };
+		const { result } = await runWithRetry(
+			async () => {
+				console.log(`[同步队列] 重放 ${this.outbox.size} 条待同步的更新...`);
+				const stats = await this.outbox.replay((_id, updateData) =>
+					updateAccountInfoAPI(_id, updateData)
+				);
+				console.log(
+					`[同步队列] 已同步 ${stats.synced} 条，丢弃 ${stats.dropped} 条，剩余 ${stats.remaining} 条`
+				);
+				if (stats.remaining === 0) {
+					return { success: true, ...stats };
 				}
-			}
-		}
+				const message = `仍有 ${stats.remaining} 条更新未同步`;
+				return { ...createFailure(CheckinErrorCode.BACKEND_SYNC_FAILED, message), ...stats };
+			},
+			policy,
+			'同步队列'
+		);
 
-		// 判断所有平台是否都签到成功
-		const allSuccess = results.every((r) => r.success);
+		return result;
+	}
 
-		// 只有至少有一个平台签到成功，才更新签到时间
-		if (results.some((r) => r.success)) {
-			updateData.checkin_date = Date.now();
+	/**
+	 * 根据平台注册表构建余额相关的更新字段
+	 * @param {Object} platform - 平台配置
+	 * @param {Object} userInfo - 统一结构的用户信息 { quota, usedQuota, affCode }
+	 * @returns {Object} - 要更新的字段
+	 */
+	buildBalanceUpdate(platform, userInfo) {
+		const updateData = {
+			[platform.balanceField]: Math.round(quotaToDollars(platform, userInfo.quota)),
+		};
+		if (platform.usedField) {
+			updateData[platform.usedField] = Math.round(quotaToDollars(platform, userInfo.usedQuota));
+		}
+		if (platform.primary && userInfo.affCode) {
+			updateData.aff_code = userInfo.affCode;
 		}
+		return updateData;
+	}
 
-		// 更新签到错误次数
-		if (allSuccess) {
-			updateData.checkin_error_count = 0; // 签到成功，重置错误次数
-		} else {
-			updateData.checkin_error_count = currentErrorCount + 1; // 签到失败，增加错误次数
+	/**
+	 * 格式化余额信息文本
+	 * @param {Object} platform - 平台配置
+	 * @param {Object} userInfo - 统一结构的用户信息 { quota, usedQuota }
+	 * @returns {string}
+	 */
+	formatUserInfo(platform, userInfo) {
+		const balance = quotaToDollars(platform, userInfo.quota).toFixed(2);
+		const used = quotaToDollars(platform, userInfo.usedQuota).toFixed(2);
+		return `💰 当前余额: $${balance}, 已使用: $${used}`;
+	}
+
+	/**
+	 * 将余额观测写入余额流水，余额出现无法用消耗解释的减少时输出警告
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {Object} platform - 平台配置
+	 * @param {Object} userInfo - 统一结构的用户信息 { quota, usedQuota }
+	 * @returns {Object} - 流水记录
+	 */
+	recordBalance(accountInfo, platform, userInfo) {
+		const entry = this.ledger.record(getAccountKey(accountInfo), platform, userInfo);
+		if (entry.anomaly) {
+			const accountName = accountInfo.username || accountInfo._id || '未知账号';
+			console.log(
+				`[警告] ${accountName}: ${platform.name} 余额异常减少 $${Math.abs(entry.earned).toFixed(2)} (余额 $${entry.balance}，上次 ${new Date(entry.previousTs).toLocaleString('zh-CN')})`
+			);
 		}
+		return entry;
+	}
+
+	/**
+	 * 格式化签到结果文本：今日奖励 + 余额信息
+	 * @param {Object} platform - 平台配置
+	 * @param {Object|null} userInfo - 统一结构的用户信息
+	 * @param {Object} reward - summarizeSignInReward 的返回值
+	 * @returns {string|null}
+	 */
+	formatCheckinText(platform, userInfo, reward) {
+		const texts = [formatSignInReward(reward), userInfo && this.formatUserInfo(platform, userInfo)];
+		const text = texts.filter(Boolean).join(', ');
+		return text || null;
+	}
 
-		// 更新账户信息到服务端
-		await this.updateAccountInfo(accountInfo._id, updateData);
+	/**
+	 * 获取平台的 Session 签到模块
+	 * @param {Object} platform - 平台配置
+	 * @returns {AnyRouterSessionSignIn}
+	 */
+	getSessionSignInModule(platform) {
+		if (!this.sessionSignInModules.has(platform.key)) {
+			this.sessionSignInModules.set(platform.key, new AnyRouterSessionSignIn(platform.baseUrl));
+		}
+		return this.sessionSignInModules.get(platform.key);
+	}
 
-		// 构建返回结果
+	/**
+	 * 汇总一个签到步骤内各平台的结果
+	 * @param {string} accountName - 账号名称
+	 * @param {string} method - 签到方式
+	 * @param {Array} results - 各平台的签到结果
+	 * @returns {Object}
+	 */
+	buildStepResult(accountName, method, results) {
 		const userInfoTexts = results
-			.filter((r) => r.success)
+			.filter((r) => r.success && r.userInfo)
 			.map((r) => `${r.platform}: ${r.userInfo}`);
+		const failures = results.filter((r) => !r.success);
 
 		return {
-			success: allSuccess,
+			success: results.length > 0 && failures.length === 0,
 			account: accountName,
 			userInfo: userInfoTexts.length > 0 ? userInfoTexts.join('\n') : null,
-			method: 'linuxdo',
+			error: failures.length > 0 ? failures.map((r) => r.error).join('; ') : undefined,
+			errorCode: failures.length > 0 ? failures[0].errorCode : undefined,
+			errorContext: failures.length > 0 ? failures[0].errorContext : undefined,
+			method,
 			results, // 包含详细的签到结果
 		};
 	}
 
 	/**
-	 * 使用 GitHub 第三方登录进行签到
+	 * 使用登录策略进行登录签到
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {LoginStrategy} strategy - 登录策略
+	 * @param {Array} [platforms] - 要签到的平台，默认为策略对应的全部平台
+	 * @param {AbortSignal} [signal] - 签到步骤超时时中止，中止后不再暂存任何结果
 	 */
-	async checkInWithGitHub(accountInfo) {
+	async checkInWithStrategy(
+		accountInfo,
+		strategy,
+		platforms = strategy.getPlatforms(accountInfo),
+		signal
+	) {
 		const accountName = accountInfo.username || accountInfo._id || '未知账号';
-		const checkinMode = accountInfo.checkin_mode || 3; // 默认值为3（两者都签到）
 		const currentErrorCount = accountInfo.checkin_error_count || 0;
 
-		console.log(`[登录] ${accountName}: 使用 GitHub 第三方登录签到 (模式: ${checkinMode})`);
+		console.log(
+			`[登录] ${accountName}: 使用 ${strategy.label} 签到 (平台: ${platforms.map((p) => p.name).join(', ')})`
+		);
 
 		// 如果错误次数 > 2，删除持久化缓存并重置错误次数
 		if (currentErrorCount > 2) {
@@ -315,19 +582,10 @@ class UnifiedAnyRouterChecker {
 					`[清理] ${accountName}: 检测到错误次数 > 2 (${currentErrorCount})，清除持久化缓存...`
 				);
 
-				// 创建临时实例用于清除缓存（baseUrl 不重要，只用于调用 getUserDataDir）
-				const tempModule = new AnyRouterGitHubSignIn('https://anyrouter.top');
-				const userDataDir = tempModule.getUserDataDir(accountInfo.username);
-
-				// 删除整个用户数据目录
-				const fs = await import('fs');
-				if (fs.existsSync(userDataDir)) {
-					fs.rmSync(userDataDir, { recursive: true, force: true });
-					console.log(`[清理] 已删除持久化缓存: ${userDataDir}`);
-				}
+				await strategy.clearCache(accountInfo);
 
 				// 重置错误次数
-				await this.updateAccountInfo(accountInfo._id, {
+				this.stageAccountUpdate(accountInfo, {
 					checkin_error_count: 0,
 				});
 
@@ -340,68 +598,56 @@ class UnifiedAnyRouterChecker {
 		const results = [];
 		const updateData = {};
 
-		// 根据 checkin_mode 决定签到哪个平台
-		const platforms = [];
-		if (checkinMode === 1) {
-			platforms.push({ url: 'https://anyrouter.top', name: 'AnyRouter' });
-		} else if (checkinMode === 2) {
-			platforms.push({ url: 'https://agentrouter.org', name: 'AgentRouter' });
-		} else if (checkinMode === 3) {
-			platforms.push(
-				{ url: 'https://anyrouter.top', name: 'AnyRouter' },
-				{ url: 'https://agentrouter.org', name: 'AgentRouter' }
-			);
-		}
-
 		// 依次签到各个平台
 		for (const platform of platforms) {
 			console.log(`[签到] ${accountName}: 开始签到 ${platform.name}...`);
 
-			// 为每个平台创建独立的 GitHub 签到实例
-			const githubSignInModule = new AnyRouterGitHubSignIn(platform.url);
-
-			// 调用 GitHub 登录模块
-			const loginResult = await githubSignInModule.loginAndGetSession(
-				accountInfo._id,
-				accountInfo.username,
-				accountInfo.password,
-				accountInfo.notice_email
+			const { result: loginResult, attempts } = await runWithRetry(
+				() =>
+					withLogContext({ platform: platform.name }, async () => {
+						signal?.throwIfAborted();
+						// 同一站点的请求保持最小间隔
+						await this.rateLimiter.acquire(platform.baseUrl);
+						return await strategy.login({ account: accountInfo, platform, signal });
+					}),
+				this.retryPolicies.platform,
+				`${accountName} ${platform.name}`
 			);
-
-			if (loginResult && loginResult.userInfo) {
-				// 更新 session 和 account_id（仅在 AnyRouter 时更新）
-				if (platform.name === 'AnyRouter') {
-					if (loginResult.session) {
-						updateData.session = loginResult.session;
-						// session 有效期设置为 30 天
-						updateData.session_expire_time = Date.now() + 30 * 24 * 60 * 60 * 1000;
-					}
-					if (loginResult.apiUser) {
-						updateData.account_id = loginResult.apiUser;
-					}
-				}
-
-				// AnyRouter 的余额存储到 balance
-				if (platform.name === 'AnyRouter') {
-					updateData.balance = Math.round(loginResult.userInfo.quota / 500000);
-					updateData.used = Math.round((loginResult.userInfo.used_quota || 0) / 500000);
-					if (loginResult.userInfo.aff_code) {
-						updateData.aff_code = loginResult.userInfo.aff_code;
-					}
+			// 步骤已超时被放弃时丢弃迟到的结果，避免覆盖后续步骤暂存的 session 和错误次数
+			signal?.throwIfAborted();
+
+			if (loginResult.success) {
+				// 保存该平台的 session、用户 ID 和过期时间，之后可以直接使用 session 签到
+				const sessionInfo = decodeSession(loginResult.session);
+				if (loginResult.session) {
+					registerSecret(loginResult.session);
+					updateData[platform.sessionField] = loginResult.session;
+					// 优先使用 session 中的签发时间计算过期时间，无法解析时按 30 天计算
+					updateData[platform.sessionExpireField] =
+						sessionInfo?.expiresAt ?? Date.now() + 30 * 24 * 60 * 60 * 1000;
 				}
-				// AgentRouter 的余额存储到 agentrouter_balance
-				else if (platform.name === 'AgentRouter') {
-					updateData.agentrouter_balance = Math.round(loginResult.userInfo.quota / 500000);
+				if (loginResult.apiUser || sessionInfo?.userId) {
+					updateData[platform.accountIdField] = loginResult.apiUser || sessionInfo.userId;
 				}
 
-				const quota = (loginResult.userInfo.quota / 500000).toFixed(2);
-				const usedQuota = (loginResult.userInfo.used_quota || 0) / 500000;
-				const userInfoText = `💰 当前余额: $${quota}, 已使用: $${usedQuota.toFixed(2)}`;
+				// 余额存储到平台注册表中配置的字段
+				Object.assign(updateData, this.buildBalanceUpdate(platform, loginResult.userInfo));
+
+				// 没有捕获到签到后的 /api/user/self 时，以登录结果中的余额作为签到后的额度
+				const reward = summarizeSignInReward(platform, {
+					response: loginResult.signInResponse,
+					quotaBefore: loginResult.quotaBefore,
+					quotaAfter: loginResult.quotaAfter ?? loginResult.userInfo.quota,
+				});
+				const userInfoText = this.formatCheckinText(platform, loginResult.userInfo, reward);
 
 				results.push({
 					platform: platform.name,
 					success: true,
 					userInfo: userInfoText,
+					reward,
+					balance: this.recordBalance(accountInfo, platform, loginResult.userInfo),
+					attempts,
 				});
 
 				console.log(`[成功] ${accountName}: ${platform.name} 签到成功 - ${userInfoText}`);
@@ -409,15 +655,18 @@ class UnifiedAnyRouterChecker {
 				results.push({
 					platform: platform.name,
 					success: false,
-					error: `${platform.name} 登录失败`,
+					error: loginResult.error,
+					errorCode: loginResult.errorCode,
+					errorContext: loginResult.errorContext,
+					attempts,
 				});
 
 				console.error(`[失败] ${accountName}: ${platform.name} 签到失败`);
 
-				// 如果是两者都签到模式，且 AnyRouter 签到失败，则跳过后续平台签到
-				if (checkinMode === 3 && platform.name === 'AnyRouter') {
+				// 如果签到多个平台，且主平台签到失败，则跳过后续平台签到
+				if (platforms.length > 1 && platform.primary) {
 					console.log(
-						`[跳过] ${accountName}: AnyRouter 签到失败，跳过 AgentRouter 签到，等待下次一起重试`
+						`[跳过] ${accountName}: ${platform.name} 签到失败，跳过其余平台签到，等待下次一起重试`
 					);
 					break;
 				}
@@ -439,134 +688,530 @@ class UnifiedAnyRouterChecker {
 			updateData.checkin_error_count = currentErrorCount + 1; // 签到失败，增加错误次数
 		}
 
-		// 更新账户信息到服务端
-		await this.updateAccountInfo(accountInfo._id, updateData);
+		// 暂存账户信息，运行结束时统一同步
+		this.stageAccountUpdate(accountInfo, updateData);
 
-		// 构建返回结果
-		const userInfoTexts = results
-			.filter((r) => r.success)
-			.map((r) => `${r.platform}: ${r.userInfo}`);
-
-		return {
-			success: allSuccess,
-			account: accountName,
-			userInfo: userInfoTexts.length > 0 ? userInfoTexts.join('\n') : null,
-			method: 'github',
-			results, // 包含详细的签到结果
-		};
+		return this.buildStepResult(accountName, strategy.name, results);
 	}
 
 	/**
 	 * 使用 Session 进行签到（优先级最高）
+	 * 各平台的 session 分别保存，依次使用各平台自己的 session 签到
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {Array} platforms - 要签到的平台（需已保存 session）
+	 * @param {AbortSignal} [signal] - 签到步骤超时时中止，中止后不再暂存任何结果
 	 */
-	async checkInWithSession(accountInfo) {
+	async checkInWithSession(accountInfo, platforms, signal) {
 		const accountName = accountInfo.username || accountInfo._id || '未知账号';
-		const session = accountInfo.session;
-		const apiUser = accountInfo.account_id || accountInfo.api_user;
+		const currentErrorCount = accountInfo.checkin_error_count || 0;
+		const results = [];
+		const updateData = {};
 
-		console.log(`[登录] ${accountName}: 使用 Session 签到 (API User: ${apiUser})`);
+		for (const platform of platforms) {
+			const { session, apiUser } = getPlatformSession(accountInfo, platform);
 
-		// 调用 Session 签到模块
-		const signInResult = await this.sessionSignInModule.signIn(session, apiUser);
+			console.log(
+				`[登录] ${accountName}: 使用 Session 签到 ${platform.name} (API User: ${apiUser})`
+			);
 
-		if (signInResult && signInResult.success) {
-			// 构建更新数据
-			const updateData = {
-				checkin_date: Date.now(),
-			};
+			// 调用 Session 签到模块
+			const { result: signInResult, attempts } = await runWithRetry(
+				() =>
+					withLogContext({ platform: platform.name }, async () => {
+						signal?.throwIfAborted();
+						// 同一站点的请求保持最小间隔
+						await this.rateLimiter.acquire(platform.baseUrl);
+						return await this.getSessionSignInModule(platform).signIn(session, apiUser, {
+							signal,
+						});
+					}),
+				this.retryPolicies.platform,
+				`${accountName} ${platform.name} Session`
+			);
+			signal?.throwIfAborted();
 
-			let userInfoText = null;
+			if (signInResult && signInResult.success) {
+				// account_id 可能是从 session 中解析出来的，一并保存
+				updateData[platform.accountIdField] = apiUser;
 
-			// 如果成功获取用户信息，添加余额、已使用额度和推广码
-			if (signInResult.userInfo) {
-				updateData.balance = Math.round(signInResult.userInfo.quota / 500000);
-				updateData.used = Math.round((signInResult.userInfo.usedQuota || 0) / 500000);
-				if (signInResult.userInfo.affCode) {
-					updateData.aff_code = signInResult.userInfo.affCode;
+				// 如果成功获取用户信息，添加余额、已使用额度和推广码
+				if (signInResult.userInfo) {
+					Object.assign(updateData, this.buildBalanceUpdate(platform, signInResult.userInfo));
 				}
 
-				const quota = (signInResult.userInfo.quota / 500000).toFixed(2);
-				const usedQuota = (signInResult.userInfo.usedQuota || 0) / 500000;
-				userInfoText = `💰 当前余额: $${quota}, 已使用: $${usedQuota.toFixed(2)}`;
+				// 预检时的额度为签到前额度，签到后重新获取的额度为签到后额度
+				const reward = summarizeSignInReward(platform, {
+					response: signInResult.signInResponse,
+					quotaBefore: signInResult.quotaBefore,
+					quotaAfter: signInResult.userInfo?.quota ?? null,
+				});
+				const userInfoText = this.formatCheckinText(platform, signInResult.userInfo, reward);
+
+				results.push({
+					platform: platform.name,
+					success: true,
+					userInfo: userInfoText,
+					reward,
+					balance: signInResult.userInfo
+						? this.recordBalance(accountInfo, platform, signInResult.userInfo)
+						: undefined,
+					attempts,
+				});
+			} else {
+				console.log(`[失败] ${accountName}: ${platform.name} Session 签到失败`);
+				results.push({
+					platform: platform.name,
+					success: false,
+					error: signInResult.error,
+					errorCode: signInResult.errorCode,
+					errorContext: signInResult.errorContext,
+					attempts,
+				});
+			}
+		}
+
+		if (results.some((r) => r.success)) {
+			updateData.checkin_date = Date.now();
+		}
+
+		// 与登录签到一致：全部成功时重置错误次数，否则增加错误次数
+		// 后续登录步骤签到成功时会再次重置
+		updateData.checkin_error_count = results.every((r) => r.success) ? 0 : currentErrorCount + 1;
+
+		// 暂存账户信息，运行结束时统一同步
+		this.stageAccountUpdate(accountInfo, updateData);
+
+		return this.buildStepResult(accountName, SESSION_STEP, results);
+	}
+
+	/**
+	 * 解析账号各平台的 session，补全用户 ID 并使用 session 的签发时间计算准确的过期时间
+	 * 如果 session 中的用户 ID 与账号记录的用户 ID 不一致，说明 session 属于其他用户，会被丢弃
+	 * @param {Object} accountInfo - 账号记录
+	 * @returns {{account: Object, mismatches: Array<{platform: Object, failure: Object}>}} - 补全后的账号记录（副本）和不匹配的平台
+	 */
+	inspectSessions(accountInfo) {
+		const accountName = accountInfo.username || accountInfo._id || '未知账号';
+		const account = { ...accountInfo };
+		const mismatches = [];
+
+		for (const platform of getPlatforms()) {
+			const { session, apiUser } = getPlatformSession(accountInfo, platform);
+			const sessionInfo = decodeSession(session);
+			if (!sessionInfo || !sessionInfo.userId) {
+				continue;
+			}
+
+			if (apiUser && String(apiUser) !== sessionInfo.userId) {
+				console.log(
+					`[会话] ${accountName}: ${platform.name} session 属于用户 ${sessionInfo.userId} (${sessionInfo.username})，与 ${platform.accountIdField} ${apiUser} 不一致，忽略该 session`
+				);
+				account[platform.sessionField] = undefined;
+				mismatches.push({
+					platform,
+					failure: createFailure(
+						CheckinErrorCode.SESSION_MISMATCH,
+						`${platform.name} session 属于用户 ${sessionInfo.userId}，与 ${platform.accountIdField} ${apiUser} 不一致`,
+						{
+							platform: platform.key,
+							sessionUserId: sessionInfo.userId,
+							accountId: String(apiUser),
+						}
+					),
+				});
+				continue;
+			}
+
+			if (!apiUser) {
+				console.log(
+					`[会话] ${accountName}: 从 ${platform.name} session 中解析出 ${platform.accountIdField}: ${sessionInfo.userId}`
+				);
+				account[platform.accountIdField] = sessionInfo.userId;
+			}
+			account[platform.sessionExpireField] = sessionInfo.expiresAt;
+		}
+
+		return { account, mismatches };
+	}
+
+	/**
+	 * 判断账号今天（按签到重置时区）是否已经签到成功
+	 * checkin_date 只要有一个平台成功就会更新，因此还需要错误次数为 0 才表示所有平台都已签到
+	 * @param {Object} accountInfo - 账号记录
+	 * @returns {boolean}
+	 */
+	isCheckedInToday(accountInfo) {
+		return (
+			isToday(accountInfo.checkin_date, this.resetTimezone) &&
+			!(accountInfo.checkin_error_count > 0)
+		);
+	}
+
+	/**
+	 * 处理今日已签到的账号：直接跳过，或在 refresh 模式下使用 session 刷新主平台余额
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {number} accountIndex - 账号序号
+	 * @returns {Promise<Object>} - 带 skipped 标记的结果
+	 */
+	async skipAccount(accountInfo, accountIndex) {
+		const accountName = accountInfo.username || accountInfo._id || `账号 ${accountIndex + 1}`;
+		const platform = getPrimaryPlatform();
+		const { session, apiUser } = getPlatformSession(accountInfo, platform);
+		const result = {
+			success: true,
+			skipped: true,
+			account: accountName,
+			method: 'skipped',
+			userInfo: null,
+		};
+
+		console.log(
+			`\n[跳过] ${accountName}: 今日 (${this.resetTimezone}) 已签到，上次签到时间: ${new Date(accountInfo.checkin_date).toLocaleString('zh-CN')}`
+		);
+
+		if (this.skipMode !== 'refresh' || !session || !apiUser) {
+			return result;
+		}
+
+		try {
+			await this.rateLimiter.acquire(platform.baseUrl);
+
+			console.log(`[刷新] ${accountName}: 刷新 ${platform.name} 余额...`);
+			const wafCookies = await this.sessionSignInModule.getWafCookies();
+			if (!wafCookies) {
+				return result;
 			}
 
-			// 更新账户信息
-			await this.updateAccountInfo(accountInfo._id, updateData);
+			const userInfo = await this.sessionSignInModule.getUserInfo(
+				{ ...wafCookies, session },
+				apiUser
+			);
+			if (!userInfo) {
+				return result;
+			}
+
+			result.userInfo = this.formatUserInfo(platform, userInfo);
+			result.results = [
+				{
+					platform: platform.name,
+					success: true,
+					userInfo: result.userInfo,
+					balance: this.recordBalance(accountInfo, platform, userInfo),
+				},
+			];
+			this.stageAccountUpdate(accountInfo, this.buildBalanceUpdate(platform, userInfo));
+		} catch (error) {
+			console.log(`[刷新] ${accountName}: 刷新余额失败: ${error.message}`);
+		}
+
+		return result;
+	}
+
+	/**
+	 * 执行策略链中的单个步骤
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {{name: string, timeout: number}} step - 步骤配置
+	 * @param {Array} platforms - 该步骤要签到的平台
+	 * @param {AbortSignal} [signal] - 步骤超时时中止
+	 * @returns {Promise<Object>} - 签到结果
+	 */
+	async runStrategyStep(accountInfo, step, platforms, signal) {
+		const accountName = accountInfo.username || accountInfo._id || '未知账号';
+
+		if (step.name === SESSION_STEP) {
+			if (platforms.length === 0) {
+				return {
+					...createFailure(CheckinErrorCode.SESSION_EXPIRED, '缺少 session 或 account_id', {
+						reason: 'missing',
+					}),
+					account: accountName,
+				};
+			}
+			return await this.checkInWithSession(accountInfo, platforms, signal);
+		}
 
+		if (!accountInfo.username || !accountInfo.password) {
 			return {
-				success: true,
+				...createFailure(CheckinErrorCode.BAD_CREDENTIALS, '缺少用户名或密码', {
+					reason: 'missing',
+				}),
 				account: accountName,
-				userInfo: userInfoText,
-				method: 'session',
 			};
-		} else {
-			console.log(`[失败] ${accountName}: Session 签到失败，将尝试其他登录方式`);
-			return null; // 返回 null 表示需要尝试其他登录方式
 		}
+
+		const strategy = getLoginStrategy(step.name);
+		console.log(`[类型] ${accountName}: ${strategy.label}`);
+		return await this.checkInWithStrategy(accountInfo, strategy, platforms, signal);
+	}
+
+	/**
+	 * 获取策略链中某一步可以签到的平台（按平台注册顺序）
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {{name: string}} step - 步骤配置
+	 * @param {Array<{platform: Object, state: string}>} sessionPlatforms - 保存了 session 的平台
+	 * @returns {Array}
+	 */
+	getStepPlatforms(accountInfo, step, sessionPlatforms) {
+		if (step.name === SESSION_STEP) {
+			return sessionPlatforms.filter((p) => isSessionUsable(p.state)).map((p) => p.platform);
+		}
+		return getLoginStrategy(step.name).getPlatforms(accountInfo);
 	}
 
 	/**
 	 * 为单个账号执行签到
+	 * 按账号的签到策略链依次尝试：每一步只签到之前的步骤尚未签到成功的平台，
+	 * 例如 session 签到成功 AnyRouter 而 AgentRouter 的 session 已失效时，只有 AgentRouter 交给后续的登录方式
 	 */
-	async checkInAccount(accountInfo, accountIndex) {
-		const accountName = accountInfo.username || accountInfo._id || `账号 ${accountIndex + 1}`;
+	async checkInAccount(rawAccountInfo, accountIndex) {
+		const accountName = rawAccountInfo.username || rawAccountInfo._id || `账号 ${accountIndex + 1}`;
 		console.log(`\n[处理中] 开始处理 ${accountName}`);
 
-		// 优先检查是否有 session 和 api_user/account_id
-		const hasSession = accountInfo.session && (accountInfo.account_id || accountInfo.api_user);
-
-		if (hasSession) {
-			console.log(`[检测] ${accountName}: 发现有效的 Session，将使用 Session 签到`);
-			const sessionResult = await this.checkInWithSession(accountInfo);
+		const { account: accountInfo, mismatches } = this.inspectSessions(rawAccountInfo);
+		const { steps, errors, sessionPlatforms } = resolveStrategyChain(accountInfo);
+		for (const error of errors) {
+			console.log(`[警告] ${accountName}: ${error}`);
+		}
 
-			// 如果 Session 签到成功，直接返回结果
-			if (sessionResult && sessionResult.success) {
-				return sessionResult;
-			}
+		// 记录每一步的执行情况
+		const stepRecords = [];
 
-			// Session 签到失败，继续尝试其他方式
-			console.log(`[回退] ${accountName}: Session 签到失败，尝试其他登录方式...`);
+		for (const { platform, failure } of mismatches) {
+			stepRecords.push({
+				strategy: SESSION_STEP,
+				platforms: [platform.name],
+				success: false,
+				skipped: true,
+				error: failure.error,
+				errorCode: failure.errorCode,
+				duration: 0,
+			});
 		}
 
-		const hasPassword = accountInfo.username && accountInfo.password;
+		for (const { platform, state } of sessionPlatforms) {
+			const { expireTime } = getPlatformSession(accountInfo, platform);
+			const expireText = new Date(expireTime).toLocaleString('zh-CN');
+			if (state === SessionState.EXPIRED) {
+				console.log(
+					`[会话] ${accountName}: ${platform.name} session 已于 ${expireText} 过期，跳过 session 签到`
+				);
+				stepRecords.push({
+					strategy: SESSION_STEP,
+					platforms: [platform.name],
+					success: false,
+					skipped: true,
+					error: `${platform.name} session 已于 ${expireText} 过期`,
+					errorCode: CheckinErrorCode.SESSION_EXPIRED,
+					duration: 0,
+				});
+			} else if (state === SessionState.EXPIRING) {
+				console.log(
+					`[会话] ${accountName}: ${platform.name} session 将于 ${expireText} 过期，优先重新登录续期`
+				);
+			}
+		}
 
-		if (!hasPassword) {
-			console.log(`[失败] ${accountName}: 缺少用户名或密码`);
+		// 需要签到的平台为策略链中各步骤可签到平台的并集
+		const targetKeys = new Set(
+			steps.flatMap((step) =>
+				this.getStepPlatforms(accountInfo, step, sessionPlatforms).map((p) => p.key)
+			)
+		);
+		let pending = getPlatforms().filter((p) => targetKeys.has(p.key));
+
+		if (steps.length === 0 || pending.length === 0) {
+			console.log(`[失败] ${accountName}: 没有可用的签到策略`);
+			// session 全部过期或不属于该账号时，以跳过 session 的原因作为失败原因
+			const skippedRecord = stepRecords.find((r) => r.skipped);
+			const reason =
+				skippedRecord?.errorCode === CheckinErrorCode.SESSION_EXPIRED ? 'expired' : 'wrong_user';
+			const failure = skippedRecord
+				? createFailure(skippedRecord.errorCode, skippedRecord.error, { reason })
+				: createFailure(CheckinErrorCode.UNKNOWN, errors.join('; ') || '没有可用的签到策略');
 			return {
-				success: false,
+				...failure,
 				account: accountName,
-				error: '缺少用户名或密码',
+				steps: stepRecords,
 			};
 		}
 
-		// 获取登录类型（默认为账号密码登录）
-		const accountType = accountInfo.account_type ?? 0;
+		console.log(
+			`[策略] ${accountName}: ${steps.map((s) => s.name).join(' -> ')} (平台: ${pending.map((p) => p.name).join(', ')})`
+		);
+
+		// 各平台最后一次签到的结果
+		const platformResults = new Map();
+		const succeededMethods = [];
+		let lastFailure = null;
 
-		// 根据登录类型选择对应的登录方法
-		switch (accountType) {
-			case 0:
-				// 账号密码登录
-				console.log(`[类型] ${accountName}: 账号密码登录`);
-				return await this.checkInWithPassword(accountInfo);
+		for (const step of steps) {
+			const stepPlatformKeys = new Set(
+				this.getStepPlatforms(accountInfo, step, sessionPlatforms).map((p) => p.key)
+			);
+			const platforms = pending.filter((p) => stepPlatformKeys.has(p.key));
+			if (platforms.length === 0) {
+				continue;
+			}
 
-			case 1:
-				// LinuxDo 第三方登录
-				console.log(`[类型] ${accountName}: LinuxDo 第三方登录`);
-				return await this.checkInWithLinuxDo(accountInfo);
+			const startTime = Date.now();
+			let result;
 
-			case 2:
-				// GitHub 第三方登录
-				console.log(`[类型] ${accountName}: GitHub 第三方登录`);
-				return await this.checkInWithGitHub(accountInfo);
+			try {
+				// 超时后中止该步骤：关闭其浏览器上下文并丢弃迟到的结果，再交给后续步骤
+				result = await runWithDeadline(
+					(signal) => this.runStrategyStep(accountInfo, step, platforms, signal),
+					step.timeout,
+					`${step.name} 签到超时 (${step.timeout / 1000}秒)`
+				);
+			} catch (error) {
+				result = { ...failureFromError(error, { strategy: step.name }), account: accountName };
+			}
 
-			default:
-				console.log(`[失败] ${accountName}: 未知的登录类型 ${accountType}`);
-				return {
-					success: false,
-					account: accountName,
-					error: `未知的登录类型: ${accountType}`,
-				};
+			stepRecords.push({
+				strategy: step.name,
+				platforms: platforms.map((p) => p.name),
+				success: result.success,
+				error: result.success ? undefined : result.error,
+				errorCode: result.success ? undefined : result.errorCode,
+				duration: Date.now() - startTime,
+			});
+
+			for (const platformResult of result.results || []) {
+				platformResults.set(platformResult.platform, { ...platformResult, method: step.name });
+			}
+
+			// 签到成功的平台不再交给后续步骤
+			const succeeded = new Set(
+				(result.results || []).filter((r) => r.success).map((r) => r.platform)
+			);
+			if (succeeded.size > 0) {
+				succeededMethods.push(step.name);
+			}
+			pending = pending.filter((p) => !succeeded.has(p.name));
+
+			if (!result.success) {
+				lastFailure = result;
+			}
+
+			if (pending.length === 0) {
+				break;
+			}
+
+			console.log(
+				`[回退] ${accountName}: ${step.name} 签到失败 (${result.error})，待签到平台: ${pending.map((p) => p.name).join(', ')}`
+			);
 		}
+
+		const success = pending.length === 0;
+		const results = [...platformResults.values()];
+		const userInfoTexts = results
+			.filter((r) => r.success && r.userInfo)
+			.map((r) => `${r.platform}: ${r.userInfo}`);
+		const failedSteps = stepRecords.filter((r) => !r.success);
+
+		return {
+			success,
+			account: accountName,
+			userInfo: userInfoTexts.length > 0 ? userInfoTexts.join('\n') : null,
+			method:
+				succeededMethods.length > 0
+					? succeededMethods.join('+')
+					: stepRecords[stepRecords.length - 1].strategy,
+			error: success ? undefined : failedSteps.map((r) => `${r.strategy}: ${r.error}`).join('; '),
+			// 以最后一次失败的类别作为账号的失败类别
+			errorCode: success ? undefined : lastFailure?.errorCode,
+			errorContext: success ? undefined : lastFailure?.errorContext,
+			results,
+			steps: stepRecords,
+		};
+	}
+
+	/**
+	 * 为单个账号执行签到，按账号级重试策略重试，并将未捕获的异常转换为失败结果
+	 * 返回结果中的 attempts 记录每次账号级尝试，results[].attempts 记录每个平台的尝试
+	 */
+	async checkInAccountSafely(accountInfo, accountIndex) {
+		const accountName = accountInfo.username || `账号 ${accountIndex + 1}`;
+
+		const { result, attempts } = await runWithRetry(
+			async () => {
+				try {
+					return await this.checkInAccount(accountInfo, accountIndex);
+				} catch (error) {
+					console.log(`[失败] 账号 ${accountIndex + 1} 处理异常: ${error.message}`);
+					return { ...failureFromError(error), account: accountName };
+				}
+			},
+			this.retryPolicies.account,
+			accountName
+		);
+
+		return { ...result, attempts };
+	}
+
+	/**
+	 * 持有账号租约执行签到并保存账号更新，账号正由其他运行器处理时跳过并标记为 locked
+	 * 无法获取租约（服务端租约接口出错等）时不处理该账号，按 lease_unavailable 失败计入结果
+	 * 更新需要等运行结束时批量同步到服务端的，同步完成前不释放租约，避免其他运行器读到旧的签到日期和 session
+	 * @param {Object} accountInfo - 账号记录
+	 * @param {number} accountIndex - 账号序号
+	 * @returns {Promise<Object>}
+	 */
+	async checkInAccountWithLease(accountInfo, accountIndex) {
+		const accountName = accountInfo.username || accountInfo._id || `账号 ${accountIndex + 1}`;
+		let pendingSync = false;
+		const task = async () => {
+			const result = await this.checkInAccountSafely(accountInfo, accountIndex);
+			pendingSync = await this.persistAccountUpdate(accountInfo);
+			return result;
+		};
+
+		if (!this.leaseManager) {
+			return await task();
+		}
+
+		let leased;
+		try {
+			leased = await this.leaseManager.runWithLease(accountInfo, task, {
+				keep: () => pendingSync,
+			});
+		} catch (error) {
+			// checkInAccountSafely 不会抛出异常，这里只会是获取租约本身出错（如无法写入文件锁）
+			leased = { locked: true, error: error.message };
+		}
+
+		if (!leased.locked) {
+			if (leased.lease) {
+				this.heldLeases.push(leased.lease);
+			}
+			return leased.result;
+		}
+
+		// 无法确认账号是否正被其他运行器处理时不登录，但算作失败，避免租约接口故障时所有账号被静默跳过
+		if (leased.error) {
+			console.log(`\n[失败] ${accountName}: 无法获取租约 (${leased.error})，本次不处理该账号`);
+			return {
+				...createFailure(CheckinErrorCode.LEASE_UNAVAILABLE, `无法获取租约: ${leased.error}`),
+				account: accountName,
+				userInfo: null,
+			};
+		}
+
+		const expireText = leased.expiresAt
+			? new Date(leased.expiresAt).toLocaleString('zh-CN')
+			: '未知';
+		console.log(
+			`\n[锁定] ${accountName}: 正由 ${leased.holder || '其他运行器'} 处理 (租约到期: ${expireText})，跳过`
+		);
+		return {
+			success: true,
+			skipped: true,
+			locked: true,
+			account: accountName,
+			method: 'locked',
+			userInfo: null,
+			lockHolder: leased.holder,
+		};
 	}
 
 	/**
@@ -584,13 +1229,19 @@ class UnifiedAnyRouterChecker {
 					email: email,
 					results: [],
 					successCount: 0,
+					skippedCount: 0,
+					lockedCount: 0,
 					totalCount: 0,
 				};
 			}
 
 			emailGroups[email].results.push(result);
 			emailGroups[email].totalCount++;
-			if (result.success) {
+			if (result.locked) {
+				emailGroups[email].lockedCount++;
+			} else if (result.skipped) {
+				emailGroups[email].skippedCount++;
+			} else if (result.success) {
 				emailGroups[email].successCount++;
 			}
 		});
@@ -602,65 +1253,106 @@ class UnifiedAnyRouterChecker {
 	 * 执行所有账号签到
 	 */
 	async run() {
+		const startedAt = Date.now();
 		console.log('[系统] AnyRouter.top 多账号自动签到脚本启动 (统一版)');
 		console.log(`[时间] 执行时间: ${new Date().toLocaleString('zh-CN')}`);
 
-		if (!this.accounts) {
+		if (!(await this.prepareAccounts())) {
 			console.log('[失败] 无法加载账号配置，程序退出');
 			return { success: false, results: [] };
 		}
 
-		console.log(`[信息] 找到 ${this.accounts.length} 个账号配置`);
-
-		const results = [];
+		console.log(`[信息] 找到 ${this.accounts.length} 个账号配置，并发数: ${this.concurrency}`);
+		if (this.force) {
+			console.log('[信息] 已启用强制签到，今日已签到的账号也会重新签到');
+		}
 
-		// 为每个账号执行签到
-		for (let i = 0; i < this.accounts.length; i++) {
-			try {
-				const result = await this.checkInAccount(this.accounts[i], i);
-				results.push(result);
-
-				// 账号之间添加延迟，避免频繁操作触发限制
-				if (i < this.accounts.length - 1) {
-					const delay = 5000 + Math.random() * 2000; // 5-7秒随机延迟
-					console.log(`[等待] 等待 ${(delay / 1000).toFixed(1)} 秒后处理下一个账号...`);
-					await new Promise((resolve) => setTimeout(resolve, delay));
+		// 先重放上次运行遗留的待同步更新
+		await this.flushOutbox();
+
+		// 以有限并发为每个账号执行签到，结果顺序与账号顺序一致
+		const results = await runWithConcurrency(this.accounts, this.concurrency, (account, i) =>
+			// 账号处理过程中的日志都带上账号上下文，并发处理时便于区分
+			withLogContext({ account: account.username || account._id || `账号 ${i + 1}` }, async () => {
+				const accountStartedAt = Date.now();
+				let result;
+				if (!this.force && this.isCheckedInToday(account)) {
+					result = await this.skipAccount(account, i);
+					await this.persistAccountUpdate(account);
+				} else {
+					result = await this.checkInAccountWithLease(account, i);
 				}
-			} catch (error) {
-				console.log(`[失败] 账号 ${i + 1} 处理异常: ${error.message}`);
-				results.push({
-					success: false,
-					account: this.accounts[i].username || `账号 ${i + 1}`,
-					error: error.message,
-				});
-			}
+				return { ...result, startedAt: accountStartedAt, duration: Date.now() - accountStartedAt };
+			})
+		);
+
+		// 关闭浏览器池中的所有浏览器
+		await browserPool.close();
+
+		// 同步本次运行暂存的账号更新，同步失败的原因附加到对应账号的结果上；同步结束后再释放这些账号的租约
+		let syncFailures;
+		try {
+			syncFailures = await this.syncAccountUpdates();
+		} finally {
+			await this.releaseHeldLeases();
+		}
+		results.forEach((result, i) => {
+			result.syncFailure = syncFailures.get(getAccountKey(this.accounts[i]));
+		});
+
+		// 本次运行中同步失败的更新退避重试，仍失败的留在队列中等下次运行
+		await this.flushOutbox(true);
+		const pendingSyncCount = this.outbox ? this.outbox.size : 0;
+		if (pendingSyncCount > 0) {
+			console.log(`[同步队列] ${pendingSyncCount} 条更新仍未同步，将在下次运行时重放`);
 		}
 
+		await this.reportRunHistory(startedAt, results);
+
 		// 按邮箱分组
 		const emailGroups = this.groupResultsByEmail(results, this.accounts);
 
-		// 统计结果
-		const successCount = results.filter((r) => r.success).length;
+		// 统计结果（今日已签到而跳过的账号、被其他运行器锁定的账号单独统计）
+		const lockedCount = results.filter((r) => r.locked).length;
+		const skippedCount = results.filter((r) => r.skipped && !r.locked).length;
+		const successCount = results.filter((r) => r.success && !r.skipped).length;
 		const totalCount = this.accounts.length;
+		const failedCount = totalCount - successCount - skippedCount - lockedCount;
 
 		console.log('\n[统计] 签到结果统计:');
+		if (this.shardInfo) {
+			console.log(
+				`[分片] 分片 ${this.shardInfo.label}: ${this.shardInfo.count}/${this.shardInfo.total} 个账号`
+			);
+		}
 		console.log(`[成功] 成功: ${successCount}/${totalCount}`);
-		console.log(`[失败] 失败: ${totalCount - successCount}/${totalCount}`);
+		if (skippedCount > 0) {
+			console.log(`[跳过] 今日已签到: ${skippedCount}/${totalCount}`);
+		}
+		if (lockedCount > 0) {
+			console.log(`[锁定] 其他运行器处理中: ${lockedCount}/${totalCount}`);
+		}
+		console.log(`[失败] 失败: ${failedCount}/${totalCount}`);
 
-		if (successCount === totalCount) {
+		if (failedCount === 0) {
 			console.log('[成功] 所有账号签到成功!');
-		} else if (successCount > 0) {
+		} else if (successCount + skippedCount + lockedCount > 0) {
 			console.log('[警告] 部分账号签到成功');
 		} else {
 			console.log('[错误] 所有账号签到失败');
 		}
 
 		return {
-			success: successCount > 0,
+			success: successCount + skippedCount + lockedCount > 0,
 			results: results,
 			emailGroups: emailGroups,
 			successCount: successCount,
+			skippedCount: skippedCount,
+			lockedCount: lockedCount,
 			totalCount: totalCount,
+			pendingSyncCount: pendingSyncCount,
+			runId: this.runId,
+			shard: this.shardInfo,
 		};
 	}
 }
@@ -672,34 +1364,8 @@ const isMainModule = fileURLToPath(import.meta.url) === process.argv[1];
 
 if (isMainModule) {
 	(async () => {
-		const testAccounts = [
-			{
-
-				"_id": "69036e0b5ef9299ac22b2272",
-				"used": 0,
-				"notes": "",
-				"balance": 125,
-				"is_sold": false,
-				"session": "MTc2MTgzNTgwMHxEWDhFQVFMX2dBQUJFQUVRQUFEX3h2LUFBQVlHYzNSeWFXNW5EQWNBQldkeWIzVndCbk4wY21sdVp3d0pBQWRrWldaaGRXeDBCbk4wY21sdVp3d05BQXR2WVhWMGFGOXpkR0YwWlFaemRISnBibWNNRGdBTVVGZDRVbFZVV1hGbGRITTFCbk4wY21sdVp3d0VBQUpwWkFOcGJuUUVCUUQ5QXJnU0JuTjBjbWx1Wnd3S0FBaDFjMlZ5Ym1GdFpRWnpkSEpwYm1jTUR3QU5iR2x1ZFhoa2IxODRPVEE1TndaemRISnBibWNNQmdBRWNtOXNaUU5wYm5RRUFnQUNCbk4wY21sdVp3d0lBQVp6ZEdGMGRYTURhVzUwQkFJQUFnPT18uvDuzHwJbImuTQQcmSbH9icwpFuLR8oXHYn9QJJ9ac8=",
-				"aff_code": "wKqu",
-				"can_sell": true,
-				"password": "leishengjh",
-				"username": "leisheng",
-				"sell_date": 0,
-				"account_id": "89097",
-				"create_date": 1761832452721,
-				"update_date": 1761835849970,
-				"account_type": 1,
-				"checkin_date": 1761835738156,
-				"checkin_mode": 3,
-				"workflow_url": "https://github.com/18259178447/ay6",
-				"anyrouter_user_id": "official_user_001",
-				"agentrouter_balance": 35,
-				"checkin_error_count": 0,
-				"session_expire_time": 1764427808099
-			}
-		];
-		const checker = new UnifiedAnyRouterChecker(testAccounts);
+		// 按 ACCOUNTS_SOURCE 加载账号配置（支持加密保险库）
+		const checker = new UnifiedAnyRouterChecker();
 		const checkResult = await checker.run();
 		console.log('\n[最终结果]', JSON.stringify(checkResult, null, 2));
 	})();
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * 批量预检所有账号在各平台的 session，不执行签到
+ * 用法：npm run validate-sessions
+ */
+
+import '../utils/logger-init.js';
+import dotenv from 'dotenv';
+
+// 必须先加载环境变量，再导入其他模块
+dotenv.config();
+
+import UnifiedAnyRouterChecker from './unified-checker.js';
+import { SessionValidity } from './checkin-session.js';
+import { getErrorLabel } from './errors.js';
+import { DEFAULT_CHECKIN_MODE, getPlatformSession, getPlatforms } from './platforms.js';
+import { browserPool } from '../utils/browser-pool.js';
+
+/**
+ * 各预检结果的展示名称
+ */
+const VALIDITY_LABELS = {
+	[SessionValidity.VALID]: '有效',
+	[SessionValidity.EXPIRED]: '已过期',
+	[SessionValidity.REVOKED]: '已失效',
+	[SessionValidity.WRONG_USER]: '用户不匹配',
+	missing: '无 session',
+	error: '检查失败',
+};
+
+/**
+ * 主函数
+ */
+async function main() {
+	console.log('[系统] AnyRouter session 预检启动');
+	console.log(`[时间] 执行时间: ${new Date().toLocaleString('zh-CN')}`);
+
+	const checker = new UnifiedAnyRouterChecker();
+	if (!(await checker.prepareAccounts())) {
+		console.log('[失败] 无法加载账号配置，程序退出');
+		process.exit(1);
+	}
+
+	const counts = {};
+	let checkedCount = 0;
+
+	for (const platform of getPlatforms()) {
+		const signer = checker.getSessionSignInModule(platform);
+		// 同一平台的所有账号共用一次获取的 WAF cookies，每个平台只启动一次浏览器
+		let wafCookies = null;
+
+		for (const [index, rawAccount] of checker.accounts.entries()) {
+			const checkinMode = rawAccount.checkin_mode || DEFAULT_CHECKIN_MODE;
+			if ((checkinMode & platform.modeFlag) === 0) {
+				continue;
+			}
+
+			const accountName = rawAccount.username || rawAccount._id || `账号 ${index + 1}`;
+			const { account, mismatches } = checker.inspectSessions(rawAccount);
+			const mismatch = mismatches.find((m) => m.platform.key === platform.key);
+			const { session, apiUser, expireTime } = getPlatformSession(account, platform);
+
+			let state;
+			let detail = '';
+
+			if (mismatch) {
+				state = SessionValidity.WRONG_USER;
+				detail = mismatch.failure.error;
+			} else if (!session || !apiUser) {
+				state = 'missing';
+			} else {
+				wafCookies = wafCookies || (await signer.getWafCookies());
+				if (!wafCookies) {
+					console.log(`[失败] ${platform.name}: 获取 WAF cookies 失败，跳过该平台`);
+					break;
+				}
+
+				// 同一站点的请求保持最小间隔
+				await checker.rateLimiter.acquire(platform.baseUrl);
+				const result = await signer.validateSession(session, apiUser, wafCookies);
+				if (result.success) {
+					state = SessionValidity.VALID;
+					detail = checker.formatUserInfo(platform, result.userInfo);
+					if (expireTime) {
+						detail += `，过期时间: ${new Date(expireTime).toLocaleString('zh-CN')}`;
+					}
+				} else {
+					state = result.state || 'error';
+					detail = result.state
+						? result.error
+						: `[${getErrorLabel(result.errorCode)}] ${result.error}`;
+				}
+			}
+
+			checkedCount++;
+			counts[state] = (counts[state] || 0) + 1;
+			console.log(
+				`[${VALIDITY_LABELS[state]}] ${accountName} (${platform.name})${detail ? ` - ${detail}` : ''}`
+			);
+		}
+	}
+
+	await browserPool.close();
+
+	console.log('\n[统计] session 预检结果:');
+	for (const [state, count] of Object.entries(counts)) {
+		console.log(`${VALIDITY_LABELS[state]}: ${count}/${checkedCount}`);
+	}
+
+	// 存在失效 session 时返回非零退出码，便于在工作流中提示（未保存 session 的平台不算失效）
+	const invalidCount = checkedCount - (counts[SessionValidity.VALID] || 0) - (counts.missing || 0);
+	process.exit(invalidCount > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+	console.error('[失败] 预检过程中发生错误:', error.message);
+	process.exit(1);
+});
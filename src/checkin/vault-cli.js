@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * 账号保险库命令行工具
+ * 账号记录包含各平台密码和 session，保存为 AES-256-GCM 加密的保险库文件，签到时由 loadAccounts 自动解密
+ *
+ * 用法：npm run vault -- <命令> [参数] [--vault <路径>]
+ *   create [--from <账号文件>] [--force]  创建保险库，可从 JSON / YAML 明文账号文件导入
+ *   list                                  列出账号（不显示密码和 session）
+ *   add <账号JSON | 账号文件>              添加一个或多个账号
+ *   remove <_id | username | #序号>       删除账号
+ *   edit                                  用 $EDITOR 编辑解密后的账号，保存并通过校验后重新加密
+ *
+ * 保险库路径默认为 ANYROUTER_ACCOUNTS_FILE，未设置时为 accounts.vault
+ * 密钥读取 ANYROUTER_VAULT_KEY_FILE 或 ANYROUTER_VAULT_PASSPHRASE，都未设置时在终端输入口令
+ */
+
+import '../utils/logger-init.js';
+import dotenv from 'dotenv';
+
+// 必须先加载环境变量，再导入其他模块
+dotenv.config();
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import yaml from 'js-yaml';
+import { getVaultSecret } from './account-source.js';
+import { printValidationReport, validateAccounts } from './account-schema.js';
+import { getPlatforms } from './platforms.js';
+import { readVaultFile, writeVaultFile } from '../utils/vault.js';
+
+/**
+ * 默认保险库路径
+ */
+const DEFAULT_VAULT_PATH = 'accounts.vault';
+
+const USAGE = `用法：npm run vault -- <命令> [参数] [--vault <路径>]
+  create [--from <账号文件>] [--force]  创建保险库，可从 JSON / YAML 明文账号文件导入
+  list                                  列出账号（不显示密码和 session）
+  add <账号JSON | 账号文件>              添加一个或多个账号
+  remove <_id | username | #序号>       删除账号
+  edit                                  用 $EDITOR 编辑解密后的账号`;
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{command: string, args: string[], options: Object}}
+ */
+function parseArgs(argv) {
+	const args = [];
+	const options = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--force') {
+			options.force = true;
+		} else if (arg === '--vault' || arg === '--from') {
+			options[arg.slice(2)] = argv[++i];
+		} else {
+			args.push(arg);
+		}
+	}
+	return { command: args[0], args: args.slice(1), options };
+}
+
+/**
+ * 在终端读取口令，输入内容不回显
+ * @param {string} question - 提示
+ * @returns {Promise<string>}
+ */
+function promptSecret(question) {
+	if (!process.stdin.isTTY) {
+		throw new Error(
+			'未设置 ANYROUTER_VAULT_KEY_FILE 或 ANYROUTER_VAULT_PASSPHRASE，且当前不是交互式终端'
+		);
+	}
+
+	return new Promise((resolve) => {
+		const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+		process.stdout.write(question);
+		rl._writeToOutput = () => {};
+		rl.question('', (answer) => {
+			rl.close();
+			process.stdout.write('\n');
+			resolve(answer);
+		});
+	});
+}
+
+/**
+ * 获取保险库密钥，未通过环境变量配置时在终端输入
+ * @param {boolean} [confirm] - 是否需要再次输入确认（创建保险库时）
+ * @returns {Promise<string|Buffer>}
+ */
+async function getSecret(confirm = false) {
+	const secret = getVaultSecret();
+	if (secret) {
+		return secret;
+	}
+
+	const passphrase = await promptSecret('保险库口令: ');
+	if (!passphrase) {
+		throw new Error('口令不能为空');
+	}
+	if (confirm && (await promptSecret('再次输入口令: ')) !== passphrase) {
+		throw new Error('两次输入的口令不一致');
+	}
+	return passphrase;
+}
+
+/**
+ * 解析账号输入：JSON 字符串，或 JSON / YAML 文件路径
+ * @param {string} input
+ * @returns {Array} - 单个账号对象会包装为数组
+ */
+function parseAccountsInput(input) {
+	let data;
+	if (/^\s*[[{]/.test(input)) {
+		data = JSON.parse(input);
+	} else {
+		const content = fs.readFileSync(input, 'utf8');
+		data = /\.ya?ml$/i.test(input) ? yaml.load(content) : JSON.parse(content);
+	}
+	return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * 校验账号列表，有问题时输出报告并抛出错误，保险库保持不变
+ * @param {Array} accounts
+ */
+function assertValid(accounts) {
+	const validation = validateAccounts(accounts);
+	printValidationReport(validation, '账号');
+	if (!validation.valid) {
+		throw new Error('账号校验失败，保险库未修改');
+	}
+}
+
+/**
+ * 读取保险库中的账号
+ * @param {string} vaultPath
+ * @param {string|Buffer} secret
+ * @returns {Array}
+ */
+function readAccounts(vaultPath, secret) {
+	if (!fs.existsSync(vaultPath)) {
+		throw new Error(`保险库 ${vaultPath} 不存在，请先执行 create`);
+	}
+	return readVaultFile(vaultPath, secret).accounts;
+}
+
+/**
+ * 校验并加密写入账号
+ * @param {string} vaultPath
+ * @param {Array} accounts
+ * @param {string|Buffer} secret
+ */
+function writeAccounts(vaultPath, accounts, secret) {
+	assertValid(accounts);
+	writeVaultFile(vaultPath, { accounts }, secret);
+	console.log(`[保险库] 已保存 ${accounts.length} 个账号到 ${vaultPath}`);
+}
+
+/**
+ * 查找账号序号
+ * @param {Array} accounts
+ * @param {string} target - _id、username 或 #序号（从 1 开始）
+ * @returns {number} - 未找到时返回 -1
+ */
+function findAccountIndex(accounts, target) {
+	const match = /^#(\d+)$/.exec(target);
+	if (match) {
+		const index = parseInt(match[1]) - 1;
+		return index >= 0 && index < accounts.length ? index : -1;
+	}
+	return accounts.findIndex((a) => a._id === target || a.username === target);
+}
+
+/**
+ * 各命令的实现
+ */
+const COMMANDS = {
+	async create(vaultPath, args, options) {
+		if (fs.existsSync(vaultPath) && !options.force) {
+			throw new Error(`保险库 ${vaultPath} 已存在，覆盖请加 --force`);
+		}
+		const accounts = options.from ? parseAccountsInput(options.from) : [];
+		writeAccounts(vaultPath, accounts, await getSecret(true));
+		if (options.from) {
+			console.log(`[保险库] 已导入 ${options.from}，确认无误后请删除明文账号文件`);
+		}
+	},
+
+	async list(vaultPath) {
+		const accounts = readAccounts(vaultPath, await getSecret());
+		accounts.forEach((account, i) => {
+			const sessions = getPlatforms()
+				.filter((platform) => account[platform.sessionField])
+				.map((platform) => platform.name);
+			console.log(
+				`#${i + 1} ${account.username || '-'} (_id: ${account._id || '-'}, account_type: ${account.account_type ?? 0}, session: ${sessions.join('/') || '无'})`
+			);
+		});
+		console.log(`[保险库] 共 ${accounts.length} 个账号`);
+	},
+
+	async add(vaultPath, args) {
+		if (!args[0]) {
+			throw new Error('请提供账号 JSON 或账号文件路径');
+		}
+		const secret = await getSecret();
+		const accounts = readAccounts(vaultPath, secret);
+		const newAccounts = parseAccountsInput(args[0]);
+
+		for (const account of newAccounts) {
+			const duplicate = accounts.find(
+				(a) =>
+					(account._id && a._id === account._id) ||
+					(account.username &&
+						a.username === account.username &&
+						(a.account_type ?? 0) === (account.account_type ?? 0))
+			);
+			if (duplicate) {
+				throw new Error(`账号 ${account._id || account.username} 已存在，修改请使用 edit`);
+			}
+		}
+
+		writeAccounts(vaultPath, [...accounts, ...newAccounts], secret);
+	},
+
+	async remove(vaultPath, args) {
+		if (!args[0]) {
+			throw new Error('请提供要删除账号的 _id、username 或 #序号');
+		}
+		const secret = await getSecret();
+		const accounts = readAccounts(vaultPath, secret);
+		const index = findAccountIndex(accounts, args[0]);
+		if (index === -1) {
+			throw new Error(`未找到账号 ${args[0]}`);
+		}
+
+		const [removed] = accounts.splice(index, 1);
+		console.log(`[保险库] 删除账号 ${removed.username || removed._id}`);
+		writeAccounts(vaultPath, accounts, secret);
+	},
+
+	async edit(vaultPath) {
+		const secret = await getSecret();
+		const accounts = readAccounts(vaultPath, secret);
+		const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+
+		// 明文只写入仅所有者可读的临时目录，编辑结束后立即删除
+		const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anyrouter-vault-'));
+		const tempPath = path.join(tempDir, 'accounts.yaml');
+		try {
+			fs.writeFileSync(tempPath, yaml.dump(accounts), { encoding: 'utf8', mode: 0o600 });
+			const result = spawnSync(`${editor} "${tempPath}"`, { stdio: 'inherit', shell: true });
+			if (result.status !== 0) {
+				throw new Error(`编辑器 ${editor} 异常退出，保险库未修改`);
+			}
+
+			const edited = yaml.load(fs.readFileSync(tempPath, 'utf8')) || [];
+			if (!Array.isArray(edited)) {
+				throw new Error('账号配置必须是数组，保险库未修改');
+			}
+			writeAccounts(vaultPath, edited, secret);
+		} finally {
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		}
+	},
+};
+
+/**
+ * 主函数
+ */
+async function main() {
+	const { command, args, options } = parseArgs(process.argv.slice(2));
+	const handler = COMMANDS[command];
+	if (!handler) {
+		console.log(USAGE);
+		process.exit(command ? 1 : 0);
+	}
+
+	const vaultPath = options.vault || process.env.ANYROUTER_ACCOUNTS_FILE || DEFAULT_VAULT_PATH;
+	await handler(vaultPath, args, options);
+}
+
+main().catch((error) => {
+	console.error(`[失败] ${error.message}`);
+	process.exit(1);
+});
@@ -0,0 +1,85 @@
+/**
+ * 异步工具函数
+ */
+
+/**
+ * 等待指定毫秒数
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} [signal] - 中止时提前结束等待，并以 signal.reason 拒绝
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+	if (!signal) {
+		return new Promise((resolve) => setTimeout(resolve, ms));
+	}
+
+	return new Promise((resolve, reject) => {
+		if (signal.aborted) {
+			reject(signal.reason);
+			return;
+		}
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		const timer = setTimeout(() => {
+			signal.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		signal.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+/**
+ * 为 Promise 添加超时限制，超时后抛出错误
+ * 注意：超时只会让调用方停止等待，不会中断原任务本身，需要中断任务时使用 runWithDeadline
+ * @param {Promise} promise - 要等待的 Promise
+ * @param {number} ms - 超时时间（毫秒），为 0 或未设置时不限制
+ * @param {string} [message] - 超时错误信息
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, message) {
+	if (!ms || ms <= 0) {
+		return promise;
+	}
+
+	let timer = null;
+	const timeoutPromise = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const error = new Error(message || `操作超时 (${ms}ms)`);
+			error.name = 'TimeoutError';
+			reject(error);
+		}, ms);
+	});
+
+	return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 在限定时间内执行任务，超时后中止传给任务的 AbortSignal 并抛出错误
+ * 任务应在 signal 中止时释放资源（如关闭浏览器上下文），并放弃中止后才得到的结果
+ * @param {Function} task - (signal) => Promise
+ * @param {number} ms - 超时时间（毫秒），为 0 或未设置时不限制
+ * @param {string} [message] - 超时错误信息
+ * @returns {Promise}
+ */
+export function runWithDeadline(task, ms, message) {
+	const controller = new AbortController();
+	if (!ms || ms <= 0) {
+		return task(controller.signal);
+	}
+
+	let timer = null;
+	const timeoutPromise = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const error = new Error(message || `操作超时 (${ms}ms)`);
+			error.name = 'TimeoutError';
+			controller.abort(error);
+			reject(error);
+		}, ms);
+	});
+
+	return Promise.race([task(controller.signal), timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+export default { sleep, withTimeout, runWithDeadline };
@@ -0,0 +1,241 @@
+/**
+ * 浏览器池
+ * 在整个签到过程中复用少量浏览器进程，为每次签到分配相互隔离的上下文，
+ * 避免每个账号每个平台都重新启动 Chromium
+ *
+ * - 非持久化上下文：从池中按启动参数分组复用浏览器，每次分配独立的 BrowserContext
+ * - 持久化上下文（launchPersistentContext）：与用户数据目录绑定，无法共享进程，单独启动并登记以便统一关闭
+ * - 浏览器使用次数达到上限或崩溃断开后会被回收，下次分配时重新启动
+ */
+
+import { chromium } from 'playwright';
+
+class BrowserPool {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.maxBrowsers=2] - 每组启动参数最多同时存在的浏览器进程数
+	 * @param {number} [options.maxUses=20] - 单个浏览器进程最多分配的上下文次数，达到后回收
+	 */
+	constructor({ maxBrowsers = 2, maxUses = 20 } = {}) {
+		this.maxBrowsers = maxBrowsers;
+		this.maxUses = maxUses;
+		// 池中的浏览器 { key, browser, ready, uses, active, retired }
+		this.entries = [];
+		// 单独启动的持久化上下文
+		this.persistentContexts = new Set();
+	}
+
+	/**
+	 * 根据启动参数生成分组 key
+	 * @param {Object} launchOptions - chromium.launch 参数
+	 * @returns {string}
+	 */
+	getKey(launchOptions) {
+		return JSON.stringify(launchOptions);
+	}
+
+	/**
+	 * 启动新的浏览器并立即加入池中（启动完成前即可被分配，避免并发分配时重复启动）
+	 * @param {string} key - 分组 key
+	 * @param {Object} launchOptions - chromium.launch 参数
+	 * @returns {Object} - 池条目，entry.ready 在浏览器启动完成后 resolve
+	 */
+	launchEntry(key, launchOptions) {
+		console.log('[浏览器池] 启动新的浏览器进程...');
+		const entry = { key, browser: null, ready: null, uses: 0, active: 0, retired: false };
+
+		entry.ready = chromium.launch(launchOptions).then(
+			(browser) => {
+				entry.browser = browser;
+				// 浏览器崩溃或被关闭时从池中移除
+				browser.on('disconnected', () => {
+					entry.retired = true;
+					this.entries = this.entries.filter((e) => e !== entry);
+				});
+				return browser;
+			},
+			(error) => {
+				entry.retired = true;
+				this.entries = this.entries.filter((e) => e !== entry);
+				throw error;
+			}
+		);
+
+		this.entries.push(entry);
+		return entry;
+	}
+
+	/**
+	 * 选择可用的浏览器，必要时启动新的浏览器
+	 * @param {Object} launchOptions - chromium.launch 参数
+	 * @returns {Object} - 池条目
+	 */
+	getEntry(launchOptions) {
+		const key = this.getKey(launchOptions);
+		const available = this.entries
+			.filter((e) => e.key === key && !e.retired && (!e.browser || e.browser.isConnected()))
+			.sort((a, b) => a.active - b.active);
+
+		// 有空闲浏览器，或同组浏览器数量已达上限时复用负载最低的浏览器
+		if (
+			available.length > 0 &&
+			(available[0].active === 0 || available.length >= this.maxBrowsers)
+		) {
+			return available[0];
+		}
+
+		return this.launchEntry(key, launchOptions);
+	}
+
+	/**
+	 * 分配一个隔离的浏览器上下文
+	 * @param {Object} [launchOptions] - chromium.launch 参数，相同参数的请求共享浏览器进程
+	 * @param {Object} [contextOptions] - browser.newContext 参数
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - 中止时关闭上下文
+	 * @param {boolean} [options.retried] - 内部使用，浏览器崩溃后只重试一次
+	 * @returns {Promise<{context: import('playwright').BrowserContext, release: Function}>}
+	 */
+	async acquireContext(launchOptions = {}, contextOptions = {}, { signal, retried = false } = {}) {
+		signal?.throwIfAborted();
+
+		// 同步占用浏览器，保证并发分配时计数准确
+		const entry = this.getEntry(launchOptions);
+		entry.uses++;
+		entry.active++;
+		if (entry.uses >= this.maxUses) {
+			entry.retired = true;
+		}
+
+		let context;
+		try {
+			const browser = await entry.ready;
+			context = await browser.newContext(contextOptions);
+		} catch (error) {
+			entry.active--;
+			// 其他账号可能仍在使用该浏览器，只停止分配，等其余上下文都释放后再关闭
+			entry.retired = true;
+			if (entry.active <= 0) {
+				await this.retire(entry);
+			}
+			if (retried) {
+				throw error;
+			}
+			// 浏览器可能已崩溃，回收后重新启动一次
+			console.log(`[浏览器池] 创建上下文失败，重新启动浏览器: ${error.message}`);
+			return this.acquireContext(launchOptions, contextOptions, { signal, retried: true });
+		}
+
+		const detach = this.closeOnAbort(context, signal);
+		let released = false;
+		const release = async () => {
+			if (released) return;
+			released = true;
+
+			detach();
+			await context.close().catch(() => {});
+			entry.active--;
+
+			if (entry.retired && entry.active <= 0) {
+				await this.retire(entry);
+			}
+		};
+
+		// 等待创建期间已中止
+		if (signal?.aborted) {
+			await release();
+			throw signal.reason;
+		}
+
+		return { context, release };
+	}
+
+	/**
+	 * 启动持久化上下文（与用户数据目录绑定，不参与复用）
+	 * @param {string} userDataDir - 用户数据目录
+	 * @param {Object} options - chromium.launchPersistentContext 参数
+	 * @param {AbortSignal} [signal] - 中止时关闭上下文
+	 * @returns {Promise<import('playwright').BrowserContext>}
+	 */
+	async launchPersistentContext(userDataDir, options, signal) {
+		signal?.throwIfAborted();
+
+		const context = await chromium.launchPersistentContext(userDataDir, options);
+		this.persistentContexts.add(context);
+		const detach = this.closeOnAbort(context, signal);
+		context.on('close', () => {
+			detach();
+			this.persistentContexts.delete(context);
+		});
+
+		if (signal?.aborted) {
+			await context.close().catch(() => {});
+			throw signal.reason;
+		}
+		return context;
+	}
+
+	/**
+	 * signal 中止时（如签到步骤超时）关闭上下文，使仍在运行的登录流程尽快失败退出
+	 * @param {import('playwright').BrowserContext} context - 浏览器上下文
+	 * @param {AbortSignal} [signal]
+	 * @returns {Function} - 取消监听
+	 */
+	closeOnAbort(context, signal) {
+		if (!signal) {
+			return () => {};
+		}
+
+		const onAbort = () => {
+			console.log('[浏览器池] 任务已中止，关闭浏览器上下文');
+			context.close().catch(() => {});
+		};
+		signal.addEventListener('abort', onAbort, { once: true });
+		return () => signal.removeEventListener('abort', onAbort);
+	}
+
+	/**
+	 * 回收浏览器进程
+	 * @param {Object} entry - 池条目
+	 */
+	async retire(entry) {
+		entry.retired = true;
+		this.entries = this.entries.filter((e) => e !== entry);
+		if (entry.browser) {
+			await entry.browser.close().catch(() => {});
+		}
+	}
+
+	/**
+	 * 关闭池中所有浏览器和持久化上下文
+	 */
+	async close() {
+		const entries = [...this.entries];
+		const contexts = [...this.persistentContexts];
+		this.entries = [];
+		this.persistentContexts.clear();
+
+		await Promise.all([
+			...entries.map((e) => e.ready.then((browser) => browser.close()).catch(() => {})),
+			...contexts.map((c) => c.close().catch(() => {})),
+		]);
+
+		if (entries.length > 0 || contexts.length > 0) {
+			console.log(
+				`[浏览器池] 已关闭 ${entries.length} 个浏览器和 ${contexts.length} 个持久化上下文`
+			);
+		}
+	}
+}
+
+/**
+ * 默认浏览器池，整个进程共享
+ * 可通过 BROWSER_POOL_SIZE 和 BROWSER_MAX_USES 环境变量调整
+ */
+export const browserPool = new BrowserPool({
+	maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+	maxUses: parseInt(process.env.BROWSER_MAX_USES) || 20,
+});
+
+export { BrowserPool };
+export default browserPool;
@@ -0,0 +1,63 @@
+/**
+ * 签到日计算
+ * 平台按固定时区的自然日重置签到，判断“今天是否已签到”时需要在该时区下比较日期，
+ * 而不是使用运行环境（如 GitHub Actions 的 UTC）的本地日期
+ */
+
+/**
+ * 默认签到重置时区
+ */
+export const DEFAULT_RESET_TIMEZONE = 'Asia/Shanghai';
+
+/**
+ * 获取签到重置时区，可通过 CHECKIN_RESET_TIMEZONE 环境变量配置
+ * @returns {string} - IANA 时区名称，配置无效时回退到默认时区
+ */
+export function getResetTimezone() {
+	const timeZone = process.env.CHECKIN_RESET_TIMEZONE;
+	if (!timeZone) {
+		return DEFAULT_RESET_TIMEZONE;
+	}
+
+	try {
+		new Intl.DateTimeFormat('en-CA', { timeZone });
+		return timeZone;
+	} catch {
+		console.error(
+			`[错误] CHECKIN_RESET_TIMEZONE 时区无效: ${timeZone}，使用默认时区 ${DEFAULT_RESET_TIMEZONE}`
+		);
+		return DEFAULT_RESET_TIMEZONE;
+	}
+}
+
+/**
+ * 获取时间戳在指定时区下所属的签到日
+ * @param {number} timestamp - 毫秒时间戳
+ * @param {string} [timeZone] - IANA 时区名称
+ * @returns {string} - 形如 2024-01-31 的日期
+ */
+export function getCheckinDay(timestamp, timeZone = getResetTimezone()) {
+	// en-CA 的日期格式为 YYYY-MM-DD
+	return new Intl.DateTimeFormat('en-CA', {
+		timeZone,
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+	}).format(new Date(timestamp));
+}
+
+/**
+ * 判断时间戳是否属于当前签到日
+ * @param {number} timestamp - 毫秒时间戳
+ * @param {string} [timeZone] - IANA 时区名称
+ * @param {number} [now] - 当前时间戳
+ * @returns {boolean}
+ */
+export function isToday(timestamp, timeZone = getResetTimezone(), now = Date.now()) {
+	if (!timestamp) {
+		return false;
+	}
+	return getCheckinDay(timestamp, timeZone) === getCheckinDay(now, timeZone);
+}
+
+export default { DEFAULT_RESET_TIMEZONE, getResetTimezone, getCheckinDay, isToday };
@@ -0,0 +1,9 @@
+/**
+ * 安装 console 桥接的副作用模块
+ * 入口文件把它作为第一个 import，ES 模块按导入顺序执行，其他模块加载时的输出也会经过日志模块，
+ * 按 LOG_LEVEL、LOG_FORMAT 输出并隐藏敏感信息
+ */
+
+import { installConsoleBridge } from './logger.js';
+
+installConsoleBridge();
@@ -0,0 +1,314 @@
+/**
+ * 日志模块
+ * - 级别：debug / info / warn / error / silent，通过 LOG_LEVEL 环境变量配置，默认 info
+ * - 格式：text（默认，与原 console 输出一致）或 json（每行一个 JSON 对象），通过 LOG_FORMAT 环境变量配置
+ * - 上下文：logger.child({ account }) 创建带固定上下文的子日志；withLogContext 为一段异步流程设置上下文，
+ *   流程内所有日志（包括通过 console 输出的日志）都会带上该上下文
+ * - 脱敏：自动隐藏 session、密码、cookie、token、设备验证码等敏感信息，以及通过 registerSecret 登记的值
+ *
+ * installConsoleBridge 把 console.log / info / warn / error / debug 转发到日志模块，
+ * 尚未改用 logger 的模块的输出同样受级别、格式和脱敏控制
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+
+/**
+ * 日志级别
+ */
+export const LogLevel = {
+	DEBUG: 'debug',
+	INFO: 'info',
+	WARN: 'warn',
+	ERROR: 'error',
+	SILENT: 'silent',
+};
+
+/**
+ * 日志格式
+ */
+export const LogFormat = {
+	TEXT: 'text',
+	JSON: 'json',
+};
+
+const LEVEL_VALUES = {
+	[LogLevel.DEBUG]: 10,
+	[LogLevel.INFO]: 20,
+	[LogLevel.WARN]: 30,
+	[LogLevel.ERROR]: 40,
+	[LogLevel.SILENT]: 100,
+};
+
+/**
+ * 脱敏后的占位文本
+ */
+const REDACTED = '[已隐藏]';
+
+/**
+ * 对象中需要隐藏值的字段名
+ */
+const SENSITIVE_KEY_PATTERN =
+	/session|password|passwd|cookie|token|secret|authorization|device_code|user_code|api_key|otp/i;
+
+/**
+ * 文本中的敏感信息模式
+ */
+const SENSITIVE_TEXT_PATTERNS = [
+	// JSON 中的敏感字段："session": "..."
+	{
+		pattern:
+			/("[\w-]*(?:session|password|passwd|cookie|token|secret|authorization|device_code|user_code|api_key)[\w-]*"\s*:\s*)"(?:[^"\\]|\\.)*"/gi,
+		replacement: `$1"${REDACTED}"`,
+	},
+	// cookie 和查询参数：session=...; token=...; code=...（OAuth 授权码），errorCode=、statusCode= 等诊断字段不隐藏
+	{
+		pattern:
+			/((?:\b[\w-]*(?:session|token|secret|password|device_code|user_code)[\w-]*|(?<![\w-])code)=)[^;&\s"']+/gi,
+		replacement: `$1${REDACTED}`,
+	},
+	// Authorization 头
+	{ pattern: /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, replacement: `$1 ${REDACTED}` },
+	// 同时包含大写字母和数字的长串（new-api 的 session、各类 token），保留前 6 位便于排查
+	{
+		pattern: /\b(?=[\w-]*\d)(?=[\w-]*[A-Z])([\w-]{6})[\w-]{34,}={0,2}(?:\|[\w=-]+)*/g,
+		replacement: '$1…',
+	},
+];
+
+/**
+ * 通过 registerSecret 登记的敏感值（如账号密码、session），按长度倒序替换
+ */
+const registeredSecrets = new Set();
+
+/**
+ * 当前异步流程的日志上下文
+ */
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * 原始的 console 方法，安装 console 转发前保存
+ */
+let originalConsole = null;
+
+/**
+ * 登记需要隐藏的值，日志中出现时替换为占位文本
+ * @param {string} value - 少于 4 个字符的值不登记，避免误伤普通文本
+ */
+export function registerSecret(value) {
+	if (typeof value === 'string' && value.length >= 4) {
+		registeredSecrets.add(value);
+	}
+}
+
+/**
+ * 隐藏文本中的敏感信息
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactText(text) {
+	let result = text;
+	for (const secret of [...registeredSecrets].sort((a, b) => b.length - a.length)) {
+		result = result.split(secret).join(REDACTED);
+	}
+	for (const { pattern, replacement } of SENSITIVE_TEXT_PATTERNS) {
+		result = result.replace(pattern, replacement);
+	}
+	return result;
+}
+
+/**
+ * 隐藏任意值中的敏感信息，对象按字段名隐藏，字符串按模式隐藏
+ * @param {*} value
+ * @param {WeakSet} [seen] - 已处理的对象，避免循环引用
+ * @returns {*}
+ */
+export function redact(value, seen = new WeakSet()) {
+	if (typeof value === 'string') {
+		return redactText(value);
+	}
+	if (value instanceof Error) {
+		return redactText(value.stack || value.message);
+	}
+	if (!value || typeof value !== 'object') {
+		return value;
+	}
+	if (seen.has(value)) {
+		return '[循环引用]';
+	}
+	seen.add(value);
+
+	if (Array.isArray(value)) {
+		return value.map((item) => redact(item, seen));
+	}
+	return Object.fromEntries(
+		Object.entries(value).map(([key, item]) => [
+			key,
+			SENSITIVE_KEY_PATTERN.test(key) && item ? REDACTED : redact(item, seen),
+		])
+	);
+}
+
+/**
+ * 读取日志级别
+ * @returns {string}
+ */
+function getLevel() {
+	const level = (process.env.LOG_LEVEL || LogLevel.INFO).toLowerCase();
+	return LEVEL_VALUES[level] ? level : LogLevel.INFO;
+}
+
+/**
+ * 读取日志格式
+ * @returns {string}
+ */
+function getFormat() {
+	return process.env.LOG_FORMAT === LogFormat.JSON ? LogFormat.JSON : LogFormat.TEXT;
+}
+
+/**
+ * 把参数格式化为一条消息，与 console.log 的格式化方式一致
+ * @param {Array} args
+ * @returns {string}
+ */
+function formatArgs(args) {
+	return util.format(...args.map((arg) => (typeof arg === 'object' ? redact(arg) : arg)));
+}
+
+/**
+ * 文本格式的上下文前缀，如 [alice | AnyRouter]
+ * @param {Object} context
+ * @returns {string}
+ */
+function formatContextPrefix(context) {
+	const values = Object.values(context).filter((v) => v !== undefined && v !== null && v !== '');
+	return values.length > 0 ? `[${values.join(' | ')}] ` : '';
+}
+
+/**
+ * 输出一条日志
+ * @param {string} level - 日志级别
+ * @param {Object} context - 上下文
+ * @param {Array} args - console.log 风格的参数
+ */
+function write(level, context, args) {
+	if (LEVEL_VALUES[level] < LEVEL_VALUES[getLevel()]) {
+		return;
+	}
+
+	const message = redactText(formatArgs(args));
+	const fullContext = { ...contextStorage.getStore(), ...context };
+	const stream =
+		LEVEL_VALUES[level] >= LEVEL_VALUES[LogLevel.WARN] ? process.stderr : process.stdout;
+
+	if (getFormat() === LogFormat.JSON) {
+		const entry = {
+			ts: new Date().toISOString(),
+			level,
+			...redact(fullContext),
+			msg: message.trim(),
+		};
+		stream.write(`${JSON.stringify(entry)}\n`);
+		return;
+	}
+
+	// 保留消息开头的空行，上下文前缀放在正文前
+	const [, leading, body] = /^(\n*)([\s\S]*)$/.exec(message);
+	stream.write(`${leading}${formatContextPrefix(fullContext)}${body}\n`);
+}
+
+/**
+ * 日志记录器
+ */
+export class Logger {
+	/**
+	 * @param {Object} [context] - 固定上下文，如 { account, platform }
+	 */
+	constructor(context = {}) {
+		this.context = context;
+	}
+
+	/**
+	 * 创建带附加上下文的子日志
+	 * @param {Object} context
+	 * @returns {Logger}
+	 */
+	child(context) {
+		return new Logger({ ...this.context, ...context });
+	}
+
+	/**
+	 * 判断某个级别的日志是否会输出，用于跳过代价较高的日志内容构造
+	 * @param {string} level
+	 * @returns {boolean}
+	 */
+	isLevelEnabled(level) {
+		return LEVEL_VALUES[level] >= LEVEL_VALUES[getLevel()];
+	}
+
+	debug(...args) {
+		write(LogLevel.DEBUG, this.context, args);
+	}
+
+	info(...args) {
+		write(LogLevel.INFO, this.context, args);
+	}
+
+	warn(...args) {
+		write(LogLevel.WARN, this.context, args);
+	}
+
+	error(...args) {
+		write(LogLevel.ERROR, this.context, args);
+	}
+}
+
+/**
+ * 根日志
+ */
+export const logger = new Logger();
+
+/**
+ * 在指定上下文中执行异步流程，流程内的日志都会带上该上下文（与外层上下文合并）
+ * @param {Object} context - 如 { account: 'alice' }
+ * @param {Function} fn - () => Promise<T>
+ * @returns {Promise<T>}
+ */
+export function withLogContext(context, fn) {
+	return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * 把 console 的输出转发到日志模块，重复调用不会重复安装
+ */
+export function installConsoleBridge() {
+	if (originalConsole) {
+		return;
+	}
+
+	originalConsole = {
+		log: console.log,
+		info: console.info,
+		warn: console.warn,
+		error: console.error,
+		debug: console.debug,
+	};
+	console.log = (...args) => logger.info(...args);
+	console.info = (...args) => logger.info(...args);
+	console.warn = (...args) => logger.warn(...args);
+	console.error = (...args) => logger.error(...args);
+	console.debug = (...args) => logger.debug(...args);
+}
+
+/**
+ * 恢复原始的 console 方法
+ */
+export function uninstallConsoleBridge() {
+	if (!originalConsole) {
+		return;
+	}
+	Object.assign(console, originalConsole);
+	originalConsole = null;
+}
+
+export default logger;
@@ -0,0 +1,58 @@
+/**
+ * 按主机限速
+ * 保证对同一主机的两次请求之间至少间隔指定时间，不同主机之间互不影响
+ */
+
+import { sleep } from './async.js';
+
+class HostRateLimiter {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.minInterval=5000] - 同一主机两次请求的最小间隔（毫秒）
+	 * @param {number} [options.jitter=2000] - 在最小间隔之上附加的随机延迟上限（毫秒）
+	 */
+	constructor({ minInterval = 5000, jitter = 2000 } = {}) {
+		this.minInterval = minInterval;
+		this.jitter = jitter;
+		// 每个主机下一次允许请求的时间戳
+		this.nextSlots = new Map();
+	}
+
+	/**
+	 * 从 URL 或主机名中提取主机名
+	 * @param {string} target - URL 或主机名
+	 * @returns {string}
+	 */
+	getHost(target) {
+		try {
+			return new URL(target).hostname;
+		} catch {
+			return target;
+		}
+	}
+
+	/**
+	 * 等待直到可以向目标主机发起请求
+	 * 调用时立即预约时间槽，因此并发调用也会按顺序错开
+	 * @param {string} target - URL 或主机名
+	 * @returns {Promise<number>} - 实际等待的毫秒数
+	 */
+	async acquire(target) {
+		const host = this.getHost(target);
+		const now = Date.now();
+		const slot = Math.max(now, this.nextSlots.get(host) || 0);
+		const spacing = this.minInterval + Math.random() * this.jitter;
+
+		this.nextSlots.set(host, slot + spacing);
+
+		const waitTime = slot - now;
+		if (waitTime > 0) {
+			console.log(`[限速] ${host}: 等待 ${(waitTime / 1000).toFixed(1)} 秒后发起请求...`);
+			await sleep(waitTime);
+		}
+
+		return waitTime;
+	}
+}
+
+export default HostRateLimiter;
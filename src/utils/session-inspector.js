@@ -0,0 +1,189 @@
+/**
+ * new-api session 解析工具
+ * session cookie 由 gorilla/securecookie 生成，格式为 base64("签发时间|base64(gob 编码的会话数据)|签名")，
+ * 会话数据是 map[interface{}]interface{}，包含 id、username、role、status 等字段
+ *
+ * 这里只解码，不校验签名（没有服务端密钥），解析结果只能用于推断过期时间和用户 ID，不能作为身份凭据
+ */
+
+/**
+ * new-api 的 session 有效期（秒），与服务端 cookie MaxAge 一致
+ */
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+/**
+ * gob 数据读取器，只支持会话数据中出现的基础类型
+ */
+class GobReader {
+	constructor(buffer) {
+		this.buffer = buffer;
+		this.offset = 0;
+	}
+
+	/**
+	 * 读取无符号整数：小于 128 时占一个字节，否则首字节为字节数的相反数，随后是大端序的值
+	 * @returns {number}
+	 */
+	readUint() {
+		const first = this.buffer[this.offset++];
+		if (first === undefined) {
+			throw new Error('gob 数据不完整');
+		}
+		if (first < 0x80) {
+			return first;
+		}
+
+		const length = 256 - first;
+		if (length > 8 || this.offset + length > this.buffer.length) {
+			throw new Error('gob 整数格式错误');
+		}
+
+		let value = 0;
+		for (let i = 0; i < length; i++) {
+			value = value * 256 + this.buffer[this.offset++];
+		}
+		return value;
+	}
+
+	/**
+	 * 读取有符号整数：最低位为符号位
+	 * @returns {number}
+	 */
+	readInt() {
+		const value = this.readUint();
+		const half = Math.floor(value / 2);
+		return value % 2 === 1 ? -half - 1 : half;
+	}
+
+	/**
+	 * 读取字符串
+	 * @returns {string}
+	 */
+	readString() {
+		const length = this.readUint();
+		if (this.offset + length > this.buffer.length) {
+			throw new Error('gob 字符串长度错误');
+		}
+		const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+		this.offset += length;
+		return value;
+	}
+
+	/**
+	 * 读取 interface{} 值：类型名、类型 ID、值长度、值
+	 * @returns {*} - 不支持的类型返回 undefined
+	 */
+	readInterface() {
+		const typeName = this.readString();
+		if (!typeName) {
+			return null;
+		}
+
+		this.readInt(); // 类型 ID
+		const length = this.readUint();
+		const end = this.offset + length;
+		if (end > this.buffer.length) {
+			throw new Error('gob 值长度错误');
+		}
+
+		let value;
+		this.readUint(); // 非结构体值前的占位字节
+		if (typeName === 'string') {
+			value = this.readString();
+		} else if (/^int(8|16|32|64)?$/.test(typeName)) {
+			value = this.readInt();
+		} else if (/^uint(8|16|32|64)?$/.test(typeName)) {
+			value = this.readUint();
+		} else if (typeName === 'bool') {
+			value = this.readUint() !== 0;
+		}
+
+		this.offset = end;
+		return value;
+	}
+
+	/**
+	 * 读取会话数据中的 map[interface{}]interface{}
+	 * gob 流由若干消息组成，每条消息以长度和类型 ID 开头，类型 ID 为负数的是类型定义
+	 * @returns {Object}
+	 */
+	readSessionValues() {
+		while (this.offset < this.buffer.length) {
+			const length = this.readUint();
+			const end = this.offset + length;
+			const typeId = this.readInt();
+
+			if (typeId < 0) {
+				this.offset = end;
+				continue;
+			}
+
+			this.readUint(); // 非结构体值前的占位字节
+			const count = this.readUint();
+			const values = {};
+			for (let i = 0; i < count; i++) {
+				const key = this.readInterface();
+				const value = this.readInterface();
+				if (key !== null && key !== undefined) {
+					values[key] = value;
+				}
+			}
+			return values;
+		}
+
+		throw new Error('gob 数据中没有会话值');
+	}
+}
+
+/**
+ * 解码 new-api session cookie
+ * @param {string} session - session cookie 值
+ * @returns {{issuedAt: number, expiresAt: number, userId: string|null, username: string|null, role: number|null, status: number|null, values: Object}|null} - 时间为毫秒时间戳，无法解析时返回 null
+ */
+export function decodeSession(session) {
+	if (!session || typeof session !== 'string') {
+		return null;
+	}
+
+	try {
+		// Buffer 的 base64 解码同时兼容标准和 URL 安全字符集
+		const decoded = Buffer.from(session, 'base64');
+		const firstSep = decoded.indexOf('|');
+		const secondSep = decoded.indexOf('|', firstSep + 1);
+		if (firstSep <= 0 || secondSep <= firstSep) {
+			return null;
+		}
+
+		const timestamp = parseInt(decoded.toString('latin1', 0, firstSep), 10);
+		if (!Number.isFinite(timestamp)) {
+			return null;
+		}
+
+		const payload = Buffer.from(decoded.toString('latin1', firstSep + 1, secondSep), 'base64');
+		const values = new GobReader(payload).readSessionValues();
+
+		const issuedAt = timestamp * 1000;
+		return {
+			issuedAt,
+			expiresAt: issuedAt + SESSION_MAX_AGE * 1000,
+			userId: values.id !== undefined && values.id !== null ? String(values.id) : null,
+			username: values.username ?? null,
+			role: values.role ?? null,
+			status: values.status ?? null,
+			values,
+		};
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * 获取 session 的过期时间
+ * @param {string} session - session cookie 值
+ * @returns {number|null} - 毫秒时间戳，无法解析时返回 null
+ */
+export function getSessionExpireTime(session) {
+	return decodeSession(session)?.expiresAt ?? null;
+}
+
+export default { SESSION_MAX_AGE, decodeSession, getSessionExpireTime };
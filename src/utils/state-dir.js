@@ -0,0 +1,36 @@
+/**
+ * 本地状态目录
+ * 签到过程中需要跨次运行保留的数据（余额流水等）统一保存在该目录下，
+ * 在 GitHub Actions 中通过 actions/cache 在多次运行之间恢复
+ */
+
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * 默认状态目录（相对于工作目录）
+ */
+export const DEFAULT_STATE_DIR = '.checkin-state';
+
+/**
+ * 获取状态目录，可通过 CHECKIN_STATE_DIR 环境变量修改
+ * @returns {string} - 绝对路径
+ */
+export function getStateDir() {
+	return path.resolve(process.cwd(), process.env.CHECKIN_STATE_DIR || DEFAULT_STATE_DIR);
+}
+
+/**
+ * 获取状态目录下的文件路径，并确保目录存在
+ * @param {string} fileName - 文件名
+ * @returns {string}
+ */
+export function resolveStatePath(fileName) {
+	const stateDir = getStateDir();
+	if (!fs.existsSync(stateDir)) {
+		fs.mkdirSync(stateDir, { recursive: true });
+	}
+	return path.join(stateDir, fileName);
+}
+
+export default { DEFAULT_STATE_DIR, getStateDir, resolveStatePath };
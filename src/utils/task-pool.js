@@ -0,0 +1,30 @@
+/**
+ * 并发任务池
+ * 以固定并发数处理任务列表，结果按输入顺序返回
+ */
+
+/**
+ * 以有限并发执行任务
+ * @param {Array} items - 任务输入列表
+ * @param {number} concurrency - 最大并发数（小于 1 时按 1 处理）
+ * @param {Function} worker - 任务处理函数 (item, index) => Promise<any>
+ * @returns {Promise<Array>} - 与 items 顺序一致的结果数组
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+	const results = new Array(items.length);
+	const limit = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+	let nextIndex = 0;
+
+	const runWorker = async () => {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+			results[index] = await worker(items[index], index);
+		}
+	};
+
+	await Promise.all(Array.from({ length: limit }, runWorker));
+
+	return results;
+}
+
+export default { runWithConcurrency };
@@ -0,0 +1,229 @@
+/**
+ * 加密保险库文件
+ * 使用 AES-256-GCM 认证加密，密钥由口令或密钥文件经 scrypt 派生；
+ * 文件头（格式、版本、派生参数）作为附加认证数据，篡改任何部分都会导致解密失败
+ *
+ * 文件格式（JSON）:
+ * {
+ *   "format": "anyrouter-vault", "version": 1,
+ *   "kdf": { "name": "scrypt", "salt": "<base64>", "N": 32768, "r": 8, "p": 1 },
+ *   "cipher": "aes-256-gcm", "iv": "<base64>", "tag": "<base64>", "data": "<base64>"
+ * }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * 保险库文件格式标识
+ */
+export const VAULT_FORMAT = 'anyrouter-vault';
+
+/**
+ * 当前保险库版本
+ */
+export const VAULT_VERSION = 1;
+
+/**
+ * scrypt 默认参数，派生一次约需 32MB 内存
+ */
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * scrypt 参数上限，派生参数来自文件，超出上限的文件不尝试解密，
+ * 避免被篡改的文件让一次派生占用大量内存或 CPU（上限下约需 256MB 内存）
+ */
+const MAX_KDF_PARAMS = { N: 2 ** 17, r: 16, p: 4 };
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+/**
+ * 判断解析后的 JSON 是否为保险库文件
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isVault(data) {
+	return Boolean(data) && typeof data === 'object' && data.format === VAULT_FORMAT;
+}
+
+/**
+ * 读取密钥文件，忽略末尾的换行
+ * @param {string} keyFile - 密钥文件路径
+ * @returns {Buffer}
+ */
+export function readKeyFile(keyFile) {
+	const content = fs.readFileSync(keyFile);
+	let end = content.length;
+	while (end > 0 && (content[end - 1] === 0x0a || content[end - 1] === 0x0d)) {
+		end--;
+	}
+	if (end === 0) {
+		throw new Error(`密钥文件 ${keyFile} 为空`);
+	}
+	return content.subarray(0, end);
+}
+
+/**
+ * 检查文件中的派生参数：N 为 2 的幂，N、r、p 都不超过上限，salt 为 base64 字符串
+ * @param {Object} kdf - 派生参数 { salt, N, r, p }
+ * @throws {Error} - 参数缺失或超出允许范围时抛出
+ */
+function validateKdfParams(kdf) {
+	const { salt, N, r, p } = kdf;
+	const valid =
+		typeof salt === 'string' &&
+		salt.length > 0 &&
+		Number.isInteger(N) &&
+		N > 1 &&
+		N <= MAX_KDF_PARAMS.N &&
+		(N & (N - 1)) === 0 &&
+		Number.isInteger(r) &&
+		r >= 1 &&
+		r <= MAX_KDF_PARAMS.r &&
+		Number.isInteger(p) &&
+		p >= 1 &&
+		p <= MAX_KDF_PARAMS.p;
+	if (!valid) {
+		throw new Error(
+			`保险库派生参数超出允许范围: N=${N} r=${r} p=${p}（上限 N=${MAX_KDF_PARAMS.N} r=${MAX_KDF_PARAMS.r} p=${MAX_KDF_PARAMS.p}）`
+		);
+	}
+}
+
+/**
+ * 从口令或密钥内容派生加密密钥
+ * @param {string|Buffer} secret - 口令或密钥文件内容
+ * @param {Object} kdf - 派生参数 { salt, N, r, p }，salt 为 base64
+ * @returns {Buffer}
+ * @throws {Error} - 派生参数超出允许范围时抛出
+ */
+function deriveKey(secret, kdf) {
+	validateKdfParams(kdf);
+	const { N, r, p } = kdf;
+	return crypto.scryptSync(secret, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+		N,
+		r,
+		p,
+		maxmem: 256 * N * r,
+	});
+}
+
+/**
+ * 构造附加认证数据，覆盖文件头中影响解密的字段
+ * @param {Object} vault - 保险库文件
+ * @returns {Buffer}
+ */
+function getAad(vault) {
+	const { format, version, kdf, cipher } = vault;
+	return Buffer.from(JSON.stringify({ format, version, kdf, cipher }), 'utf8');
+}
+
+/**
+ * 加密数据
+ * @param {*} payload - 要加密的数据，序列化为 JSON
+ * @param {string|Buffer} secret - 口令或密钥文件内容
+ * @returns {Object} - 保险库文件内容
+ */
+export function encryptVault(payload, secret) {
+	if (!secret || secret.length === 0) {
+		throw new Error('口令或密钥不能为空');
+	}
+
+	const vault = {
+		format: VAULT_FORMAT,
+		version: VAULT_VERSION,
+		kdf: {
+			name: 'scrypt',
+			salt: crypto.randomBytes(SALT_LENGTH).toString('base64'),
+			...DEFAULT_KDF_PARAMS,
+		},
+		cipher: CIPHER,
+	};
+	const iv = crypto.randomBytes(IV_LENGTH);
+
+	const cipher = crypto.createCipheriv(CIPHER, deriveKey(secret, vault.kdf), iv);
+	cipher.setAAD(getAad(vault));
+	const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+	return {
+		...vault,
+		iv: iv.toString('base64'),
+		tag: cipher.getAuthTag().toString('base64'),
+		data: data.toString('base64'),
+	};
+}
+
+/**
+ * 解密数据
+ * @param {Object} vault - 保险库文件内容
+ * @param {string|Buffer} secret - 口令或密钥文件内容
+ * @returns {*} - 加密前的数据
+ * @throws {Error} - 格式不支持、口令错误或文件被篡改时抛出
+ */
+export function decryptVault(vault, secret) {
+	if (!isVault(vault)) {
+		throw new Error('不是保险库文件');
+	}
+	if (vault.version !== VAULT_VERSION || vault.cipher !== CIPHER || vault.kdf?.name !== 'scrypt') {
+		throw new Error(`不支持的保险库版本或加密方式: v${vault.version} ${vault.cipher}`);
+	}
+	if (!secret || secret.length === 0) {
+		throw new Error('口令或密钥不能为空');
+	}
+
+	const key = deriveKey(secret, vault.kdf);
+	let plaintext;
+	try {
+		const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(vault.iv, 'base64'));
+		decipher.setAAD(getAad(vault));
+		decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+		plaintext = Buffer.concat([
+			decipher.update(Buffer.from(vault.data, 'base64')),
+			decipher.final(),
+		]).toString('utf8');
+	} catch {
+		// GCM 认证失败时不区分口令错误和数据被篡改
+		throw new Error('解密失败，口令或密钥文件不正确，或文件已被篡改');
+	}
+
+	return JSON.parse(plaintext);
+}
+
+/**
+ * 读取并解密保险库文件
+ * @param {string} filePath - 文件路径
+ * @param {string|Buffer} secret - 口令或密钥文件内容
+ * @returns {*}
+ */
+export function readVaultFile(filePath, secret) {
+	return decryptVault(JSON.parse(fs.readFileSync(filePath, 'utf8')), secret);
+}
+
+/**
+ * 加密并写入保险库文件（先写临时文件再重命名，文件权限为仅所有者可读写）
+ * @param {string} filePath - 文件路径
+ * @param {*} payload - 要加密的数据
+ * @param {string|Buffer} secret - 口令或密钥文件内容
+ */
+export function writeVaultFile(filePath, payload, secret) {
+	const tempPath = `${filePath}.tmp`;
+	fs.writeFileSync(tempPath, JSON.stringify(encryptVault(payload, secret), null, 2), {
+		encoding: 'utf8',
+		mode: 0o600,
+	});
+	fs.renameSync(tempPath, filePath);
+}
+
+export default {
+	VAULT_FORMAT,
+	VAULT_VERSION,
+	isVault,
+	readKeyFile,
+	encryptVault,
+	decryptVault,
+	readVaultFile,
+	writeVaultFile,
+};
@@ -0,0 +1,48 @@
+/**
+ * 账号配置校验测试
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import { validateAccounts } from '../src/checkin/account-schema.js';
+
+describe('账号字段类型校验', () => {
+	test('类型错误时给出字段路径、期望类型和实际值', () => {
+		const { valid, errors } = validateAccounts([
+			{ username: 'alice', password: 'pw', account_type: '1' },
+		]);
+
+		expect(valid).toBe(false);
+		expect(errors).toEqual([{ path: '[0].account_type', message: '应为整数，实际为字符串 "1"' }]);
+	});
+
+	test('密码和 session 字段类型错误时不输出字段值', () => {
+		const { valid, errors } = validateAccounts([
+			{
+				username: 'alice',
+				password: 20240601,
+				session: 987654321,
+				agentrouter_session: ['leaked-session'],
+			},
+		]);
+
+		expect(valid).toBe(false);
+		expect(errors.map((e) => e.path)).toEqual([
+			'[0].password',
+			'[0].session',
+			'[0].agentrouter_session',
+		]);
+		for (const error of errors) {
+			expect(error.message).not.toMatch(/20240601|987654321|leaked-session/);
+		}
+		expect(errors[0].message).toBe('应为字符串，实际为整数');
+	});
+
+	test('旧版 api_user 字段按字符串校验', () => {
+		expect(
+			validateAccounts([{ username: 'alice', password: 'pw', api_user: '42' }]).errors
+		).toEqual([]);
+		expect(validateAccounts([{ username: 'alice', password: 'pw', api_user: 42 }]).valid).toBe(
+			false
+		);
+	});
+});
@@ -0,0 +1,108 @@
+/**
+ * 账号分片测试
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import {
+	HashRing,
+	getShardConfig,
+	parseShardSpec,
+	selectShardAccounts,
+} from '../src/checkin/account-shard.js';
+
+const ACCOUNTS = Array.from({ length: 200 }, (_, i) => ({ _id: `account-${i}` }));
+
+/**
+ * 计算每个账号在给定节点下的归属
+ */
+function assign(nodes) {
+	const ring = new HashRing(nodes);
+	return new Map(ACCOUNTS.map((account) => [account._id, ring.getNode(account._id)]));
+}
+
+describe('HashRing', () => {
+	test('同样的节点列表总是得到同样的分配，与节点顺序无关', () => {
+		const nodes = ['runner-a', 'runner-b', 'runner-c'];
+		expect(assign(nodes)).toEqual(assign(nodes));
+		expect(assign(nodes)).toEqual(assign([...nodes].reverse()));
+		expect(new HashRing([]).getNode('account-1')).toBeNull();
+	});
+
+	test('增加节点时只有分配给新节点的账号改变归属，且数量接近 1/N', () => {
+		const nodes = ['shard-1', 'shard-2', 'shard-3', 'shard-4'];
+		const before = assign(nodes);
+		const after = assign([...nodes, 'shard-5']);
+
+		const moved = ACCOUNTS.filter((a) => before.get(a._id) !== after.get(a._id));
+		for (const account of moved) {
+			expect(after.get(account._id)).toBe('shard-5');
+		}
+		// 理想情况下移动 200 / 5 = 40 个账号，虚拟节点带来的偏差不超过一半
+		expect(moved.length).toBeGreaterThan(20);
+		expect(moved.length).toBeLessThanOrEqual(60);
+	});
+
+	test('减少节点时只有被移除节点的账号重新分配', () => {
+		const nodes = ['shard-1', 'shard-2', 'shard-3', 'shard-4', 'shard-5'];
+		const before = assign(nodes);
+		const after = assign(nodes.filter((node) => node !== 'shard-3'));
+
+		for (const account of ACCOUNTS) {
+			if (before.get(account._id) !== 'shard-3') {
+				expect(after.get(account._id)).toBe(before.get(account._id));
+			}
+		}
+	});
+
+	test('各节点分到的账号数大致均匀', () => {
+		const counts = {};
+		for (const node of assign(['shard-1', 'shard-2', 'shard-3', 'shard-4']).values()) {
+			counts[node] = (counts[node] || 0) + 1;
+		}
+		for (const count of Object.values(counts)) {
+			expect(count).toBeGreaterThan(25);
+			expect(count).toBeLessThan(75);
+		}
+	});
+});
+
+describe('selectShardAccounts', () => {
+	test('各分片选出的账号互不重叠且覆盖全部账号，保持原有顺序', () => {
+		const config = (index) => getShardConfig({ shard: `${index}/3` });
+		const shards = [1, 2, 3].map((i) => selectShardAccounts(ACCOUNTS, config(i)));
+
+		expect(shards.flat()).toHaveLength(ACCOUNTS.length);
+		expect(new Set(shards.flat().map((a) => a._id)).size).toBe(ACCOUNTS.length);
+		for (const shard of shards) {
+			const indexes = shard.map((a) => ACCOUNTS.indexOf(a));
+			expect(indexes).toEqual([...indexes].sort((a, b) => a - b));
+		}
+	});
+
+	test('账号的 workflow_url 是运行器之一时固定分配给该运行器', () => {
+		const nodes = ['https://github.com/o/a', 'https://github.com/o/b'];
+		const pinned = ACCOUNTS.map((account) => ({ ...account, workflow_url: nodes[1] }));
+
+		expect(selectShardAccounts(pinned, { nodes, self: nodes[1] })).toHaveLength(ACCOUNTS.length);
+		expect(selectShardAccounts(pinned, { nodes, self: nodes[0] })).toHaveLength(0);
+	});
+});
+
+describe('分片配置', () => {
+	test('解析分片编号', () => {
+		expect(parseShardSpec('2/5')).toEqual({ index: 2, count: 5 });
+		expect(parseShardSpec(' 1 / 1 ')).toEqual({ index: 1, count: 1 });
+		for (const spec of ['0/5', '6/5', '2', 'a/b', '']) {
+			expect(() => parseShardSpec(spec)).toThrow('格式不正确');
+		}
+	});
+
+	test('分片编号转换为环上的节点，未配置时返回 null', () => {
+		expect(getShardConfig({ shard: '2/3' })).toEqual({
+			label: '2/3',
+			nodes: ['shard-1', 'shard-2', 'shard-3'],
+			self: 'shard-2',
+		});
+		expect(getShardConfig({ shard: '', runners: '' })).toBeNull();
+	});
+});
@@ -0,0 +1,113 @@
+/**
+ * 本地账号状态存储测试
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LocalAccountStore from '../src/checkin/account-store.js';
+import { isStateDirCached } from '../src/checkin/state-secrets.js';
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-store-'));
+	filePath = path.join(dir, 'accounts.json');
+	jest.spyOn(console, 'error').mockImplementation(() => {});
+	jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const update = { session: 'session-value', account_id: '42', balance: 10 };
+
+describe('保存与合并', () => {
+	test('更新的字段合并到账号配置上，只读字段不写入', () => {
+		const store = new LocalAccountStore({ filePath, secret: null, omitSecrets: false });
+		const result = store.updateAccountInfo('a', { ...update, _id: 'x', account_type: 2 });
+
+		expect(result).toEqual({
+			success: true,
+			data: { updated: 1, updatedFields: ['session', 'account_id', 'balance'] },
+		});
+		const [merged, untouched] = new LocalAccountStore({ filePath, secret: null }).merge([
+			{ _id: 'a', username: 'alice', balance: 1, account_type: 0 },
+			{ _id: 'b' },
+		]);
+		expect(merged).toMatchObject({ ...update, _id: 'a', username: 'alice', account_type: 0 });
+		expect(untouched).toEqual({ _id: 'b' });
+	});
+
+	test('账号标识或更新字段为空时返回失败', () => {
+		const store = new LocalAccountStore({ filePath, secret: null });
+		expect(store.updateAccountInfo('', update).success).toBe(false);
+		expect(store.updateAccountInfo('a', { _id: 'x' }).success).toBe(false);
+	});
+});
+
+describe('状态文件中的 session', () => {
+	test('本地运行未配置密钥时明文保存 session，文件仅所有者可读写', () => {
+		new LocalAccountStore({ filePath, secret: null, omitSecrets: false }).updateAccountInfo(
+			'a',
+			update
+		);
+
+		expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).accounts.a).toMatchObject(update);
+		if (process.platform !== 'win32') {
+			expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+		}
+	});
+
+	test('在 CI 中未配置密钥时不写入 session', () => {
+		new LocalAccountStore({ filePath, secret: null, omitSecrets: true }).updateAccountInfo(
+			'a',
+			update
+		);
+
+		const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).accounts.a;
+		expect(saved).not.toHaveProperty('session');
+		expect(saved).toMatchObject({ account_id: '42', balance: 10 });
+	});
+
+	test('配置了密钥时加密保存，密钥不对或缺失时忽略已保存的状态', () => {
+		new LocalAccountStore({ filePath, secret: 'state-key' }).updateAccountInfo('a', update);
+
+		expect(fs.readFileSync(filePath, 'utf8')).not.toMatch(/session-value/);
+		expect(new LocalAccountStore({ filePath, secret: 'state-key' }).load().a).toMatchObject(update);
+		expect(new LocalAccountStore({ filePath, secret: 'other-key' }).load()).toEqual({});
+		expect(new LocalAccountStore({ filePath, secret: null }).load()).toEqual({});
+	});
+});
+
+describe('isStateDirCached', () => {
+	const saved = { CI: process.env.CI, GITHUB_ACTIONS: process.env.GITHUB_ACTIONS };
+
+	afterEach(() => {
+		for (const [key, value] of Object.entries(saved)) {
+			if (value === undefined) {
+				delete process.env[key];
+			} else {
+				process.env[key] = value;
+			}
+		}
+	});
+
+	test.each([
+		[{}, false],
+		[{ CI: 'false' }, false],
+		[{ CI: '0' }, false],
+		[{ CI: 'true' }, true],
+		[{ CI: '1' }, true],
+		[{ GITHUB_ACTIONS: 'true' }, true],
+	])('%p 时为 %p', (env, expected) => {
+		delete process.env.CI;
+		delete process.env.GITHUB_ACTIONS;
+		Object.assign(process.env, env);
+		expect(isStateDirCached()).toBe(expected);
+	});
+});
@@ -0,0 +1,59 @@
+/**
+ * 失败分类与退出码测试
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import {
+	CheckinErrorCode,
+	ExitCode,
+	classifyError,
+	createFailure,
+	getExitCode,
+} from '../src/checkin/errors.js';
+
+describe('退出码', () => {
+	const ok = { success: true };
+	const skipped = { success: true, skipped: true };
+	const locked = { success: true, skipped: true, locked: true };
+	const fail = (code) => createFailure(code, 'x');
+
+	test('没有失败的账号时为 0', () => {
+		expect(getExitCode([])).toBe(ExitCode.SUCCESS);
+		expect(getExitCode([ok, skipped, locked])).toBe(ExitCode.SUCCESS);
+	});
+
+	test('只要有账号失败就不为 0，即使其他账号成功', () => {
+		expect(getExitCode([ok, ok, fail(CheckinErrorCode.NETWORK)])).toBe(ExitCode.FAILED);
+		expect(getExitCode([ok, { success: false, error: '未分类' }])).toBe(ExitCode.FAILED);
+	});
+
+	test('需要人工处理的失败优先于服务端失败和其他失败', () => {
+		expect(
+			getExitCode([fail(CheckinErrorCode.NETWORK), fail(CheckinErrorCode.BAD_CREDENTIALS)])
+		).toBe(ExitCode.ACTION_REQUIRED);
+		expect(
+			getExitCode([
+				fail(CheckinErrorCode.LEASE_UNAVAILABLE),
+				fail(CheckinErrorCode.SESSION_EXPIRED),
+			])
+		).toBe(ExitCode.ACTION_REQUIRED);
+		expect(
+			getExitCode([
+				fail(CheckinErrorCode.UNEXPECTED_PAGE),
+				fail(CheckinErrorCode.LEASE_UNAVAILABLE),
+			])
+		).toBe(ExitCode.BACKEND_UNAVAILABLE);
+	});
+});
+
+describe('异常分类', () => {
+	test('按异常类型和信息推断错误码', () => {
+		const timeout = new Error('page.waitForSelector: Timeout 10000ms exceeded waiting for locator');
+		timeout.name = 'TimeoutError';
+		expect(classifyError(timeout)).toBe(CheckinErrorCode.UNEXPECTED_PAGE);
+		expect(classifyError(new Error('connect ECONNREFUSED 127.0.0.1:443'))).toBe(
+			CheckinErrorCode.NETWORK
+		);
+		expect(classifyError(new Error('boom'))).toBe(CheckinErrorCode.UNKNOWN);
+	});
+});
@@ -0,0 +1,63 @@
+/**
+ * 构造测试用的 new-api session cookie
+ * 按 gorilla/securecookie + gob 的格式编码，字段与 new-api 写入会话的字段一致，签名为固定的占位字节
+ */
+
+/**
+ * gob 中 map[interface{}]interface{} 的类型定义消息，与会话内容无关
+ */
+const MAP_TYPE_DEFINITION = Buffer.from([
+	0x0d, 0x7f, 0x04, 0x01, 0x02, 0xff, 0x80, 0x00, 0x01, 0x10, 0x01, 0x10, 0x00, 0x00,
+]);
+
+function encodeUint(value) {
+	if (value < 0x80) {
+		return Buffer.from([value]);
+	}
+	const bytes = [];
+	for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) {
+		bytes.unshift(rest % 256);
+	}
+	return Buffer.from([256 - bytes.length, ...bytes]);
+}
+
+function encodeInt(value) {
+	return encodeUint(value < 0 ? -value * 2 - 1 : value * 2);
+}
+
+function encodeString(value) {
+	const bytes = Buffer.from(value, 'utf8');
+	return Buffer.concat([encodeUint(bytes.length), bytes]);
+}
+
+/**
+ * 编码 interface{} 值：类型名、类型 ID、值长度、占位字节、值
+ */
+function encodeInterface(value) {
+	const [typeName, typeId, encoded] =
+		typeof value === 'string' ? ['string', 6, encodeString(value)] : ['int', 2, encodeInt(value)];
+	const body = Buffer.concat([Buffer.from([0x00]), encoded]);
+	return Buffer.concat([encodeString(typeName), encodeInt(typeId), encodeUint(body.length), body]);
+}
+
+/**
+ * 构造 session cookie：base64("签发时间|base64(gob)|签名")
+ */
+export function buildSession(issuedAtSeconds, values, encoding = 'base64url') {
+	const entries = Object.entries(values).flatMap(([key, value]) => [
+		encodeInterface(key),
+		encodeInterface(value),
+	]);
+	const message = Buffer.concat([
+		encodeInt(64),
+		Buffer.from([0x00]),
+		encodeUint(Object.keys(values).length),
+		...entries,
+	]);
+	const gob = Buffer.concat([MAP_TYPE_DEFINITION, encodeUint(message.length), message]);
+	const cookie = Buffer.concat([
+		Buffer.from(`${issuedAtSeconds}|${gob.toString(encoding)}|`),
+		Buffer.alloc(32, 0xab),
+	]);
+	return cookie.toString(encoding);
+}
@@ -0,0 +1,23 @@
+/**
+ * 日志脱敏测试
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import { redactText } from '../src/utils/logger.js';
+
+describe('文本脱敏', () => {
+	test('隐藏 cookie、查询参数中的 session、token 和授权码', () => {
+		expect(redactText('session=abc123; path=/')).toBe('session=[已隐藏]; path=/');
+		expect(redactText('https://x.example/callback?code=oauth-code&state=1')).toBe(
+			'https://x.example/callback?code=[已隐藏]&state=1'
+		);
+		expect(redactText('device_code=dc1 user_code=ABCD-1234 access_token=t0k')).toBe(
+			'device_code=[已隐藏] user_code=[已隐藏] access_token=[已隐藏]'
+		);
+	});
+
+	test('errorCode、statusCode 等诊断字段不隐藏', () => {
+		const text = 'errorCode=network statusCode=500 exitCode=1';
+		expect(redactText(text)).toBe(text);
+	});
+});
@@ -0,0 +1,144 @@
+/**
+ * 登录策略接口测试
+ * 内置策略和自定义策略通过同一套约定调用：getPlatforms / login / toResult / clearCache
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import {
+	LoginStrategy,
+	getLoginStrategies,
+	getLoginStrategy,
+	getLoginStrategyByAccountType,
+	normalizeUserInfo,
+	registerLoginStrategy,
+} from '../src/checkin/login-strategy.js';
+import { CheckinErrorCode } from '../src/checkin/errors.js';
+import { getPlatforms, getPrimaryPlatform } from '../src/checkin/platforms.js';
+
+/**
+ * 测试用登录策略，login 直接返回构造时传入的登录模块结果
+ */
+class FakeLoginStrategy extends LoginStrategy {
+	constructor(moduleResult) {
+		super({ name: 'fake', accountType: 99, label: '测试登录' });
+		this.moduleResult = moduleResult;
+		this.calls = [];
+	}
+
+	async login({ account, platform }) {
+		this.calls.push({ account, platform });
+		return this.toResult(this.moduleResult, platform);
+	}
+}
+
+describe('登录策略注册表', () => {
+	test('内置策略按名称和 account_type 都能找到', () => {
+		expect(getLoginStrategy('password').accountType).toBe(0);
+		expect(getLoginStrategy('linuxdo').accountType).toBe(1);
+		expect(getLoginStrategy('github').accountType).toBe(2);
+
+		for (const strategy of getLoginStrategies()) {
+			expect(getLoginStrategyByAccountType(strategy.accountType)).toBe(strategy);
+			expect(typeof strategy.login).toBe('function');
+			expect(typeof strategy.clearCache).toBe('function');
+		}
+	});
+
+	test('缺少 name 或 login 的策略不能注册', () => {
+		expect(() => registerLoginStrategy({ name: 'broken' })).toThrow();
+		expect(() => registerLoginStrategy({ login: async () => ({}) })).toThrow();
+		expect(getLoginStrategy('broken')).toBeNull();
+	});
+
+	test('注册后的自定义策略与内置策略一样可以查找', () => {
+		const strategy = new FakeLoginStrategy(null);
+		registerLoginStrategy(strategy);
+
+		expect(getLoginStrategy('fake')).toBe(strategy);
+		expect(getLoginStrategyByAccountType(99)).toBe(strategy);
+		expect(getLoginStrategies()).toContain(strategy);
+	});
+});
+
+describe('登录策略约定', () => {
+	const platform = getPrimaryPlatform();
+	const account = { username: 'alice', password: 'pw', checkin_mode: 3 };
+
+	test('基类未实现 login 时抛出错误', async () => {
+		const strategy = new LoginStrategy({ name: 'base', accountType: 100 });
+		await expect(strategy.login({ account, platform })).rejects.toThrow('未实现 login');
+		await expect(strategy.clearCache(account)).resolves.toBeUndefined();
+	});
+
+	test('默认按 checkin_mode 决定签到平台，账号密码登录只签到主平台', () => {
+		const strategy = new FakeLoginStrategy(null);
+		expect(strategy.getPlatforms(account).map((p) => p.key)).toEqual(
+			getPlatforms().map((p) => p.key)
+		);
+		expect(getLoginStrategy('password').getPlatforms(account)).toEqual([platform]);
+	});
+
+	test('成功结果统一为 { session, apiUser, userInfo } 结构', async () => {
+		const strategy = new FakeLoginStrategy({
+			success: true,
+			session: 'session-value',
+			apiUser: '42',
+			userInfo: { username: 'alice', quota: 500000, used_quota: 1000, aff_code: 'abcd' },
+		});
+
+		const result = await strategy.login({ account, platform });
+
+		expect(strategy.calls).toEqual([{ account, platform }]);
+		expect(result).toEqual({
+			success: true,
+			session: 'session-value',
+			apiUser: '42',
+			userInfo: {
+				username: 'alice',
+				email: undefined,
+				quota: 500000,
+				usedQuota: 1000,
+				affCode: 'abcd',
+			},
+			signInResponse: null,
+			quotaBefore: null,
+			quotaAfter: null,
+		});
+	});
+
+	test('登录模块的失败分类连同平台和策略一起保留', async () => {
+		const strategy = new FakeLoginStrategy({
+			success: false,
+			error: '密码错误',
+			errorCode: CheckinErrorCode.BAD_CREDENTIALS,
+			errorContext: { status: 401 },
+		});
+
+		const result = await strategy.login({ account, platform });
+
+		expect(result).toEqual({
+			success: false,
+			error: `${platform.name} 登录失败: 密码错误`,
+			errorCode: CheckinErrorCode.BAD_CREDENTIALS,
+			errorContext: { status: 401, platform: platform.key, strategy: 'fake' },
+		});
+	});
+
+	test('没有用户信息或没有分类的结果视为页面异常', async () => {
+		for (const moduleResult of [null, { success: true }, { success: false, error: '未知' }]) {
+			const result = await new FakeLoginStrategy(moduleResult).login({ account, platform });
+			expect(result.success).toBe(false);
+			expect(result.errorCode).toBe(CheckinErrorCode.UNEXPECTED_PAGE);
+		}
+	});
+
+	test('normalizeUserInfo 兼容接口字段和 localStorage 字段', () => {
+		expect(normalizeUserInfo(null)).toBeNull();
+		expect(normalizeUserInfo({ quota: 1, usedQuota: 2, affCode: 'x' })).toMatchObject({
+			quota: 1,
+			usedQuota: 2,
+			affCode: 'x',
+		});
+		expect(normalizeUserInfo({ quota: 1 }).usedQuota).toBe(0);
+	});
+});
@@ -0,0 +1,119 @@
+/**
+ * 重试策略测试
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import {
+	DEFAULT_RETRY_POLICIES,
+	createRetryPolicies,
+	getBackoffDelay,
+	isRetryable,
+	runWithRetry,
+} from '../src/checkin/retry-policy.js';
+import { CheckinErrorCode, createFailure } from '../src/checkin/errors.js';
+
+beforeEach(() => {
+	delete process.env.CHECKIN_RETRY_POLICY;
+	jest.spyOn(console, 'error').mockImplementation(() => {});
+	jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+	delete process.env.CHECKIN_RETRY_POLICY;
+});
+
+describe('createRetryPolicies', () => {
+	test('默认值 < 环境变量 < 传入参数', () => {
+		process.env.CHECKIN_RETRY_POLICY = JSON.stringify({
+			platform: { maxAttempts: 3, baseDelay: 1000 },
+			sync: { maxAttempts: 5 },
+		});
+		const policies = createRetryPolicies({ platform: { maxAttempts: 4 } });
+
+		expect(policies.platform).toMatchObject({ maxAttempts: 4, baseDelay: 1000 });
+		expect(policies.sync.maxAttempts).toBe(5);
+		expect(policies.account).toEqual(DEFAULT_RETRY_POLICIES.account);
+	});
+
+	test('环境变量格式错误时使用默认值', () => {
+		process.env.CHECKIN_RETRY_POLICY = '{not json';
+		expect(createRetryPolicies()).toEqual(DEFAULT_RETRY_POLICIES);
+		expect(console.error).toHaveBeenCalled();
+	});
+
+	test.each([0, -2, 'abc', null])('maxAttempts 为 %p 时按 1 处理', (maxAttempts) => {
+		const policies = createRetryPolicies({ account: { maxAttempts } });
+		expect(policies.account.maxAttempts).toBe(1);
+		expect(console.error).toHaveBeenCalledWith(expect.stringContaining('account 重试策略'));
+	});
+
+	test('小数 maxAttempts 向下取整', () => {
+		expect(createRetryPolicies({ platform: { maxAttempts: 2.7 } }).platform.maxAttempts).toBe(2);
+	});
+});
+
+describe('isRetryable / getBackoffDelay', () => {
+	const policy = DEFAULT_RETRY_POLICIES.platform;
+
+	test('只有可重试类别的失败才重试，未分类的失败按 unknown 处理', () => {
+		expect(isRetryable(policy, createFailure(CheckinErrorCode.NETWORK, 'x'))).toBe(true);
+		expect(isRetryable(policy, createFailure(CheckinErrorCode.BAD_CREDENTIALS, 'x'))).toBe(false);
+		expect(isRetryable(policy, { success: false, error: 'x' })).toBe(true);
+		expect(isRetryable(policy, { success: true })).toBe(false);
+	});
+
+	test('指数退避不超过上限，抖动在比例范围内', () => {
+		const noJitter = { ...policy, jitter: 0 };
+		expect(getBackoffDelay(noJitter, 1)).toBe(5000);
+		expect(getBackoffDelay(noJitter, 2)).toBe(10000);
+		expect(getBackoffDelay(noJitter, 10)).toBe(60000);
+
+		for (let i = 0; i < 50; i++) {
+			const delay = getBackoffDelay(policy, 1);
+			expect(delay).toBeGreaterThanOrEqual(5000 * 0.7);
+			expect(delay).toBeLessThanOrEqual(5000 * 1.3);
+		}
+	});
+});
+
+describe('runWithRetry', () => {
+	const policy = { ...DEFAULT_RETRY_POLICIES.platform, maxAttempts: 3, baseDelay: 0, jitter: 0 };
+
+	test('可重试的失败重试到成功为止，记录每次尝试', async () => {
+		const results = [
+			createFailure(CheckinErrorCode.NETWORK, '超时'),
+			{ success: true, session: 's' },
+		];
+		const { result, attempts } = await runWithRetry(async () => results.shift(), policy);
+
+		expect(result).toEqual({ success: true, session: 's' });
+		expect(attempts.map((a) => [a.attempt, a.success, a.errorCode])).toEqual([
+			[1, false, CheckinErrorCode.NETWORK],
+			[2, true, undefined],
+		]);
+	});
+
+	test('终止性错误不重试', async () => {
+		let calls = 0;
+		const { result, attempts } = await runWithRetry(async () => {
+			calls++;
+			return createFailure(CheckinErrorCode.BAD_CREDENTIALS, '密码错误');
+		}, policy);
+
+		expect(calls).toBe(1);
+		expect(attempts).toHaveLength(1);
+		expect(result.errorCode).toBe(CheckinErrorCode.BAD_CREDENTIALS);
+	});
+
+	test('达到最多尝试次数后返回最后一次结果', async () => {
+		let calls = 0;
+		const { result } = await runWithRetry(async (attempt) => {
+			calls++;
+			return createFailure(CheckinErrorCode.NETWORK, `第 ${attempt} 次`);
+		}, policy);
+
+		expect(calls).toBe(3);
+		expect(result.error).toBe('第 3 次');
+	});
+});
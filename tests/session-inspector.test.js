@@ -0,0 +1,73 @@
+/**
+ * new-api session 解析测试
+ * 测试用 session 由 helpers/session-cookie.js 按 new-api 的格式构造
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import {
+	SESSION_MAX_AGE,
+	decodeSession,
+	getSessionExpireTime,
+} from '../src/utils/session-inspector.js';
+import { buildSession } from './helpers/session-cookie.js';
+
+const ISSUED_AT = 1760000000;
+const VALUES = {
+	username: 'linuxdo_12345',
+	role: 1,
+	status: 1,
+	group: 'default',
+	id: 123456,
+};
+
+describe('decodeSession', () => {
+	test('解析签发时间、过期时间和会话字段', () => {
+		const decoded = decodeSession(buildSession(ISSUED_AT, VALUES));
+
+		expect(decoded).toEqual({
+			issuedAt: ISSUED_AT * 1000,
+			expiresAt: (ISSUED_AT + SESSION_MAX_AGE) * 1000,
+			userId: '123456',
+			username: 'linuxdo_12345',
+			role: 1,
+			status: 1,
+			values: VALUES,
+		});
+	});
+
+	test('兼容标准 base64 字符集，负数和多字节整数按 gob 规则解码', () => {
+		const decoded = decodeSession(
+			buildSession(ISSUED_AT, { id: 70000, quota: -5, username: '用户' }, 'base64')
+		);
+
+		expect(decoded.userId).toBe('70000');
+		expect(decoded.values.quota).toBe(-5);
+		expect(decoded.username).toBe('用户');
+	});
+
+	test('getSessionExpireTime 返回签发时间加有效期', () => {
+		expect(getSessionExpireTime(buildSession(ISSUED_AT, VALUES))).toBe(
+			(ISSUED_AT + SESSION_MAX_AGE) * 1000
+		);
+	});
+
+	test('无法解析的 session 返回 null', () => {
+		const valid = buildSession(ISSUED_AT, VALUES);
+		const [timestamp, gob] = Buffer.from(valid, 'base64url').toString('latin1').split('|');
+		const truncated = Buffer.from(
+			`${timestamp}|${Buffer.from(gob, 'base64url').subarray(0, 20).toString('base64url')}|sig`
+		).toString('base64url');
+
+		for (const session of [
+			null,
+			'',
+			'not-a-session',
+			Buffer.from('no separators').toString('base64'),
+			Buffer.from(`abc|${gob}|sig`).toString('base64url'),
+			truncated,
+		]) {
+			expect(decodeSession(session)).toBeNull();
+		}
+		expect(getSessionExpireTime('not-a-session')).toBeNull();
+	});
+});
@@ -0,0 +1,91 @@
+/**
+ * session 预检分类测试
+ * 根据 /api/user/self 和 /api/user/sign_in 的响应判断 session 状态和失败类别，不发出请求
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import AnyRouterSessionSignIn, { SessionValidity } from '../src/checkin/checkin-session.js';
+import { CheckinErrorCode } from '../src/checkin/errors.js';
+import { SESSION_MAX_AGE } from '../src/utils/session-inspector.js';
+import { buildSession } from './helpers/session-cookie.js';
+
+const checker = new AnyRouterSessionSignIn();
+const nowSeconds = Math.floor(Date.now() / 1000);
+const freshSession = buildSession(nowSeconds - 60, { id: 42, username: 'alice' });
+const expiredSession = buildSession(nowSeconds - SESSION_MAX_AGE - 60, { id: 42 });
+
+describe('classifySessionResponse', () => {
+	test('返回当前用户信息时为有效，并附带用户信息', () => {
+		const result = checker.classifySessionResponse(freshSession, '42', 200, {
+			success: true,
+			data: { id: 42, username: 'alice', quota: 500000, used_quota: 0 },
+		});
+		expect(result.state).toBe(SessionValidity.VALID);
+		expect(result.userInfo).toBeTruthy();
+	});
+
+	test('返回其他用户或提示不匹配时为 wrong_user', () => {
+		expect(
+			checker.classifySessionResponse(freshSession, '42', 200, { success: true, data: { id: 7 } })
+		).toEqual({ state: SessionValidity.WRONG_USER });
+		expect(
+			checker.classifySessionResponse(freshSession, '42', 200, {
+				success: false,
+				message: '无权进行此操作，New-Api-User 与登录用户不匹配',
+			})
+		).toEqual({ state: SessionValidity.WRONG_USER });
+	});
+
+	test('未登录时按 session 签发时间区分过期和被作废', () => {
+		const unauthorized = { success: false, message: '无权进行此操作，未登录且未提供 access token' };
+
+		expect(checker.classifySessionResponse(expiredSession, '42', 200, unauthorized)).toEqual({
+			state: SessionValidity.EXPIRED,
+		});
+		expect(checker.classifySessionResponse(freshSession, '42', 401, null)).toEqual({
+			state: SessionValidity.REVOKED,
+		});
+		// 无法解析的 session 不能确定是否过期，按被作废处理
+		expect(checker.classifySessionResponse('opaque', '42', 403, null)).toEqual({
+			state: SessionValidity.REVOKED,
+		});
+	});
+
+	test('服务端错误等无法判断的响应返回 null', () => {
+		expect(checker.classifySessionResponse(freshSession, '42', 502, null)).toBeNull();
+		expect(
+			checker.classifySessionResponse(freshSession, '42', 200, { success: false, message: '' })
+		).toBeNull();
+	});
+});
+
+describe('sessionFailure', () => {
+	test('过期和被作废为 session_expired，用户不匹配为 session_mismatch', () => {
+		expect(checker.sessionFailure(SessionValidity.EXPIRED, '42')).toMatchObject({
+			success: false,
+			errorCode: CheckinErrorCode.SESSION_EXPIRED,
+			errorContext: { apiUser: '42', reason: SessionValidity.EXPIRED },
+		});
+		expect(checker.sessionFailure(SessionValidity.REVOKED, '42').errorCode).toBe(
+			CheckinErrorCode.SESSION_EXPIRED
+		);
+		expect(checker.sessionFailure(SessionValidity.WRONG_USER, '42')).toMatchObject({
+			errorCode: CheckinErrorCode.SESSION_MISMATCH,
+			error: 'session 不属于用户 42',
+		});
+	});
+});
+
+describe('classifySignInFailure', () => {
+	test('按状态码和提示文本推断签到失败类别', () => {
+		expect(checker.classifySignInFailure(200, { message: '今日已签到' })).toBe(
+			CheckinErrorCode.ALREADY_CHECKED_IN
+		);
+		expect(checker.classifySignInFailure(401, null)).toBe(CheckinErrorCode.SESSION_EXPIRED);
+		expect(checker.classifySignInFailure(503, null)).toBe(CheckinErrorCode.NETWORK);
+		expect(checker.classifySignInFailure(429, null)).toBe(CheckinErrorCode.NETWORK);
+		expect(checker.classifySignInFailure(200, { message: '签到失败' })).toBe(
+			CheckinErrorCode.UNEXPECTED_PAGE
+		);
+	});
+});
@@ -0,0 +1,119 @@
+/**
+ * 签到接口响应解析测试
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import {
+	SignInStatus,
+	SignInTracker,
+	formatSignInReward,
+	normalizeSignInResponse,
+	summarizeSignInReward,
+} from '../src/checkin/signin-response.js';
+import { getPrimaryPlatform } from '../src/checkin/platforms.js';
+
+const platform = getPrimaryPlatform();
+const perDollar = platform.quotaPerDollar;
+
+describe('normalizeSignInResponse', () => {
+	test('兼容 ret、code、success 三种成功标记，从 data 中提取奖励', () => {
+		expect(normalizeSignInResponse(platform, { ret: 1, data: { quota: 1000 } })).toEqual({
+			status: SignInStatus.SIGNED_IN,
+			rewardQuota: 1000,
+			message: '',
+		});
+		expect(normalizeSignInResponse(platform, { code: 0, data: 2000 }).rewardQuota).toBe(2000);
+		expect(
+			normalizeSignInResponse(platform, { success: true, data: { reward: '3000' } }).rewardQuota
+		).toBe(3000);
+	});
+
+	test('data 中没有奖励时从提示文本的美元金额换算', () => {
+		const result = normalizeSignInResponse(platform, {
+			success: true,
+			message: '签到成功，获得 $25',
+		});
+		expect(result.rewardQuota).toBe(25 * perDollar);
+		expect(result.message).toBe('签到成功，获得 $25');
+	});
+
+	test('识别今日已签到，即使响应标记为失败', () => {
+		for (const message of ['今日已签到', '您已经签到过了', 'Already checked in today']) {
+			expect(normalizeSignInResponse(platform, { success: false, message })).toEqual({
+				status: SignInStatus.ALREADY_SIGNED_IN,
+				rewardQuota: 0,
+				message,
+			});
+		}
+	});
+
+	test('没有响应为 unknown，其他失败为 failed', () => {
+		expect(normalizeSignInResponse(platform, null).status).toBe(SignInStatus.UNKNOWN);
+		expect(normalizeSignInResponse(platform, { success: false, message: '未登录' })).toEqual({
+			status: SignInStatus.FAILED,
+			rewardQuota: null,
+			message: '未登录',
+		});
+	});
+});
+
+describe('summarizeSignInReward', () => {
+	test('签到前后 quota 都已知时以差值为准', () => {
+		const summary = summarizeSignInReward(platform, {
+			response: { success: true, data: { quota: 999 } },
+			quotaBefore: 10 * perDollar,
+			quotaAfter: 35 * perDollar,
+		});
+		expect(summary).toEqual({
+			status: SignInStatus.SIGNED_IN,
+			rewardQuota: 25 * perDollar,
+			reward: 25,
+			confirmed: true,
+			message: '',
+		});
+		expect(formatSignInReward(summary)).toBe('🎁 今日 +$25.00');
+	});
+
+	test('只有响应时使用解析出的奖励，标记为未确认', () => {
+		const summary = summarizeSignInReward(platform, {
+			response: { success: true, data: { quota: 2 * perDollar } },
+			quotaBefore: null,
+			quotaAfter: null,
+		});
+		expect(summary.confirmed).toBe(false);
+		expect(formatSignInReward(summary)).toBe('🎁 今日 +$2.00 (未确认)');
+	});
+
+	test('没有捕获到响应但额度增加时视为页面已自动签到', () => {
+		const summary = summarizeSignInReward(platform, {
+			response: null,
+			quotaBefore: 0,
+			quotaAfter: perDollar,
+		});
+		expect(summary.status).toBe(SignInStatus.SIGNED_IN);
+		expect(summary.reward).toBe(1);
+	});
+
+	test('今日已签到和无法确定奖励时的展示', () => {
+		const already = summarizeSignInReward(platform, { response: { message: '今日已签到' } });
+		expect(formatSignInReward(already)).toBe('🎁 今日已签到');
+		expect(formatSignInReward(summarizeSignInReward(platform, { response: null }))).toBeNull();
+		expect(formatSignInReward(null)).toBeNull();
+	});
+});
+
+describe('SignInTracker', () => {
+	test('签到响应之前的 quota 为签到前额度，之后的为签到后额度', () => {
+		const tracker = new SignInTracker();
+		tracker.onUserSelf({ data: { quota: 100 } });
+		tracker.onSignIn({ success: true });
+		tracker.onUserSelf({ data: { quota: 600 } });
+		tracker.onUserSelf({ data: {} });
+
+		expect(tracker.getResult()).toEqual({
+			signInResponse: { success: true },
+			quotaBefore: 100,
+			quotaAfter: 600,
+		});
+	});
+});
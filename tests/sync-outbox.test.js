@@ -0,0 +1,154 @@
+/**
+ * 服务端更新待同步队列测试
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import SyncOutbox, { isTransientSyncFailure } from '../src/checkin/sync-outbox.js';
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-outbox-'));
+	filePath = path.join(dir, 'sync-outbox.jsonl');
+	jest.spyOn(console, 'error').mockImplementation(() => {});
+	jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('isTransientSyncFailure', () => {
+	test('未收到响应、限流和 5xx 为临时故障，其他 4xx 不是', () => {
+		expect(isTransientSyncFailure({ success: false })).toBe(true);
+		expect(isTransientSyncFailure({ status: 429 })).toBe(true);
+		expect(isTransientSyncFailure({ status: 503 })).toBe(true);
+		expect(isTransientSyncFailure({ status: 400 })).toBe(false);
+		expect(isTransientSyncFailure({ status: 200 })).toBe(false);
+	});
+});
+
+describe('合并与确认', () => {
+	test('同一账号的多条更新合并为一条，后入队的字段覆盖先入队的', () => {
+		const outbox = new SyncOutbox({ filePath, secret: null });
+		outbox.enqueue('a', { balance: 1, checkin_date: 100 }, '超时');
+		outbox.enqueue('b', { balance: 5 }, '超时');
+		outbox.enqueue('a', { balance: 2, used: 3 }, '502');
+
+		expect(outbox.size).toBe(2);
+		expect(outbox.load()[0]).toMatchObject({
+			_id: 'a',
+			updateData: { balance: 2, checkin_date: 100, used: 3 },
+			lastError: '502',
+		});
+
+		// 重新从文件加载得到同样的合并结果
+		const reloaded = new SyncOutbox({ filePath, secret: null });
+		expect(reloaded.load().map((e) => [e._id, e.updateData])).toEqual([
+			['a', { balance: 2, checkin_date: 100, used: 3 }],
+			['b', { balance: 5 }],
+		]);
+	});
+
+	test('直接更新成功后丢弃队列中已被覆盖的字段，字段都被覆盖时移除记录', () => {
+		const outbox = new SyncOutbox({ filePath, secret: null });
+		outbox.enqueue('a', { balance: 1, used: 2 });
+		outbox.enqueue('b', { balance: 5 });
+
+		outbox.acknowledge('a', { balance: 10 });
+		outbox.acknowledge('b', { balance: 6 });
+		outbox.acknowledge('missing', { balance: 1 });
+
+		expect(new SyncOutbox({ filePath, secret: null }).load()).toEqual([
+			expect.objectContaining({ _id: 'a', updateData: { used: 2 } }),
+		]);
+
+		outbox.acknowledge('a', { used: 3 });
+		expect(fs.existsSync(filePath)).toBe(false);
+	});
+
+	test('待同步的更新合并到账号配置上', () => {
+		const outbox = new SyncOutbox({ filePath, secret: null });
+		outbox.enqueue('a', { balance: 2 });
+
+		const accounts = [
+			{ _id: 'a', balance: 1, username: 'alice' },
+			{ _id: 'b', balance: 3 },
+		];
+		expect(outbox.merge(accounts)).toEqual([
+			{ _id: 'a', balance: 2, username: 'alice' },
+			{ _id: 'b', balance: 3 },
+		]);
+		expect(accounts[0].balance).toBe(1);
+	});
+});
+
+describe('重放', () => {
+	test('按入队顺序重放，成功和被拒绝的移出队列，临时故障留在队列中', async () => {
+		const outbox = new SyncOutbox({ filePath, secret: null });
+		outbox.enqueue('ok', { balance: 1 });
+		outbox.enqueue('rejected', { balance: 2 });
+		outbox.enqueue('transient', { balance: 3 });
+
+		const sent = [];
+		const responses = {
+			ok: { success: true },
+			rejected: { success: false, status: 400, error: '账号不存在' },
+			transient: { success: false, status: 502, error: 'Bad Gateway' },
+		};
+		const summary = await outbox.replay(async (_id) => {
+			sent.push(_id);
+			return responses[_id];
+		});
+
+		expect(sent).toEqual(['ok', 'rejected', 'transient']);
+		expect(summary).toEqual({ synced: 1, dropped: 1, remaining: 1 });
+		expect(new SyncOutbox({ filePath, secret: null }).load()).toEqual([
+			expect.objectContaining({ _id: 'transient', attempts: 1, lastError: 'Bad Gateway' }),
+		]);
+	});
+});
+
+describe('队列文件中的 session', () => {
+	const update = { session: 'session-value', password: 'pw', balance: 1 };
+
+	test('在 CI 中未配置密钥时不写入 session 和密码，只有敏感字段的记录不写入', () => {
+		const outbox = new SyncOutbox({ filePath, secret: null, omitSecrets: true });
+		outbox.enqueue('a', update);
+		outbox.enqueue('b', { session: 'only-session' });
+
+		const content = fs.readFileSync(filePath, 'utf8');
+		expect(content).not.toMatch(/session-value|only-session|"pw"/);
+		expect(new SyncOutbox({ filePath, secret: null }).load()).toEqual([
+			expect.objectContaining({ _id: 'a', updateData: { balance: 1 } }),
+		]);
+		// 内存中的队列仍保留 session，本次运行内重放
+		expect(outbox.load()[0].updateData.session).toBe('session-value');
+	});
+
+	test('本地运行未配置密钥时照常保存 session', () => {
+		const outbox = new SyncOutbox({ filePath, secret: null, omitSecrets: false });
+		outbox.enqueue('a', update);
+
+		expect(new SyncOutbox({ filePath, secret: null }).load()).toEqual([
+			expect.objectContaining({ _id: 'a', updateData: update }),
+		]);
+	});
+
+	test('配置了密钥时整个队列加密保存，使用同一密钥才能读取', () => {
+		const outbox = new SyncOutbox({ filePath, secret: 'state-key' });
+		outbox.enqueue('a', update);
+
+		expect(fs.readFileSync(filePath, 'utf8')).not.toMatch(/session-value/);
+		expect(new SyncOutbox({ filePath, secret: 'state-key' }).load()).toEqual([
+			expect.objectContaining({ _id: 'a', updateData: update }),
+		]);
+		expect(new SyncOutbox({ filePath, secret: 'other-key' }).load()).toEqual([]);
+		expect(new SyncOutbox({ filePath, secret: null }).load()).toEqual([]);
+	});
+});
@@ -0,0 +1,84 @@
+/**
+ * 加密保险库测试
+ */
+
+import { describe, expect, test } from '@jest/globals';
+import { VAULT_FORMAT, decryptVault, encryptVault, isVault } from '../src/utils/vault.js';
+
+const PAYLOAD = [{ username: 'alice', password: 'pw', session: 'session-value' }];
+
+describe('保险库加解密', () => {
+	test('加密结果不含明文，使用同一口令或密钥可以解密', () => {
+		const vault = encryptVault(PAYLOAD, 'passphrase');
+
+		expect(isVault(vault)).toBe(true);
+		expect(vault.format).toBe(VAULT_FORMAT);
+		expect(JSON.stringify(vault)).not.toMatch(/alice|session-value/);
+		expect(decryptVault(vault, 'passphrase')).toEqual(PAYLOAD);
+
+		const key = Buffer.from('key-file-content');
+		expect(decryptVault(encryptVault(PAYLOAD, key), key)).toEqual(PAYLOAD);
+	});
+
+	test('每次加密使用新的 salt 和 iv', () => {
+		const first = encryptVault(PAYLOAD, 'passphrase');
+		const second = encryptVault(PAYLOAD, 'passphrase');
+		expect(first.kdf.salt).not.toBe(second.kdf.salt);
+		expect(first.iv).not.toBe(second.iv);
+	});
+
+	test('口令为空时拒绝加解密', () => {
+		expect(() => encryptVault(PAYLOAD, '')).toThrow('不能为空');
+		expect(() => decryptVault(encryptVault(PAYLOAD, 'passphrase'), '')).toThrow('不能为空');
+	});
+});
+
+describe('篡改检测', () => {
+	const vault = encryptVault(PAYLOAD, 'passphrase');
+
+	test('口令错误时解密失败', () => {
+		expect(() => decryptVault(vault, 'wrong')).toThrow('解密失败');
+	});
+
+	test('密文、认证标签或文件头被修改时解密失败', () => {
+		const data = Buffer.from(vault.data, 'base64');
+		data[0] ^= 0x01;
+		const tag = Buffer.from(vault.tag, 'base64');
+		tag[0] ^= 0x01;
+
+		for (const tampered of [
+			{ ...vault, data: data.toString('base64') },
+			{ ...vault, tag: tag.toString('base64') },
+			// 派生参数在上限内但与加密时不同：密钥不同，且文件头属于附加认证数据
+			{ ...vault, kdf: { ...vault.kdf, N: vault.kdf.N * 2 } },
+		]) {
+			expect(() => decryptVault(tampered, 'passphrase')).toThrow('解密失败');
+		}
+	});
+
+	test('不是保险库或版本、算法不支持时拒绝解密', () => {
+		expect(() => decryptVault(PAYLOAD, 'passphrase')).toThrow('不是保险库文件');
+		expect(() => decryptVault({ ...vault, version: 2 }, 'passphrase')).toThrow('不支持');
+		expect(() => decryptVault({ ...vault, cipher: 'aes-128-cbc' }, 'passphrase')).toThrow('不支持');
+	});
+});
+
+describe('派生参数上限', () => {
+	const vault = encryptVault(PAYLOAD, 'passphrase');
+
+	test.each([
+		['N 过大', { N: 2 ** 30 }],
+		['N 不是 2 的幂', { N: 30000 }],
+		['r 过大', { r: 1024 }],
+		['p 过大', { p: 64 }],
+		['r 不是整数', { r: 1.5 }],
+		['缺少 salt', { salt: undefined }],
+	])('%s时不派生密钥，直接拒绝', (_, kdf) => {
+		const started = Date.now();
+		expect(() => decryptVault({ ...vault, kdf: { ...vault.kdf, ...kdf } }, 'passphrase')).toThrow(
+			'保险库派生参数超出允许范围'
+		);
+		// 没有执行 scrypt，不会因为参数过大而长时间占用 CPU
+		expect(Date.now() - started).toBeLessThan(1000);
+	});
+});